@@ -1,5 +1,11 @@
+import { EventEmitter } from "events";
+
 declare namespace AsyncLock {
     export type AsyncLockCallback = (token: AsyncLockToken) => void;
+    export type AsyncReadWriteLockCallback = (token: AsyncReadWriteLockToken) => void;
+    export type AsyncSemaphoreCallback = (token: AsyncSemaphoreToken) => void;
+    export type HierarchicalLockCallback = (token: HierarchicalLockToken) => void;
+    export type SharedAsyncSemaphoreCallback = (token: SharedAsyncSemaphoreToken) => void;
     export type ResetEventCallback = (token: ResetEventLockToken) => void;
     export type SyncWrapperCallback = (leave: () => void) => void;
     export type AsyncWrapperCallback<T, A extends unknown[]> = (...args: A) => Promise<T>;
@@ -17,10 +23,17 @@ declare namespace AsyncLock {
      */
     export type OverflowStrategy = "this" | "first" | "last";
 
+    /**
+     * The overflow strategies of the {@link AsyncLock}, see {@link OverflowStrategy}.
+     * - `lowest` - The callback with the lowest priority is going to be removed,
+     * if several callbacks have the lowest priority the most recent one is removed.
+     */
+    export type PriorityOverflowStrategy = OverflowStrategy | "lowest";
+
     /**
      * Base options for configuring the {@link AsyncLock} and {@link ResetEvent}.
      */
-    export interface OptionsBase {
+    export interface OptionsBase<TStrategy extends string = OverflowStrategy> {
         /**
          * The maximum number of queued pending callbacks. Note that the executing
          * callback is not considered pending.
@@ -43,7 +56,7 @@ declare namespace AsyncLock {
          *
          * @default "this"
          */
-        overflowStrategy: OverflowStrategy;
+        overflowStrategy: TStrategy;
     }
 
     /**
@@ -57,10 +70,419 @@ declare namespace AsyncLock {
         autoResetCount: number;
     }
 
+    /**
+     * Options for configuring the {@link CountdownEvent}, the callbacks are
+     * released only when the count reaches zero so `autoResetCount` is not
+     * supported.
+     */
+    export interface CountdownEventOptions extends OptionsBase {}
+
+    /**
+     * Options for configuring the {@link AsyncBarrier}.
+     */
+    export interface AsyncBarrierOptions {
+        /**
+         * Called once per generation when the last party arrives, before the
+         * waiting parties continue. If it throws the barrier is broken.
+         * @default null
+         */
+        action: ((generation: number) => void) | null;
+    }
+
     /**
      * Options for configuring the {@link AsyncLock}.
      */
-    export interface AsyncLockOptions extends OptionsBase {
+    export interface AsyncLockOptions extends OptionsBase<PriorityOverflowStrategy> {
+        /**
+         * The amount of milliseconds after which the priority of a waiting
+         * callback is raised by one, so callbacks with a low priority are not
+         * starved by callbacks with a higher priority. 0 disables aging.
+         * @default 0
+         */
+        priorityAging: number;
+        /**
+         * If true, a callback which holds the lock (and any asynchronous code
+         * started by it) may enter the lock again without waiting. The lock is
+         * released when the outermost hold leaves. The owner is tracked using
+         * `AsyncLocalStorage`.
+         * @default false
+         */
+        reentrant: boolean;
+        /**
+         * The maximum amount of milliseconds a callback may hold the lock. When
+         * the time runs out the lock is released automatically, the token is
+         * marked as expired and a late `leave` with it is ignored.
+         * @default Infinity
+         */
+        maxHoldTime: number;
+        /**
+         * Called with the expired token when a callback held the lock longer
+         * than `maxHoldTime`.
+         * @default null
+         */
+        onExpire: ((token: AsyncLockToken) => void) | null;
+        /**
+         * If true, `leave` validates that the token owns the lock and rejects
+         * the leave with a {@link LockOwnershipError} if it does not.
+         * @default false
+         */
+        strict: boolean;
+        /**
+         * Called instead of throwing when a strict lock is left with a token
+         * which does not own it.
+         * @default null
+         */
+        onLeaveError: ((error: LockOwnershipError, token: AsyncLockToken) => void) | null;
+    }
+
+    /**
+     * Which side of the {@link AsyncReadWriteLock} is preferred when both readers
+     * and writers are waiting.
+     * - `write` - A new reader waits if there is a pending writer, this prevents
+     * writer starvation.
+     * - `read` - A new reader enters immediately as long as no writer holds the
+     * lock, the pending writers wait until there are no readers.
+     */
+    export type ReadWritePreference = "read" | "write";
+
+    /**
+     * Options for configuring the {@link AsyncReadWriteLock}.
+     */
+    export interface AsyncReadWriteLockOptions extends OptionsBase {
+        /**
+         * Which side is preferred when both readers and writers are waiting.
+         * See {@link ReadWritePreference} for more details on the allowed values.
+         * @default "write"
+         */
+        preference: ReadWritePreference;
+    }
+
+    /**
+     * Options for configuring the {@link AsyncSemaphore}.
+     */
+    export interface AsyncSemaphoreOptions extends OptionsBase {
+    }
+
+    /**
+     * Options for configuring the {@link HierarchicalLock}.
+     */
+    export interface HierarchicalLockOptions extends OptionsBase {
+        /**
+         * The separator between the segments of a string path.
+         * Default: `'/'`
+         */
+        separator: string;
+    }
+
+    /**
+     * Options for configuring the {@link SharedAsyncSemaphore} and the
+     * {@link SharedAsyncLock}.
+     */
+    export interface SharedAsyncSemaphoreOptions extends OptionsBase {
+        /**
+         * If true, waiting callbacks poll the shared state instead of using
+         * `Atomics.waitAsync`, polling is also used if `Atomics.waitAsync` is
+         * not supported.
+         * Default: `false`
+         */
+        poll: boolean;
+
+        /**
+         * The polling interval in milliseconds.
+         * Default: `10`
+         */
+        pollInterval: number;
+    }
+
+    /**
+     * A path of the {@link HierarchicalLock}, either a string separated by the
+     * separator option or an array of segments.
+     */
+    export type LockPath = string | Array<string | number>;
+
+    /**
+     * The reason a pending token was canceled before its callback was called.
+     * - `timeout` - The timeout has expired.
+     * - `overflow` - The token was removed from the queue by the overflow strategy.
+     * - `aborted` - The signal was aborted or the pending callbacks were
+     * aborted by `leave`.
+     * - `deadlock` - The wrapper deadlock detection canceled the callback.
+     * - `broken` - The {@link AsyncBarrier} was broken before all the parties arrived.
+     * - `resized` - The {@link AsyncSemaphore} was resized below the number of
+     * permits the token waits for.
+     */
+    export type CancelReason = "timeout" | "overflow" | "aborted" | "deadlock" | "broken" | "resized";
+
+    /**
+     * The error a promise is rejected with when the pending call is canceled,
+     * a {@link LockTimeoutError}, a {@link QueueOverflowError}, a
+     * {@link LockAbortedError} or a {@link BarrierBrokenError}.
+     */
+    export interface CancelError extends Error {
+        code: "ERR_LOCK_TIMEOUT" | "ERR_LOCK_QUEUE_OVERFLOW" | "ERR_LOCK_ABORTED" | "ERR_BARRIER_BROKEN";
+        /**
+         * Why the pending call was canceled, `expired` if the lock was
+         * released because the `maxHoldTime` has expired.
+         */
+        reason: CancelReason | "expired";
+    }
+
+    /**
+     * Options for the waiting functions such as {@link AsyncLock.enter},
+     * {@link AsyncLock.acquire} and {@link ResetEvent.waitAsync}.
+     */
+    export interface WaitOptions<TToken extends LockTokenBase = LockTokenBase> {
+        /**
+         * The amount of milliseconds to wait before canceling the call. If not
+         * provided will wait indefinitely.
+         */
+        timeout?: number;
+        /**
+         * When the signal is aborted the call is canceled and immediately removed
+         * from the queue, a pending promise is rejected with the reason of the
+         * signal. Does nothing if the call was no longer pending.
+         */
+        signal?: AbortSignal;
+        /**
+         * Called when the pending call is canceled before its callback was
+         * called, with the canceled token and the reason of the cancellation.
+         */
+        onCancel?: (token: TToken, reason: CancelReason) => void;
+    }
+
+    /**
+     * Options for entering an {@link AsyncLock}.
+     */
+    export interface EnterOptions extends WaitOptions<AsyncLockToken> {
+        /**
+         * Callbacks with a higher priority acquire the lock before callbacks
+         * with a lower priority, callbacks with the same priority acquire the
+         * lock in the order they entered.
+         * @default 0
+         */
+        priority?: number;
+        /**
+         * The label of the async flow which is started by this call, used by
+         * the wrapper deadlock detection.
+         */
+        label?: string;
+        /** Overrides the `maxHoldTime` option of the lock for this call. */
+        maxHoldTime?: number;
+        /**
+         * Called with the token if the lock is released because `maxHoldTime`
+         * has expired, before the `onExpire` option of the lock.
+         */
+        onExpire?: (token: AsyncLockToken) => void;
+    }
+
+    /**
+     * An edge of a deadlock cycle, the waiter flow waits for the named lock
+     * which is held by the owner flow.
+     */
+    export interface DeadlockCycleEdge {
+        /** The name of the lock. */
+        name: string;
+        /** The label of the flow which waits for the lock. */
+        waiter: string;
+        /** The label of the flow which holds the lock. */
+        owner: string;
+        /** The stack trace of the call which acquired the lock. */
+        stack: string;
+    }
+
+    /**
+     * The error which is reported when a deadlock is detected.
+     */
+    export class DeadlockError extends Error {
+        constructor(cycle: DeadlockCycleEdge[]);
+        code: "ERR_LOCK_DEADLOCK";
+        reason: "deadlock";
+        /** The wait-for cycle between the flows. */
+        cycle: DeadlockCycleEdge[];
+    }
+
+    /**
+     * Why a strict lock rejected a leave, see {@link LockOwnershipError}.
+     * - `not-owner` - The token belongs to another lock or another token holds the lock.
+     * - `not-locked` - The lock is not held.
+     * - `double-leave` - The token has already left the lock.
+     * - `canceled` - The token was canceled before it acquired the lock.
+     * - `expired` - The lock was released because the token held it longer than `maxHoldTime`.
+     */
+    export type LockOwnershipErrorReason = "not-owner" | "not-locked" | "double-leave" | "canceled" | "expired";
+
+    /**
+     * The error which is reported when a strict lock is left with a token
+     * which does not own it.
+     */
+    export class LockOwnershipError extends Error {
+        constructor(reason: LockOwnershipErrorReason, message: string, token: unknown);
+        /** `ERR_LOCK_NOT_OWNER` for a {@link NotOwnerError}. */
+        code: "ERR_LOCK_OWNERSHIP" | "ERR_LOCK_NOT_OWNER";
+        reason: LockOwnershipErrorReason;
+        /** The token which was used to leave the lock. */
+        token: unknown;
+    }
+
+    /**
+     * The {@link LockOwnershipError} which is reported when a strict lock is
+     * left with a token of another lock or of another owner.
+     */
+    export class NotOwnerError extends LockOwnershipError {
+        constructor(message: string, token: unknown);
+        code: "ERR_LOCK_NOT_OWNER";
+        reason: "not-owner";
+    }
+
+    /**
+     * The error a pending call is rejected with when its timeout expires, or
+     * when the lock is released because the callback held it longer than
+     * `maxHoldTime` (the reason is then `expired`).
+     */
+    export class LockTimeoutError extends Error implements CancelError {
+        constructor(message: string, reason?: "timeout" | "expired");
+        code: "ERR_LOCK_TIMEOUT";
+        reason: "timeout" | "expired";
+    }
+
+    /**
+     * The error a pending call is rejected with when it is removed from the
+     * queue because the queue exceeded its maximum size.
+     */
+    export class QueueOverflowError extends Error implements CancelError {
+        constructor(message: string);
+        code: "ERR_LOCK_QUEUE_OVERFLOW";
+        reason: "overflow";
+    }
+
+    /**
+     * The error a pending call is rejected with when it is aborted, or when it
+     * is removed from the queue to break a deadlock (the reason is then
+     * `deadlock`), or when the semaphore it waits on is resized below the
+     * permits it asked for (the reason is then `resized`). A call which is
+     * aborted by a signal is rejected with the reason of the signal instead.
+     */
+    export class LockAbortedError extends Error implements CancelError {
+        constructor(message: string, reason?: "aborted" | "deadlock" | "resized");
+        code: "ERR_LOCK_ABORTED";
+        reason: "aborted" | "deadlock" | "resized";
+    }
+
+    /**
+     * The error which is thrown when a token is null or undefined.
+     */
+    export class InvalidTokenError extends Error {
+        constructor(message: string, token?: unknown);
+        code: "ERR_LOCK_INVALID_TOKEN";
+        /** The invalid token. */
+        token: unknown;
+    }
+
+    /**
+     * The error which is thrown when a reset event is set while it is
+     * signaled or is reset while it is not signaled.
+     */
+    export class ResetEventStateError extends Error {
+        constructor(message: string, isSignaled: boolean);
+        code: "ERR_RESET_EVENT_STATE";
+        /** The state of the reset event when the error was thrown. */
+        isSignaled: boolean;
+    }
+
+    /**
+     * The error which is thrown when the count of a countdown event would
+     * become negative.
+     */
+    export class CountdownEventStateError extends Error {
+        constructor(message: string, count: number);
+        code: "ERR_COUNTDOWN_EVENT_STATE";
+        /** The count of the countdown event, which is left unchanged. */
+        count: number;
+    }
+
+    /**
+     * The error a party waiting on an {@link AsyncBarrier} is rejected with
+     * when the barrier is broken, and which is thrown when a party arrives at
+     * a broken barrier.
+     */
+    export class BarrierBrokenError extends Error implements CancelError {
+        constructor(message: string, cause?: Error);
+        code: "ERR_BARRIER_BROKEN";
+        reason: "broken";
+        /** The error which was thrown by the barrier action, if it broke the barrier. */
+        cause?: Error;
+    }
+
+    /**
+     * The error which is thrown, or which a promise is rejected with, when a
+     * function is called with an invalid argument.
+     */
+    export class InvalidArgumentError extends Error {
+        constructor(message: string);
+        code: "ERR_LOCK_INVALID_ARGUMENT";
+    }
+
+    /**
+     * The error which is thrown when a feature is not supported by the Node.js
+     * version or by the current process, e.g. a reentrant lock without
+     * `AsyncLocalStorage` or cluster mode in a process without an IPC channel.
+     */
+    export class UnsupportedError extends Error {
+        constructor(message: string);
+        code: "ERR_LOCK_UNSUPPORTED";
+    }
+
+    /**
+     * Options for the wrapper deadlock detection.
+     */
+    export interface DeadlockDetectionOptions {
+        /**
+         * If true, the waiter which closed the cycle is removed from the queue
+         * and rejected with the {@link DeadlockError}.
+         * @default false
+         */
+        rejectWaiter: boolean;
+        /**
+         * Called when a cycle is detected, the default does nothing. The
+         * wrapper also emits the error as a `deadlock` event.
+         */
+        onDeadlock: (error: DeadlockError) => void;
+    }
+
+    /**
+     * Keeps a wait-for graph of the async flows which hold named locks and the
+     * named locks they wait for. Used by the wrapper deadlock detection.
+     */
+    export class DeadlockDetector {
+        static defaultOptions: DeadlockDetectionOptions;
+        options: DeadlockDetectionOptions;
+
+        constructor(options?: Partial<DeadlockDetectionOptions>);
+
+        /**
+         * Enters the given named lock on behalf of the current flow and updates
+         * the wait-for graph.
+         * @param name The name of the lock.
+         * @param lock The lock to enter.
+         * @param callback Called within the flow once the lock is acquired.
+         * @param timeout The timeout or the options of {@link AsyncLock.enter}.
+         * @returns The token which controls the lock for this callback.
+         */
+        enter(name: string, lock: AsyncLock, callback: AsyncLockCallback, timeout?: number | EnterOptions): AsyncLockToken;
+
+        /**
+         * Returns the enter and leave functions of the given lock which keep
+         * the wait-for graph up to date.
+         * @param name The name of the lock.
+         * @param lock The lock to track.
+         */
+        track(name: string, lock: AsyncLock): Pick<AsyncLock, "enter" | "leave">;
+
+        /**
+         * Looks for a cycle in the wait-for graph which goes through the flow.
+         * @returns The edges of the cycle or null if there is no cycle.
+         */
+        findCycle(flow: object): DeadlockCycleEdge[] | null;
     }
 
     /**
@@ -80,111 +502,447 @@ declare namespace AsyncLock {
         elapsed?: (this: AsyncLockToken) => number;
         /** The start time of when this token was created. */
         start?: Date;
+        /** The time the token acquired the lock, set when the acquire event is emitted. */
+        acquired?: Date;
     }
 
     /**
-     * Represents a lock acquired by the {@link ResetEvent}.
+     * The lifecycle events which are emitted by the {@link AsyncLock}.
      */
-    export interface ResetEventLockToken extends LockTokenBase {
-        /** A reference to the reset event that created this token. */
-        resetEvent?: ResetEvent;
+    export type AsyncLockEventName = "enqueue" | "acquire" | "leave" | "timeout" | "overflow" | "abort";
+
+    /**
+     * The lifecycle events which are emitted by the {@link ResetEvent}.
+     */
+    export type ResetEventEventName = "enqueue" | "acquire" | "timeout" | "overflow" | "abort" | "set" | "reset";
+
+    /**
+     * A lifecycle event of a single token.
+     */
+    export interface LockEvent<TToken> {
+        /** The token the event is about. */
+        token: TToken;
+        /**
+         * The time in milliseconds the token has waited before it acquired the
+         * lock, or until the event if it did not acquire the lock.
+         */
+        waitTime: number;
+        /** The time in milliseconds the token has held the lock, `0` if it did not. */
+        holdTime: number;
     }
 
     /**
-     * Represents a lock acquired by the {@link AsyncLock}.
+     * The overflow event and the set event of the {@link ResetEvent}.
      */
-    export interface AsyncLockToken extends LockTokenBase {
-        /** A reference to the lock that created this token. */
-        lock?: AsyncLock;
-        /** A convenience function to leave the lock using this token. */
-        leave?: (this: AsyncLockToken) => void;
+    export interface LockTokensEvent<TToken> {
+        /** The tokens which were removed from the queue, or released by the reset event. */
+        tokens: TToken[];
     }
 
     /**
-     * The main API of the AsyncLock object created by the AsyncLock constructor.
+     * The set event of the {@link ResetEvent}.
      */
-    export class AsyncLock {
-        /** Default options used when creating a new lock instance. */
-        static defaultOptions: AsyncLockOptions;
+    export interface ResetEventSetEvent<T = unknown> extends LockTokensEvent<ResetEventLockToken> {
+        /** The value the reset event was set with. */
+        value: T | undefined;
+    }
 
-        /**
-         * Creates a new AsyncLockInstance using the given options. If no options
-         * are provided the default options are used.
-         *
-         * Override any default option to make all future lock instance to be
-         * created with the new defaults. Locks within the Wrapper are created with
-         * these options as well.
-         */
-        constructor(options?: Partial<AsyncLockOptions>);
+    /**
+     * A cumulative bucket of a {@link Histogram}.
+     */
+    export interface HistogramBucket {
+        /** The upper bound of the bucket in milliseconds, `Infinity` for the last bucket. */
+        le: number;
+        /** The number of values which are less than or equal to the bound. */
+        count: number;
+    }
 
-        /**
-         * Tries to acquire the lock and when successful executes the callback. If
-         * the lock cannot be acquired waits (asynchronously) until the lock is
-         * freed.
-         *
-         * The callback function will receive the token returned by the enter
-         * function.
-         *
-         * If timeout is provided will wait only the given amount of milliseconds
-         * and then cancel the callback setting the isCanceled property to true on
-         * the token. If timeout is not provided, it will wait indefinitely.
-         * @param callback The callback which is going to be called when the lock
-         * is acquired.
-         * @param timeout The amount of time to wait in milliseconds before
-         * canceling the callback call. The callback is of the form foo(token) (i.e.
-         * it will receive the acquired token as a parameter when called).
-         * @returns The token which controls the lock for this callback.
-         */
-        enter(callback: AsyncLockCallback, timeout?: number): void;
+    /**
+     * A snapshot of a {@link Histogram}, the values are `null` if no value was recorded.
+     */
+    export interface HistogramSnapshot {
+        count: number;
+        sum: number;
+        min: number | null;
+        max: number | null;
+        mean: number | null;
+        /** The estimated median. */
+        p50: number | null;
+        /** The estimated 90th percentile. */
+        p90: number | null;
+        /** The estimated 99th percentile. */
+        p99: number | null;
+        buckets: HistogramBucket[];
+    }
 
-        /**
-         * Leaves the lock and allows the execution of the next called to enter. The
-         * token must be the token that acquired the lock otherwise an exception is
-         * thrown.
-         *
-         * The callback of the next caller to enter will be triggered based on the
-         * `executeCallback` function (default is asynchronous).
-         *
-         * If `abortPending` is `true` then all the pending callbacks are canceled
-         * and will not be called. For each canceled callback token, `isCanceled` is
-         * set to `true`.
-         * @param token The token which has acquired the lock.
-         * @param abortPending If true, all pending callbacks are canceled and never
-         * executed. This token is used only to make sure that only the appropriate
-         * owner releases the lock.
-         */
-        leave(token: AsyncLockToken, abortPending?: boolean): void;
+    /**
+     * A histogram of durations with fixed cumulative buckets.
+     */
+    export class Histogram {
+        /** The default upper bounds of the buckets in milliseconds. */
+        static defaultBuckets: number[];
 
         /**
-         * @returns `true` if the lock is currently acquired and false otherwise.
+         * @param buckets The upper bounds of the buckets in milliseconds.
          */
-        isLocked(): boolean;
+        constructor(buckets?: number[]);
 
-        /**
-         * @returns The number of callbacks currently pending on the lock. Note
-         * that inside a callback that callback is no longer pending.
-         */
-        queueSize(): number;
+        /** The sorted upper bounds of the buckets. */
+        bounds: number[];
+        /** The number of recorded values. */
+        count: number;
+        /** The sum of the recorded values. */
+        sum: number;
+        min: number | null;
+        max: number | null;
 
         /**
-         * A function that creates all the tokens that are used by this lock
-         * instance (a token per enter call). The token has the following fields:
-         * @param callback The callback associated with the acquiring of this token.
-         * @returns The newly created token wit the callback.
+         * Records a value.
+         * @param value The value in milliseconds.
          */
-        createToken(callback: AsyncLockCallback): AsyncLockToken;
+        record(value: number): void;
 
         /**
-         * A function which is used to execute the callback on the token. The
-         * default implementation will execute the callback asynchronously after
-         * successful acquiring of the lock.
-         * @param token The token which contains the callback to call.
+         * Estimates a percentile of the recorded values.
+         * @param percent A number between 0 and 100.
+         * @returns The estimated value or `null` if no value was recorded.
          */
-        executeCallback(token: AsyncLockToken): void;
+        percentile(percent: number): number | null;
 
-        /**
-         * A function which is used to reduce the lock queue size when a call to
-         * enter is made and the queue has a limited size. If the options are
+        /** Removes all the recorded values. */
+        reset(): void;
+
+        toJSON(): HistogramSnapshot;
+    }
+
+    /**
+     * The contention metrics of an {@link AsyncLock}.
+     */
+    export interface AsyncLockStats {
+        /** The number of callbacks which have acquired the lock. */
+        acquisitions: number;
+        /** The number of pending callbacks canceled by a timeout. */
+        timeouts: number;
+        /** The number of pending callbacks canceled by an abort. */
+        aborts: number;
+        /** The number of pending callbacks removed by a queue overflow. */
+        overflows: number;
+        /** The current number of pending callbacks. */
+        queueLength: number;
+        /** The largest number of pending callbacks. */
+        peakQueueLength: number;
+        /** The total time in milliseconds callbacks have waited for the lock. */
+        contention: number;
+        /** The time callbacks have waited for the lock. */
+        waitTime: HistogramSnapshot;
+        /** The time callbacks have held the lock. */
+        holdTime: HistogramSnapshot;
+    }
+
+    /**
+     * The contention metrics of a named lock.
+     */
+    export interface NamedLockStats extends AsyncLockStats {
+        /** The name of the lock. */
+        name: string;
+    }
+
+    /**
+     * The options of {@link stats}.
+     */
+    export interface StatsOptions {
+        /**
+         * The metric to sort the locks by in descending order.
+         * Default: `contention`
+         */
+        sortBy: "acquisitions" | "timeouts" | "aborts" | "overflows" | "queueLength" | "peakQueueLength" | "contention";
+    }
+
+    /**
+     * The context of the `node-async-locks:wait` and `node-async-locks:hold`
+     * spans which are published on `diagnostics_channel`.
+     */
+    export interface LockTraceContext {
+        /** The name of the lock or the reset event. */
+        name?: string;
+        /** The lock or the reset event. */
+        target: AsyncLock | ResetEvent;
+        /** The token of the callback. */
+        token: AsyncLockToken | ResetEventLockToken;
+        /** The time the callback has waited, set when a wait span finishes. */
+        waitTime?: number;
+        /** The time the callback has held the lock, set when a hold span finishes. */
+        holdTime?: number;
+        /** The cancel error of a canceled wait. */
+        error?: Error;
+    }
+
+    /**
+     * A lifecycle event of a named lock re-emitted by the wrapper.
+     */
+    export type NamedLockEvent = { name: string } & (LockEvent<AsyncLockToken> | LockTokensEvent<AsyncLockToken>);
+
+    /**
+     * Represents a lock acquired by the {@link ResetEvent}.
+     */
+    export interface ResetEventLockToken extends LockTokenBase {
+        /** A reference to the reset event that created this token. */
+        resetEvent?: ResetEvent;
+        /** The value the reset event was set with, set when the token is released. */
+        value?: unknown;
+        /** A convenience function to set the reset event with the given value. */
+        set?: (this: ResetEventLockToken, value?: unknown) => void;
+    }
+
+    /**
+     * Represents an arrival at the {@link AsyncBarrier}.
+     */
+    export interface AsyncBarrierToken extends LockTokenBase {
+        /** A reference to the barrier that created this token. */
+        barrier?: AsyncBarrier;
+        /** The generation of the arrival. */
+        generation: number;
+    }
+
+    /**
+     * Represents a wait on an {@link AsyncCondition}.
+     */
+    export interface AsyncConditionToken extends LockTokenBase {
+        /** A reference to the condition that created this token. */
+        condition?: AsyncCondition;
+        /** The priority the lock is entered with again, the priority of the token which held the lock. */
+        priority?: number;
+    }
+
+    /**
+     * Represents a lock acquired by the {@link AsyncLock}.
+     */
+    export interface AsyncLockToken extends LockTokenBase {
+        /** A reference to the lock that created this token. */
+        lock?: AsyncLock;
+        /** A convenience function to leave the lock using this token. */
+        leave?: (this: AsyncLockToken) => void;
+        /** The priority the token was created with. */
+        priority?: number;
+        /**
+         * `true` if the token held the lock longer than `maxHoldTime` and the
+         * lock was released automatically.
+         */
+        isExpired?: boolean;
+        /** `true` once the token has left the lock. */
+        hasLeft?: boolean;
+        /**
+         * Set on the token which took the lock back after a canceled
+         * {@link AsyncCondition.wait}, the reason the wait was canceled.
+         */
+        waitCanceled?: "timeout" | "aborted";
+    }
+
+    /**
+     * Represents a lock acquired by the {@link AsyncReadWriteLock}.
+     */
+    export interface AsyncReadWriteLockToken extends LockTokenBase {
+        /** A reference to the lock that created this token. */
+        lock?: AsyncReadWriteLock;
+        /** A convenience function to leave the lock using this token. */
+        leave?: (this: AsyncReadWriteLockToken) => void;
+        /** `true` if the token was created by `enterWrite` and `false` if it was created by `enterRead`. */
+        isWrite: boolean;
+    }
+
+    /**
+     * Represents permits acquired from the {@link AsyncSemaphore}.
+     */
+    export interface AsyncSemaphoreToken extends LockTokenBase {
+        /** A reference to the semaphore that created this token. */
+        lock?: AsyncSemaphore;
+        /** A convenience function to release the permits of this token. */
+        leave?: (this: AsyncSemaphoreToken) => void;
+        /** The number of permits acquired by this token. */
+        permits: number;
+    }
+
+    /**
+     * Represents permits acquired from the {@link SharedAsyncSemaphore} or the
+     * {@link SharedAsyncLock}.
+     */
+    export interface SharedAsyncSemaphoreToken extends LockTokenBase {
+        /** A reference to the semaphore that created this token. */
+        lock?: SharedAsyncSemaphore;
+        /** A convenience function to release the permits of this token. */
+        leave?: (this: SharedAsyncSemaphoreToken) => void;
+        /** The number of permits acquired by this token. */
+        permits: number;
+    }
+
+    /**
+     * Represents a path locked by the {@link HierarchicalLock}.
+     */
+    export interface HierarchicalLockToken extends LockTokenBase {
+        /** A reference to the lock that created this token. */
+        lock?: HierarchicalLock;
+        /** A convenience function to unlock the path of this token. */
+        leave?: (this: HierarchicalLockToken) => void;
+        /** The segments of the locked path. */
+        path: string[];
+    }
+
+    /**
+     * The main API of the AsyncLock object created by the AsyncLock constructor.
+     */
+    export class AsyncLock extends EventEmitter {
+        /** Default options used when creating a new lock instance. */
+        static defaultOptions: AsyncLockOptions;
+
+        /** The lifecycle events which are emitted by the lock. */
+        static events: AsyncLockEventName[];
+
+        /**
+         * The name of the lock which is published on `diagnostics_channel`,
+         * the wrapper sets it to the name of a named lock.
+         */
+        name?: string;
+
+        on(event: "overflow", listener: (event: LockTokensEvent<AsyncLockToken>) => void): this;
+        on(event: Exclude<AsyncLockEventName, "overflow">, listener: (event: LockEvent<AsyncLockToken>) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        once(event: "overflow", listener: (event: LockTokensEvent<AsyncLockToken>) => void): this;
+        once(event: Exclude<AsyncLockEventName, "overflow">, listener: (event: LockEvent<AsyncLockToken>) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        /**
+         * Creates a new AsyncLockInstance using the given options. If no options
+         * are provided the default options are used.
+         *
+         * Override any default option to make all future lock instance to be
+         * created with the new defaults. Locks within the Wrapper are created with
+         * these options as well.
+         */
+        constructor(options?: Partial<AsyncLockOptions>);
+
+        /**
+         * Tries to acquire the lock and when successful executes the callback. If
+         * the lock cannot be acquired waits (asynchronously) until the lock is
+         * freed.
+         *
+         * The callback function will receive the token returned by the enter
+         * function.
+         *
+         * If timeout is provided will wait only the given amount of milliseconds
+         * and then cancel the callback setting the isCanceled property to true on
+         * the token. If timeout is not provided, it will wait indefinitely.
+         * @param callback The callback which is going to be called when the lock
+         * is acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}. The callback is
+         * of the form foo(token) (i.e. it will receive the acquired token as a
+         * parameter when called).
+         * @returns The token which controls the lock for this callback.
+         */
+        enter(callback: AsyncLockCallback, timeout?: number | EnterOptions): AsyncLockToken;
+
+        /**
+         * Same as {@link enter} but instead of a callback returns a promise which
+         * is resolved with the token once the lock is acquired.
+         *
+         * The promise is rejected with a {@link CancelError} if the token is
+         * canceled before the lock is acquired.
+         * @param options Options for this call.
+         * @returns A promise which is resolved with the token which controls the
+         * lock.
+         */
+        acquire(options?: EnterOptions): Promise<AsyncLockToken>;
+
+        /**
+         * Same as {@link enter} but calls the callback with the token once the
+         * lock is acquired and leaves the lock when the value (or promise) it
+         * returns is settled. A reentrant lock recognizes its owner within the
+         * callback, code that continues after awaiting a plain acquire is not.
+         *
+         * The promise is rejected with a {@link CancelError} if the token is
+         * canceled before the lock is acquired.
+         * @param callback Called with the token once the lock is acquired.
+         * @param options Options for this call.
+         * @returns A promise which is resolved or rejected like the callback.
+         */
+        acquire<T>(callback: (token: AsyncLockToken) => T | PromiseLike<T>, options?: EnterOptions): Promise<T>;
+
+        /**
+         * Leaves the lock and allows the execution of the next called to enter. The
+         * token must be the token that acquired the lock otherwise an exception is
+         * thrown.
+         *
+         * The callback of the next caller to enter will be triggered based on the
+         * `executeCallback` function (default is asynchronous).
+         *
+         * If `abortPending` is `true` then all the pending callbacks are canceled
+         * and will not be called. For each canceled callback token, `isCanceled` is
+         * set to `true`.
+         * @param token The token which has acquired the lock.
+         * @param abortPending If true, all pending callbacks are canceled and never
+         * executed. This token is used only to make sure that only the appropriate
+         * owner releases the lock.
+         * @throws {LockOwnershipError} If the lock is strict, the token does not
+         * own the lock and the `onLeaveError` option is not set.
+         */
+        leave(token: AsyncLockToken, abortPending?: boolean): void;
+
+        /**
+         * Releases the lock held by the given token as if its `maxHoldTime` has
+         * expired. The token is marked as expired and the `onExpire` hooks are
+         * called. Does nothing if the token does not hold the lock.
+         * @param token The token which has acquired the lock.
+         */
+        expire(token: AsyncLockToken): void;
+
+        /**
+         * Creates a condition variable which is bound to this lock, a callback
+         * which holds the lock may wait on the condition until another callback
+         * notifies it.
+         */
+        createCondition(): AsyncCondition;
+
+        /**
+         * @returns `true` if the lock is currently acquired and false otherwise.
+         */
+        isLocked(): boolean;
+
+        /**
+         * @returns The number of callbacks currently pending on the lock. Note
+         * that inside a callback that callback is no longer pending.
+         */
+        queueSize(): number;
+
+        /**
+         * @returns The contention metrics of the lock.
+         */
+        stats(): AsyncLockStats;
+
+        /**
+         * Removes all the recorded contention metrics of the lock.
+         */
+        resetStats(): void;
+
+        /**
+         * A function that creates all the tokens that are used by this lock
+         * instance (a token per enter call). The token has the following fields:
+         * @param callback The callback associated with the acquiring of this token.
+         * @returns The newly created token wit the callback.
+         */
+        createToken(callback: AsyncLockCallback): AsyncLockToken;
+
+        /**
+         * A function which is used to execute the callback on the token. The
+         * default implementation will execute the callback asynchronously after
+         * successful acquiring of the lock.
+         * @param token The token which contains the callback to call.
+         */
+        executeCallback(token: AsyncLockToken): void;
+
+        /**
+         * A function which is used to reduce the lock queue size when a call to
+         * enter is made and the queue has a limited size. If the options are
          * changed pragmatically after an instance of the lock was created, it is up
          * to the user to call this function to adjust the queue size. Override this
          * function to create different queuing logic.
@@ -192,7 +950,660 @@ declare namespace AsyncLock {
          * @param options The options that control the reduction algorithm.
          * @returns An array of the tokens which were removed from the queue
          */
-        reduceQueue(queue: AsyncLockToken[], options: AsyncLockOptions): AsyncLockToken[];
+        reduceQueue(queue: AsyncLockToken[], options: AsyncLockOptions): AsyncLockToken[];
+    }
+
+    /**
+     * An asynchronous reader-writer lock. Any number of readers may hold the
+     * lock at the same time while a writer holds it exclusively.
+     */
+    export class AsyncReadWriteLock {
+        /** Default options used when creating a new lock instance. */
+        static defaultOptions: AsyncReadWriteLockOptions;
+
+        /**
+         * Creates a new AsyncReadWriteLockInstance using the given options. If no
+         * options are provided the default options are used.
+         */
+        constructor(options?: Partial<AsyncReadWriteLockOptions>);
+
+        /**
+         * Acquires the lock for reading and when successful executes the
+         * callback. Several readers may hold the lock at the same time.
+         * @param callback The callback which is going to be called when the lock
+         * is acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @returns The token which controls the lock for this callback.
+         */
+        enterRead(callback: AsyncReadWriteLockCallback, timeout?: number | WaitOptions<AsyncReadWriteLockToken>): AsyncReadWriteLockToken;
+
+        /**
+         * Acquires the lock for writing and when successful executes the
+         * callback. A writer holds the lock exclusively.
+         * @param callback The callback which is going to be called when the lock
+         * is acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @returns The token which controls the lock for this callback.
+         */
+        enterWrite(callback: AsyncReadWriteLockCallback, timeout?: number | WaitOptions<AsyncReadWriteLockToken>): AsyncReadWriteLockToken;
+
+        /**
+         * Releases the hold of the given token and executes the pending callbacks
+         * that may now acquire the lock.
+         * @param token The token which has acquired the lock.
+         * @param abortPending If true, all pending callbacks are canceled and never
+         * executed.
+         */
+        leave(token: AsyncReadWriteLockToken, abortPending?: boolean): void;
+
+        /**
+         * @returns `true` if the lock is currently held by a reader or a writer.
+         */
+        isLocked(): boolean;
+
+        /**
+         * @returns `true` if the lock is currently held by at least one reader.
+         */
+        isReadLocked(): boolean;
+
+        /**
+         * @returns `true` if the lock is currently held by a writer.
+         */
+        isWriteLocked(): boolean;
+
+        /**
+         * @returns The number of readers currently holding the lock.
+         */
+        readersCount(): number;
+
+        /**
+         * @returns The number of callbacks currently pending on the lock.
+         */
+        queueSize(): number;
+
+        /**
+         * A function that creates all the tokens that are used by this lock
+         * instance (a token per enterRead or enterWrite call).
+         * @param callback The callback associated with the acquiring of this token.
+         * @param isWrite `true` if the token acquires the lock for writing.
+         * @returns The newly created token with the callback.
+         */
+        createToken(callback: AsyncReadWriteLockCallback, isWrite: boolean): AsyncReadWriteLockToken;
+
+        /**
+         * A function which is used to execute the callback on the token. Same as
+         * {@link AsyncLock.executeCallback}.
+         * @param token The token which contains the callback to call.
+         */
+        executeCallback(token: AsyncReadWriteLockToken): void;
+
+        /**
+         * A function which is used to reduce the lock queue size. Same as
+         * {@link AsyncLock.reduceQueue}.
+         * @param queue The queue of tokens.
+         * @param options The options that control the reduction algorithm.
+         * @returns An array of the tokens which were removed from the queue
+         */
+        reduceQueue(queue: AsyncReadWriteLockToken[], options: AsyncReadWriteLockOptions): AsyncReadWriteLockToken[];
+    }
+
+    /**
+     * An asynchronous counting semaphore. Up to the given number of permits
+     * may be held at the same time.
+     */
+    export class AsyncSemaphore {
+        /** Default options used when creating a new semaphore instance. */
+        static defaultOptions: AsyncSemaphoreOptions;
+
+        /**
+         * Creates a new AsyncSemaphoreInstance with the given number of permits
+         * using the given options.
+         * @param permits The number of permits of the semaphore, default is 1.
+         * @param options Options for the semaphore.
+         */
+        constructor(permits?: number, options?: Partial<AsyncSemaphoreOptions>);
+
+        /**
+         * Acquires the given number of permits and when successful executes the
+         * callback. If there are not enough available permits, waits
+         * (asynchronously) until enough permits are released.
+         * @param callback The callback which is going to be called when the
+         * permits are acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @param permits The number of permits to acquire, default is 1.
+         * @returns The token which controls the acquired permits.
+         */
+        enter(callback: AsyncSemaphoreCallback, timeout?: number | WaitOptions<AsyncSemaphoreToken>, permits?: number): AsyncSemaphoreToken;
+
+        /**
+         * Releases the permits held by the given token and executes the pending
+         * callbacks that may now acquire their permits.
+         * @param token The token which has acquired the permits.
+         * @param abortPending If true, all pending callbacks are canceled and never
+         * executed.
+         */
+        leave(token: AsyncSemaphoreToken, abortPending?: boolean): void;
+
+        /**
+         * Changes the number of permits of the semaphore. Removing permits does
+         * not affect the current holders, the waiting callbacks which ask for
+         * more permits than the new number are canceled with the reason `resized`.
+         * @param permits The new number of permits.
+         */
+        setPermits(permits: number): void;
+
+        /**
+         * @returns The number of permits that can be acquired right now.
+         */
+        availablePermits(): number;
+
+        /**
+         * @returns `true` if all the permits are currently acquired.
+         */
+        isLocked(): boolean;
+
+        /**
+         * @returns The number of callbacks currently pending on the semaphore.
+         */
+        queueSize(): number;
+
+        /**
+         * A function that creates all the tokens that are used by this semaphore.
+         * @param callback The callback associated with the acquiring of this token.
+         * @param permits The number of permits this token acquires.
+         * @returns The newly created token with the callback.
+         */
+        createToken(callback: AsyncSemaphoreCallback, permits: number): AsyncSemaphoreToken;
+
+        /**
+         * A function which is used to execute the callback on the token. Same as
+         * {@link AsyncLock.executeCallback}.
+         * @param token The token which contains the callback to call.
+         */
+        executeCallback(token: AsyncSemaphoreToken): void;
+
+        /**
+         * A function which is used to reduce the semaphore queue size. Same as
+         * {@link AsyncLock.reduceQueue}.
+         * @param queue The queue of tokens.
+         * @param options The options that control the reduction algorithm.
+         * @returns An array of the tokens which were removed from the queue
+         */
+        reduceQueue(queue: AsyncSemaphoreToken[], options: AsyncSemaphoreOptions): AsyncSemaphoreToken[];
+    }
+
+    /**
+     * An asynchronous counting semaphore whose state lives in a
+     * `SharedArrayBuffer`, so it can be shared between worker threads. Pass
+     * the buffer to a worker and create a semaphore from it there. The
+     * callbacks which wait in the same thread are served in order, there is
+     * no ordering between threads.
+     */
+    export class SharedAsyncSemaphore {
+        /** Default options used when creating a new semaphore instance. */
+        static defaultOptions: SharedAsyncSemaphoreOptions;
+
+        /**
+         * Creates a new semaphore with the given number of permits or attaches
+         * to the semaphore of the given buffer.
+         * @param permits The number of permits of a new semaphore, default is 1,
+         * or the buffer of an existing semaphore.
+         * @param options Options for the semaphore.
+         */
+        constructor(permits?: number | SharedArrayBuffer, options?: Partial<SharedAsyncSemaphoreOptions>);
+
+        /** The buffer which holds the shared state of the semaphore. */
+        buffer: SharedArrayBuffer;
+
+        /** The options of this semaphore instance. */
+        options: SharedAsyncSemaphoreOptions;
+
+        /**
+         * Acquires the given number of permits and when successful executes the
+         * callback. If there are not enough available permits, waits
+         * (asynchronously) until a thread releases enough permits.
+         * @param callback The callback which is going to be called when the
+         * permits are acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @param permits The number of permits to acquire, default is 1.
+         * @returns The token which controls the acquired permits.
+         */
+        enter(callback: SharedAsyncSemaphoreCallback, timeout?: number | WaitOptions<SharedAsyncSemaphoreToken>, permits?: number): SharedAsyncSemaphoreToken;
+
+        /**
+         * Releases the permits held by the given token and wakes up the threads
+         * which wait for permits.
+         * @param token The token which has acquired the permits.
+         * @param abortPending If true, all pending callbacks of this thread are
+         * canceled and never executed.
+         */
+        leave(token: SharedAsyncSemaphoreToken, abortPending?: boolean): void;
+
+        /**
+         * @returns The number of permits of the semaphore.
+         */
+        permits(): number;
+
+        /**
+         * @returns The number of permits that can be acquired right now by any thread.
+         */
+        availablePermits(): number;
+
+        /**
+         * @returns `true` if all the permits are currently acquired by any thread.
+         */
+        isLocked(): boolean;
+
+        /**
+         * @returns The number of callbacks currently pending in this thread.
+         */
+        queueSize(): number;
+
+        /**
+         * A function that creates all the tokens that are used by this semaphore.
+         * @param callback The callback associated with the acquiring of this token.
+         * @param permits The number of permits this token acquires.
+         * @returns The newly created token with the callback.
+         */
+        createToken(callback: SharedAsyncSemaphoreCallback, permits: number): SharedAsyncSemaphoreToken;
+
+        /**
+         * A function which is used to execute the callback on the token. Same as
+         * {@link AsyncLock.executeCallback}.
+         * @param token The token which contains the callback to call.
+         */
+        executeCallback(token: SharedAsyncSemaphoreToken): void;
+
+        /**
+         * A function which is used to reduce the semaphore queue size. Same as
+         * {@link AsyncLock.reduceQueue}.
+         * @param queue The queue of tokens.
+         * @param options The options that control the reduction algorithm.
+         * @returns An array of the tokens which were removed from the queue
+         */
+        reduceQueue(queue: SharedAsyncSemaphoreToken[], options: SharedAsyncSemaphoreOptions): SharedAsyncSemaphoreToken[];
+    }
+
+    /**
+     * An asynchronous lock whose state lives in a `SharedArrayBuffer`, so it
+     * can be shared between worker threads. A {@link SharedAsyncSemaphore}
+     * with a single permit.
+     */
+    export class SharedAsyncLock extends SharedAsyncSemaphore {
+        /** Default options used when creating a new lock instance. */
+        static defaultOptions: SharedAsyncSemaphoreOptions;
+
+        /**
+         * Creates a new lock or attaches to the lock of the given buffer.
+         * @param buffer The buffer of an existing lock.
+         * @param options Options for the lock.
+         */
+        constructor(buffer?: SharedArrayBuffer | null, options?: Partial<SharedAsyncSemaphoreOptions>);
+
+        /**
+         * Acquires the lock and when successful executes the callback. If the
+         * lock is held by any thread, waits (asynchronously) until it is left.
+         * @param callback The callback which is going to be called when the
+         * lock is acquired.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @returns The token which controls the lock.
+         */
+        enter(callback: SharedAsyncSemaphoreCallback, timeout?: number | WaitOptions<SharedAsyncSemaphoreToken>): SharedAsyncSemaphoreToken;
+    }
+
+    /**
+     * The state of a named lock as reported by a {@link LockBackend}.
+     */
+    export interface LockBackendState {
+        /** `true` if the lock is currently held. */
+        isLocked: boolean;
+        /** The number of callbacks waiting for the lock. */
+        queueSize: number;
+    }
+
+    /**
+     * The backend of the wrapper named locks. The default backend keeps an
+     * {@link AsyncLock} per name in the current process.
+     */
+    export interface LockBackend<THandle = unknown> {
+        /**
+         * Acquires the lock with the given name.
+         * @param name The name of the lock.
+         * @param callback Called with the handle once the lock is acquired.
+         * @param options The options of the call.
+         * @returns The handle which controls the lock.
+         */
+        acquire(name: string, callback: (handle: THandle) => void, options: EnterOptions): THandle;
+
+        /**
+         * Releases the lock of the given handle.
+         * @param name The name of the lock.
+         * @param handle The handle of the lock.
+         */
+        release(name: string, handle: THandle): void;
+
+        /**
+         * Renews the lease of the given handle, if the backend has leases.
+         * @param name The name of the lock.
+         * @param handle The handle of the lock.
+         */
+        renew(name: string, handle: THandle): void;
+
+        /**
+         * @param name The name of the lock.
+         * @returns The state of the lock or `null` if the lock does not exist.
+         */
+        inspect(name: string): LockBackendState | null;
+    }
+
+    /**
+     * Options for configuring the {@link FileBackend}.
+     */
+    export interface FileBackendOptions {
+        /**
+         * The directory of the lock files.
+         * Default: `node-async-locks` in the temporary directory of the OS
+         */
+        directory: string;
+
+        /**
+         * A lock file whose modification time is older than this number of
+         * milliseconds is stale.
+         * Default: `10000`
+         */
+        staleTimeout: number;
+
+        /**
+         * The holder renews the lease of its lock file every this number of
+         * milliseconds, must be smaller than the stale timeout.
+         * Default: `2000`
+         */
+        renewInterval: number;
+
+        /**
+         * A waiter tries to create the lock file again every this number of
+         * milliseconds.
+         * Default: `50`
+         */
+        retryInterval: number;
+    }
+
+    /**
+     * A handle of a lock acquired by the {@link FileBackend}.
+     */
+    export interface FileBackendHandle {
+        /** The unique identifier of this handle in this process. */
+        id: number;
+        /** The name of the lock. */
+        name: string;
+        /** The path of the lock file. */
+        file: string;
+        /** The identifier written to the lock file by this handle. */
+        ownerId: string;
+        /** `true` if the call was canceled before the lock was acquired. */
+        isCanceled: boolean;
+        /** `true` while the lock is held. */
+        isAcquired: boolean;
+        /** `true` if another holder has taken over the lock file. */
+        isExpired?: boolean;
+    }
+
+    /**
+     * A lock backend which coordinates the named locks of several processes
+     * on the same host using lock files. The holder renews the lease of its
+     * lock file while it is alive, a lock file whose lease was not renewed or
+     * whose process is no longer running is stale and is taken over.
+     */
+    export class FileBackend implements LockBackend<FileBackendHandle> {
+        /** Default options used when creating a new backend instance. */
+        static defaultOptions: FileBackendOptions;
+
+        /**
+         * Creates a new FileBackend, the directory is created if needed.
+         * @param options Options for the backend.
+         */
+        constructor(options?: Partial<FileBackendOptions>);
+
+        /** The options of this backend. */
+        options: FileBackendOptions;
+
+        /**
+         * @param name The name of the lock.
+         * @returns The path of the lock file of the lock.
+         */
+        getFile(name: string): string;
+
+        /**
+         * Acquires the lock with the given name. If the lock file cannot be
+         * created the call is canceled with the reason `aborted` and the
+         * file system error. The `onExpire` option is called if another
+         * holder has taken over the lock file.
+         * @param name The name of the lock.
+         * @param callback Called with the handle once the lock is acquired.
+         * @param options The amount of time to wait in milliseconds or the
+         * {@link EnterOptions} of the call.
+         * @returns The handle which controls the lock.
+         */
+        acquire(name: string, callback: (handle: FileBackendHandle) => void, options?: number | EnterOptions): FileBackendHandle;
+
+        /**
+         * Releases the lock of the given handle, the lock file is removed only
+         * if it still belongs to the handle.
+         * @param name The name of the lock.
+         * @param handle The handle of the lock.
+         * @param callback Called once the lock file was removed.
+         */
+        release(name: string, handle: FileBackendHandle, callback?: () => void): void;
+
+        /**
+         * Renews the lease of the given handle right away.
+         * @param name The name of the lock.
+         * @param handle The handle of the lock.
+         * @param callback Called with an error if the lease could not be renewed.
+         */
+        renew(name: string, handle: FileBackendHandle, callback?: (err?: Error | null) => void): void;
+
+        /**
+         * @param name The name of the lock.
+         * @returns The state of the lock as seen by this process or `null` if
+         * there is no lock file and no waiter in this process.
+         */
+        inspect(name: string): LockBackendState | null;
+    }
+
+    /**
+     * A handle of a lock acquired by the {@link ClusterBackend}.
+     */
+    export interface ClusterBackendHandle {
+        /** The unique identifier of this handle in this worker. */
+        id: number;
+        /** The name of the lock. */
+        name: string;
+        /** `true` if the call was canceled before the lock was acquired. */
+        isCanceled: boolean;
+        /** `true` while the lock is held. */
+        isAcquired: boolean;
+        /** `true` if the primary has released the lock after its `maxHoldTime`. */
+        isExpired?: boolean;
+    }
+
+    /**
+     * The IPC channel between a worker and the primary process.
+     */
+    export interface ClusterChannel {
+        send(message: any): unknown;
+        on(event: 'message', listener: (message: any) => void): unknown;
+        removeListener(event: 'message', listener: (message: any) => void): unknown;
+    }
+
+    /**
+     * A lock backend for the workers of a cluster which asks the
+     * {@link ClusterLockServer} of the primary process for the named locks
+     * over IPC.
+     */
+    export class ClusterBackend implements LockBackend<ClusterBackendHandle> {
+        /** The type of the messages which are sent between the workers and the primary. */
+        static messageType: string;
+
+        /** The enter options which are passed to the lock in the primary. */
+        static forwardedOptions: string[];
+
+        /**
+         * Creates a new ClusterBackend.
+         * @param channel The IPC channel to the primary, default is `process`.
+         */
+        constructor(channel?: ClusterChannel);
+
+        /**
+         * Asks the primary for the lock with the given name. The timeout and
+         * the signal are handled in this worker, the `priority` and
+         * `maxHoldTime` options are passed to the primary.
+         * @param name The name of the lock.
+         * @param callback Called with the handle once the lock is acquired.
+         * @param options The amount of time to wait in milliseconds or the
+         * {@link EnterOptions} of the call.
+         * @returns The handle which controls the lock.
+         */
+        acquire(name: string, callback: (handle: ClusterBackendHandle) => void, options?: number | EnterOptions): ClusterBackendHandle;
+
+        /**
+         * Releases the lock of the given handle in the primary.
+         * @param name The name of the lock.
+         * @param handle The handle of the lock.
+         */
+        release(name: string, handle: ClusterBackendHandle): void;
+
+        /**
+         * The locks of the primary have no lease, does nothing.
+         */
+        renew(name: string, handle: ClusterBackendHandle): void;
+
+        /**
+         * @param name The name of the lock.
+         * @returns The last state of the lock pushed by the primary or `null`
+         * if the lock doesn't exist.
+         */
+        inspect(name: string): LockBackendState | null;
+
+        /**
+         * Stops listening to the messages of the primary.
+         */
+        close(): void;
+    }
+
+    /**
+     * The cluster as seen by the {@link ClusterLockServer}, usually the
+     * `cluster` module.
+     */
+    export interface ClusterLike {
+        workers?: { [id: string]: unknown };
+        on(event: 'message' | 'exit', listener: (...args: any[]) => void): unknown;
+        removeListener(event: 'message' | 'exit', listener: (...args: any[]) => void): unknown;
+    }
+
+    /**
+     * Owns the named locks of a cluster in the primary process and serves the
+     * workers which use a {@link ClusterBackend}. A worker which exits has its
+     * locks released and its pending calls canceled.
+     */
+    export class ClusterLockServer {
+        /**
+         * Creates a new ClusterLockServer and starts serving the workers.
+         * @param cluster The cluster module.
+         * @param backend The backend which keeps the locks.
+         */
+        constructor(cluster: ClusterLike, backend: LockBackend<any>);
+
+        /**
+         * Stops serving the workers, the locks held by workers stay held.
+         */
+        close(): void;
+    }
+
+    /**
+     * An asynchronous lock over a tree of resources which are identified by
+     * paths (e.g. `'tenant/42/project/7'`). Locking a path excludes its
+     * ancestors and its descendants while paths in different branches may be
+     * locked at the same time.
+     */
+    export class HierarchicalLock {
+        /** Default options used when creating a new lock instance. */
+        static defaultOptions: HierarchicalLockOptions;
+
+        /**
+         * Creates a new HierarchicalLockInstance with the given options.
+         * @param options Options for the lock.
+         */
+        constructor(options?: Partial<HierarchicalLockOptions>);
+
+        /**
+         * Locks the given path and when successful executes the callback. If
+         * the path, one of its ancestors or one of its descendants is locked,
+         * waits (asynchronously) until it is unlocked. A waiting callback is not
+         * overtaken by later callbacks which need an overlapping path.
+         * @param path The path to lock.
+         * @param callback The callback which is going to be called when the
+         * path is locked.
+         * @param timeout The amount of time to wait in milliseconds before
+         * canceling the callback call or the {@link WaitOptions}.
+         * @returns The token which controls the locked path.
+         */
+        enter(path: LockPath, callback: HierarchicalLockCallback, timeout?: number | WaitOptions<HierarchicalLockToken>): HierarchicalLockToken;
+
+        /**
+         * Unlocks the path of the given token and executes the pending callbacks
+         * whose paths are now free.
+         * @param token The token which has locked the path.
+         * @param abortPending If true, all pending callbacks are canceled and never
+         * executed.
+         */
+        leave(token: HierarchicalLockToken, abortPending?: boolean): void;
+
+        /**
+         * @param path The path to check, if omitted checks if any path is locked.
+         * @returns `true` if the path is locked by itself or by one of its ancestors.
+         */
+        isLocked(path?: LockPath): boolean;
+
+        /**
+         * @returns The number of callbacks currently pending on the lock.
+         */
+        queueSize(): number;
+
+        /**
+         * @param path The path to parse.
+         * @returns The segments of the path without empty segments.
+         */
+        parsePath(path: LockPath): string[];
+
+        /**
+         * A function that creates all the tokens that are used by this lock.
+         * @param callback The callback associated with the acquiring of this token.
+         * @param path The segments of the path this token locks.
+         * @returns The newly created token with the callback.
+         */
+        createToken(callback: HierarchicalLockCallback, path: string[]): HierarchicalLockToken;
+
+        /**
+         * A function which is used to execute the callback on the token. Same as
+         * {@link AsyncLock.executeCallback}.
+         * @param token The token which contains the callback to call.
+         */
+        executeCallback(token: HierarchicalLockToken): void;
+
+        /**
+         * A function which is used to reduce the lock queue size. Same as
+         * {@link AsyncLock.reduceQueue}.
+         * @param queue The queue of tokens.
+         * @param options The options that control the reduction algorithm.
+         * @returns An array of the tokens which were removed from the queue
+         */
+        reduceQueue(queue: HierarchicalLockToken[], options: HierarchicalLockOptions): HierarchicalLockToken[];
     }
 
     /**
@@ -212,10 +1623,25 @@ declare namespace AsyncLock {
      * manually reset using the reset function. That is, calls to wait execute
      * immediately.
      */
-    export class ResetEvent {
+    export class ResetEvent<T = unknown> extends EventEmitter {
         /** Default options used when creating a new reset event instance. */
         static defaultOptions: ResetEventOptions;
 
+        /** The lifecycle events which are emitted by the reset event. */
+        static events: ResetEventEventName[];
+
+        on(event: "overflow", listener: (event: LockTokensEvent<ResetEventLockToken>) => void): this;
+        on(event: "set", listener: (event: ResetEventSetEvent<T>) => void): this;
+        on(event: "reset", listener: () => void): this;
+        on(event: "enqueue" | "acquire" | "timeout" | "abort", listener: (event: LockEvent<ResetEventLockToken>) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+        once(event: "overflow", listener: (event: LockTokensEvent<ResetEventLockToken>) => void): this;
+        once(event: "set", listener: (event: ResetEventSetEvent<T>) => void): this;
+        once(event: "reset", listener: () => void): this;
+        once(event: "enqueue" | "acquire" | "timeout" | "abort", listener: (event: LockEvent<ResetEventLockToken>) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+
         /**
          * Creates a new `ResetEventInstance` using the given signaled state and
          * options. If no options are provided the default options are used.
@@ -224,6 +1650,12 @@ declare namespace AsyncLock {
          */
         constructor(isSignaled?: boolean, options?: Partial<ResetEventOptions>);
 
+        /**
+         * The value of the last {@link set}, delivered to the callbacks which
+         * wait while the reset event stays signaled. Cleared by {@link reset}.
+         */
+        value: T | undefined;
+
         /**
          * A function that creates the token which will be used in this reset event.
          * @param callback Callback to wrap in a token.
@@ -251,8 +1683,8 @@ declare namespace AsyncLock {
         reduceQueue(queue: ResetEventLockToken[], options: ResetEventOptions): ResetEventLockToken[];
 
         /**
-         * Marks the reset event as not signaled. All further calls to wait will
-         * not execute immediately.
+         * Marks the reset event as not signaled and clears the value of the last
+         * set. All further calls to wait will not execute immediately.
          */
         reset(): void;
 
@@ -261,8 +1693,10 @@ declare namespace AsyncLock {
          * further calls to wait will execute immediately. If `autoResetCount` count
          * option was passed, it will execute only the given number of callbacks
          * (excluding canceled callbacks) and then mark the event as non-signaled.
+         * @param value Delivered to the released callbacks on the `value` of their
+         * tokens and to the callbacks which wait while the event stays signaled.
          */
-        set(): void;
+        set(value?: T): void;
 
         /**
          * Waits until the reset event becomes signaled then executes the callback
@@ -279,9 +1713,20 @@ declare namespace AsyncLock {
          * indefinitely. Returns a token which can be used to track the elapsed
          * time.
          * @param callback Callback to execute once the event becomes signaled.
-         * @param timeout Number of milliseconds to wait until giving up.
+         * @param timeout Number of milliseconds to wait until giving up or the
+         * {@link WaitOptions}.
          */
-        wait(callback: ResetEventCallback, timeout?: number): void;
+        wait(callback: ResetEventCallback, timeout?: number | WaitOptions<ResetEventLockToken>): ResetEventLockToken;
+
+        /**
+         * Same as {@link wait} but instead of a callback returns a promise which
+         * is resolved with the value of the set once the reset event becomes signaled.
+         *
+         * The promise is rejected with a {@link CancelError} if the wait is
+         * canceled before the reset event is signaled.
+         * @param options Options for this call.
+         */
+        waitAsync(options?: WaitOptions<ResetEventLockToken>): Promise<T>;
 
         /**
          * @returns `true` if the reset event is currently signaled and `false`
@@ -296,6 +1741,210 @@ declare namespace AsyncLock {
         queueSize(): number;
     }
 
+    /**
+     * A countdown event, similar to the WaitGroup of Go. The countdown event is
+     * a {@link ResetEvent} which is signaled while its count is zero, so
+     * waiting on it shares the tokens, the timeouts, the queue limits and the
+     * lifecycle events of the reset event.
+     *
+     * The count is incremented with {@link add} for every outstanding
+     * operation and decremented with {@link signal} (or {@link done}) when an
+     * operation finishes, the waiting callbacks are released when the count
+     * reaches zero.
+     */
+    export class CountdownEvent extends ResetEvent<undefined> {
+        /**
+         * Default options used when creating a new countdown event instance,
+         * the `autoResetCount` is always `Infinity`.
+         */
+        static defaultOptions: ResetEventOptions;
+
+        /** The lifecycle events which are emitted by the countdown event. */
+        static events: ResetEventEventName[];
+
+        /** The number of outstanding operations. */
+        count: number;
+
+        /**
+         * Creates a new countdown event with the given count, the countdown
+         * event is signaled if the count is zero.
+         * @param count A non negative integer, defaults to 0.
+         * @param options Options for this countdown event.
+         * @throws {InvalidArgumentError} If the count is not a non negative integer.
+         */
+        constructor(count?: number, options?: Partial<CountdownEventOptions>);
+
+        /**
+         * Adds the given delta to the count. The countdown event is reset when
+         * the count is incremented from zero and the waiting callbacks are
+         * released when the count reaches zero.
+         * @param delta An integer which may be negative, defaults to 1.
+         * @returns The new count.
+         * @throws {CountdownEventStateError} If the count would become negative.
+         */
+        add(delta?: number): number;
+
+        /**
+         * Decrements the count, the waiting callbacks are released when the
+         * count reaches zero.
+         * @param count The number of operations which have finished, defaults to 1.
+         * @returns The new count.
+         * @throws {CountdownEventStateError} If the count would become negative.
+         */
+        signal(count?: number): number;
+
+        /** Same as {@link signal}. */
+        done(count?: number): number;
+    }
+
+    /**
+     * An asynchronous cyclic barrier. The given number of parties arrive at the
+     * barrier and wait for each other, once the last party arrives the optional
+     * action is called and all the waiting parties continue. The barrier is then
+     * used again by the next generation of arrivals.
+     *
+     * If a waiting party times out or is aborted, or the action throws, the
+     * barrier is broken and all the waiting parties are canceled with the
+     * reason `broken`. The barrier stays broken until it is reset.
+     */
+    export class AsyncBarrier {
+        /** Default options used when creating a new barrier instance. */
+        static defaultOptions: AsyncBarrierOptions;
+
+        options: AsyncBarrierOptions;
+        /** The number of parties which must arrive before any of them continues. */
+        parties: number;
+        /** The number of parties which arrived in the current generation. */
+        arrived: number;
+        /** The current generation, incremented every time the barrier trips or is reset. */
+        generation: number;
+
+        /**
+         * @param parties The number of parties, a positive integer.
+         * @param options The action or the options of the barrier.
+         */
+        constructor(parties: number, options?: ((generation: number) => void) | Partial<AsyncBarrierOptions>);
+
+        /**
+         * A function that creates the token of an arrival.
+         * @param callback The callback associated with the token.
+         */
+        createToken(callback: (token: AsyncBarrierToken) => void): AsyncBarrierToken;
+
+        /**
+         * A function which is used to execute the callback on the token. Same as
+         * {@link AsyncLock.executeCallback}.
+         */
+        executeCallback(token: AsyncBarrierToken): void;
+
+        /**
+         * Arrives at the barrier without waiting for the other parties. An error
+         * thrown by the action breaks the barrier and is rethrown.
+         * @returns The generation of the arrival.
+         * @throws {BarrierBrokenError} If the barrier is broken.
+         */
+        arrive(): number;
+
+        /**
+         * Arrives at the barrier and waits until all the parties of the
+         * generation arrive, then executes the callback. A timed out or aborted
+         * wait breaks the barrier. If the barrier is broken the returned token is
+         * canceled with the reason `broken` and the callback is never called.
+         * @param callback Called with the token, whose `generation` holds the
+         * generation of the arrival.
+         * @param timeout Number of milliseconds to wait until giving up or the
+         * {@link WaitOptions}.
+         */
+        wait(callback: (token: AsyncBarrierToken) => void, timeout?: number | WaitOptions<AsyncBarrierToken>): AsyncBarrierToken;
+
+        /**
+         * Same as {@link wait} but instead of a callback returns a promise which
+         * is resolved with the generation of the arrival once all the parties
+         * arrived. The promise is rejected with a {@link CancelError} if the wait
+         * times out or the barrier is broken.
+         * @param options Options for this call.
+         */
+        arriveAndWait(options?: WaitOptions<AsyncBarrierToken>): Promise<number>;
+
+        /**
+         * Resets the barrier and starts a new generation, the parties which are
+         * waiting on the current generation are canceled with the reason `broken`.
+         */
+        reset(): void;
+
+        /** @returns `true` if the barrier is broken. */
+        isBroken(): boolean;
+
+        /** @returns The number of parties which are waiting on the current generation. */
+        queueSize(): number;
+    }
+
+    /**
+     * A condition variable which is bound to an {@link AsyncLock}, created by
+     * {@link AsyncLock.createCondition}. A callback which holds the lock waits
+     * on the condition until another callback notifies it, the lock is
+     * released while waiting and is taken back before the waiting callback
+     * resumes, like a monitor.
+     */
+    export class AsyncCondition {
+        /** The lock of the condition. */
+        lock: AsyncLock;
+
+        constructor(lock: AsyncLock);
+
+        /**
+         * A function that creates the token of a wait on the condition.
+         * @param callback The callback associated with the token.
+         */
+        createToken(callback: AsyncLockCallback): AsyncConditionToken;
+
+        /**
+         * Releases the lock and waits until the condition is notified, then
+         * enters the lock again and executes the callback with the new token of
+         * the lock. A canceled wait takes the lock back as well, then `onCancel`
+         * is called with the token of the wait and the callback is called with
+         * the new token whose `waitCanceled` is the reason. If the lock cannot be
+         * entered again `onCancel` is called with the token of the lock and the
+         * callback is not called.
+         * @param token The token which holds the lock, a reentrant lock may not
+         * be entered more than once.
+         * @param callback Called with the new token of the lock once the lock is
+         * taken back.
+         * @param timeout Number of milliseconds to wait for the notification
+         * until giving up or the {@link WaitOptions}.
+         * @returns The token which represents the wait on the condition.
+         * @throws {NotOwnerError} If the token does not hold the lock.
+         */
+        wait(token: AsyncLockToken, callback: AsyncLockCallback, timeout?: number | WaitOptions<AsyncConditionToken | AsyncLockToken>): AsyncConditionToken;
+
+        /**
+         * Same as {@link wait} but instead of a callback returns a promise which
+         * is resolved with the new token of the lock once the lock is taken
+         * back, also when the wait is canceled (see `waitCanceled` of the
+         * token). The promise is rejected with a {@link CancelError} only if the
+         * lock cannot be entered again, in that case the lock is not held.
+         * @param token The token which holds the lock.
+         * @param options Options for this call.
+         */
+        waitAsync(token: AsyncLockToken, options?: WaitOptions<AsyncConditionToken | AsyncLockToken>): Promise<AsyncLockToken>;
+
+        /**
+         * Wakes the callback which has waited on the condition the longest.
+         * @returns `true` if a callback was waiting and `false` otherwise.
+         */
+        notify(): boolean;
+
+        /**
+         * Wakes all the callbacks which wait on the condition, they resume one
+         * at a time as each of them takes the lock back.
+         * @returns The number of callbacks which were woken.
+         */
+        notifyAll(): number;
+
+        /** @returns The number of callbacks which wait on the condition. */
+        queueSize(): number;
+    }
+
     /**
      * Tries to acquire the lock with the name `lockName` and when successful
      * executes the callback. If the lock cannot be acquired, waits
@@ -311,10 +1960,10 @@ declare namespace AsyncLock {
      * @param lockName Name of the lock to acquire.
      * @param callback Code to execute within the lock.
      * @param timeout Number of milliseconds to wait to acquire the lock until
-     * giving up.
+     * giving up or the {@link WaitOptions}.
      *
      */
-    export function lock(lockName: string, callback: SyncWrapperCallback, timeout?: number): void;
+    export function lock(lockName: string, callback: SyncWrapperCallback, timeout?: number | EnterOptions): void;
 
     /**
      * Tries to acquire the lock with the name lockName and when successful
@@ -341,6 +1990,254 @@ declare namespace AsyncLock {
         lockName: string, callback: AsyncWrapperCallback<T, A>, ...args: A
     ): Promise<T>;
 
+    /**
+     * Same as {@link lockPromise} with the {@link WaitOptions} of the call. If
+     * the call is canceled before the lock is acquired the promise is rejected
+     * with a {@link CancelError}, or with the reason of the signal when the
+     * signal is aborted.
+     * @param lockName Name of the lock to acquire.
+     * @param options Options of this call.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function lockPromise<T, A extends unknown[]>(
+        lockName: string, options: EnterOptions, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link lock} but enters all the locks with the given names
+     * before calling the callback. The locks are entered in a canonical order
+     * so the call cannot deadlock with another call which uses some of the
+     * same names. The timeout applies to entering all the locks, if the call
+     * is canceled none of the locks is held.
+     * @param lockNames Names of the locks to acquire.
+     * @param callback Code to execute within the locks, `done` frees all of them.
+     * @param timeout Number of milliseconds to wait to acquire all the locks
+     * until giving up or the {@link WaitOptions}.
+     */
+    export function lockMany(lockNames: string[], callback: SyncWrapperCallback, timeout?: number | EnterOptions): void;
+
+    /**
+     * Same as {@link lockPromise} but enters all the locks with the given
+     * names, see {@link lockMany}.
+     * @param lockNames Names of the locks to acquire.
+     * @param callback Code to execute within the locks.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function lockManyPromise<T, A extends unknown[]>(
+        lockNames: string[], callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link lockManyPromise} with the {@link WaitOptions} of the call.
+     * @param lockNames Names of the locks to acquire.
+     * @param options Options of this call, the timeout applies to entering all the locks.
+     * @param callback Code to execute within the locks.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function lockManyPromise<T, A extends unknown[]>(
+        lockNames: string[], options: EnterOptions, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link lock} but locks a path of the wrapper
+     * {@link HierarchicalLock}. Locking a path excludes its ancestors and its
+     * descendants. Paths are not related to the names of the other locks.
+     * @param path The path to lock.
+     * @param callback Code to execute within the lock.
+     * @param timeout Number of milliseconds to wait to acquire the lock until
+     * giving up or the {@link WaitOptions}.
+     */
+    export function lockPath(path: LockPath, callback: SyncWrapperCallback, timeout?: number | WaitOptions<HierarchicalLockToken>): void;
+
+    /**
+     * Same as {@link lockPromise} but locks a path of the wrapper
+     * {@link HierarchicalLock}.
+     * @param path The path to lock.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function lockPathPromise<T, A extends unknown[]>(
+        path: LockPath, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link lockPathPromise} with the {@link WaitOptions} of the call.
+     * @param path The path to lock.
+     * @param options Options of this call.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function lockPathPromise<T, A extends unknown[]>(
+        path: LockPath, options: WaitOptions<HierarchicalLockToken>, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * @param path The path to check.
+     * @returns `true` if the path is locked by itself or by one of its ancestors.
+     */
+    export function isPathLocked(path: LockPath): boolean;
+
+    /**
+     * Same as {@link lock} but enters a named {@link AsyncReadWriteLock} for
+     * reading. Read-write locks have their own names.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param callback Code to execute within the lock.
+     * @param timeout Number of milliseconds to wait to acquire the lock until
+     * giving up or the {@link WaitOptions}.
+     */
+    export function readLock(lockName: string, callback: SyncWrapperCallback, timeout?: number | WaitOptions<AsyncReadWriteLockToken>): void;
+
+    /**
+     * Same as {@link lock} but enters a named {@link AsyncReadWriteLock} for
+     * writing. Read-write locks have their own names.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param callback Code to execute within the lock.
+     * @param timeout Number of milliseconds to wait to acquire the lock until
+     * giving up or the {@link WaitOptions}.
+     */
+    export function writeLock(lockName: string, callback: SyncWrapperCallback, timeout?: number | WaitOptions<AsyncReadWriteLockToken>): void;
+
+    /**
+     * Same as {@link lockPromise} but enters a named {@link AsyncReadWriteLock}
+     * for reading.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function readLockPromise<T, A extends unknown[]>(
+        lockName: string, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link readLockPromise} with the {@link WaitOptions} of the call.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param options Options of this call.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function readLockPromise<T, A extends unknown[]>(
+        lockName: string, options: WaitOptions<AsyncReadWriteLockToken>, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link lockPromise} but enters a named {@link AsyncReadWriteLock}
+     * for writing.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function writeLockPromise<T, A extends unknown[]>(
+        lockName: string, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link writeLockPromise} with the {@link WaitOptions} of the call.
+     * @param lockName Name of the read-write lock to acquire.
+     * @param options Options of this call.
+     * @param callback Code to execute within the lock.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function writeLockPromise<T, A extends unknown[]>(
+        lockName: string, options: WaitOptions<AsyncReadWriteLockToken>, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Acquires a permit of the semaphore with the name `semaphoreName` and when
+     * successful executes the callback. Semaphores have their own names.
+     * @param semaphoreName Name of the semaphore.
+     * @param permits The number of permits of the semaphore, used only when the
+     * semaphore is created.
+     * @param callback Code to execute while holding the permit.
+     * @param timeout Number of milliseconds to wait to acquire the permit until
+     * giving up or the {@link WaitOptions}.
+     */
+    export function semaphore(
+        semaphoreName: string, permits: number, callback: SyncWrapperCallback, timeout?: number | WaitOptions<AsyncSemaphoreToken>
+    ): void;
+
+    /**
+     * Same as {@link semaphore} but expects the callback to return a promise,
+     * the permit is released when the promise is either resolved or rejected.
+     * @param semaphoreName Name of the semaphore.
+     * @param permits The number of permits of the semaphore, used only when the
+     * semaphore is created.
+     * @param callback Code to execute while holding the permit.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function semaphorePromise<T, A extends unknown[]>(
+        semaphoreName: string, permits: number, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Same as {@link semaphorePromise} with the {@link WaitOptions} of the call.
+     * @param semaphoreName Name of the semaphore.
+     * @param permits The number of permits of the semaphore, used only when the
+     * semaphore is created.
+     * @param options Options of this call.
+     * @param callback Code to execute while holding the permit.
+     * @param args Additional arguments that are passed to the callback.
+     * @returns The value that was returned by the callback.
+     */
+    export function semaphorePromise<T, A extends unknown[]>(
+        semaphoreName: string, permits: number, options: WaitOptions<AsyncSemaphoreToken>, callback: AsyncWrapperCallback<T, A>, ...args: A
+    ): Promise<T>;
+
+    /**
+     * Replaces the backend of the named locks ({@link lock},
+     * {@link lockPromise}, {@link lockMany}, {@link lockManyPromise},
+     * {@link lockExists}, {@link isLocked} and {@link queueSize}). The
+     * options, the idle eviction, the deadlock detection and
+     * `releaseQueue` apply to the default in-memory backend only.
+     * @param backend The new backend, if omitted the default in-memory backend
+     * is restored.
+     */
+    export function setBackend(backend?: LockBackend<any> | null): void;
+
+    /**
+     * @returns The backend of the named locks.
+     */
+    export function getBackend(): LockBackend<any>;
+
+    /**
+     * Shares the named locks between the processes of a cluster, call it in
+     * the primary and in every worker. The primary owns the locks and serves
+     * the workers over IPC, the locks held by a worker which exits are
+     * released. In a worker {@link lockExists}, {@link isLocked} and
+     * {@link queueSize} return the last state pushed by the primary.
+     */
+    export function enableClusterMode(): void;
+
+    /**
+     * Stops sharing the named locks between the processes of the cluster.
+     */
+    export function disableClusterMode(): void;
+
+    /**
+     * Starts tracking which async flow holds which named lock and which named
+     * lock it waits for. When a cycle forms it is reported with a
+     * {@link DeadlockError} and optionally the waiter which closed the cycle is
+     * canceled. Only the locks of {@link lock} and {@link lockPromise} which are
+     * entered after this call are tracked.
+     * @param options The options of the deadlock detection.
+     */
+    export function enableDeadlockDetection(options?: Partial<DeadlockDetectionOptions>): void;
+
+    /**
+     * Stops tracking the named locks for deadlocks.
+     */
+    export function disableDeadlockDetection(): void;
+
     /**
      * @param lockName Name of a lock to check.
      * @returns `true` if the lock with the name `lockName` is currently
@@ -365,7 +2262,7 @@ declare namespace AsyncLock {
     /**
      * @param lockName Name of a lock to check.
      * @returns A copy of the options of the lock with the given name, if the
-     * lock does not exist returns `null`.
+     * lock does not exist and no options were set for it returns `null`.
      */
     export function getOptions(lockName: string): AsyncLockOptions | null;
 
@@ -374,11 +2271,141 @@ declare namespace AsyncLock {
      * options. If a lock with the given name doesn't exist, creates the lock
      * and extends the default options with the given options. This function may
      * be used to create a lock without entering it by calling
-     * `wrapper.setOptions('foo')`.
+     * `wrapper.setOptions('foo')`. The options are kept when the lock is
+     * evicted and are used when the lock is created again.
      * @param lockName  Name of a lock whose options to change.
      * @param options New options to set.
      */
     export function setOptions(lockName: string, options: Partial<AsyncLockOptions>): void;
+
+    /**
+     * Waits on the {@link ResetEvent} with the given name, the event is created
+     * (not signaled) if it does not exist. The names of the events are separate
+     * from the names of the locks.
+     * @param eventName Name of the event.
+     * @param callback Callback to execute once the event becomes signaled, the
+     * `value` of the token holds the value given to {@link set}.
+     * @param timeout Number of milliseconds to wait until giving up or the
+     * {@link WaitOptions}.
+     */
+    export function wait(eventName: string, callback: ResetEventCallback, timeout?: number | WaitOptions<ResetEventLockToken>): void;
+
+    /**
+     * Same as {@link wait} but returns a promise which is resolved with the
+     * value given to {@link set}. The promise is rejected with a
+     * {@link CancelError} if the wait is canceled.
+     * @param eventName Name of the event.
+     * @param options Options for this call.
+     */
+    export function waitPromise<T = unknown>(eventName: string, options?: WaitOptions<ResetEventLockToken>): Promise<T>;
+
+    /**
+     * Signals the {@link ResetEvent} with the given name and releases the
+     * callbacks waiting on it.
+     * @param eventName Name of the event.
+     * @param value Delivered to the released callbacks.
+     * @throws {ResetEventStateError} If the event is already signaled.
+     */
+    export function set(eventName: string, value?: unknown): void;
+
+    /**
+     * Resets the {@link ResetEvent} with the given name to the non signaled
+     * state.
+     * @param eventName Name of the event.
+     * @throws {ResetEventStateError} If the event is not signaled.
+     */
+    export function reset(eventName: string): void;
+
+    /**
+     * @param eventName Name of the event to check.
+     * @returns `true` if the event with the given name is signaled, `false`
+     * if it is not signaled and `null` if it does not exist.
+     */
+    export function isSignaled(eventName: string): boolean | null;
+
+    /**
+     * Extends the options of the {@link ResetEvent} with the given name with
+     * the given options, the event is created if it doesn't exist. The options
+     * are kept when the event is evicted and are used when the event is
+     * created again.
+     * @param eventName Name of the event whose options to change.
+     * @param options New options to set.
+     */
+    export function setEventOptions(eventName: string, options: Partial<ResetEventOptions>): void;
+
+    /**
+     * Sets how long a named lock may stay idle (unlocked with an empty queue)
+     * before it is removed from the registry. Eviction is disabled by default.
+     * A named event is idle when it is not signaled and no callback waits on it.
+     * @param timeout The idle time in milliseconds, `0` removes idle locks
+     * right away and `null` disables the eviction.
+     */
+    export function setIdleTimeout(timeout: number | null): void;
+
+    /**
+     * @returns The number of named locks in the registry.
+     */
+    export function size(): number;
+
+    /**
+     * Listens to the lifecycle events of all the named locks of the in-memory
+     * backend, the events have a `name` property with the name of the lock.
+     * @param event The name of the event.
+     * @param listener Called with the event.
+     */
+    export function on(event: AsyncLockEventName, listener: (event: NamedLockEvent) => void): typeof AsyncLock;
+
+    /**
+     * Listens to the deadlocks which are detected by the deadlock detection,
+     * see {@link enableDeadlockDetection}.
+     * @param event `deadlock`
+     * @param listener Called with the {@link DeadlockError} of the cycle.
+     */
+    export function on(event: "deadlock", listener: (error: DeadlockError) => void): typeof AsyncLock;
+
+    /**
+     * Same as {@link on} but the listener is called only once.
+     */
+    export function once(event: AsyncLockEventName, listener: (event: NamedLockEvent) => void): typeof AsyncLock;
+    export function once(event: "deadlock", listener: (error: DeadlockError) => void): typeof AsyncLock;
+
+    /**
+     * Removes a listener which was added by {@link on} or {@link once}.
+     */
+    export function off(event: AsyncLockEventName, listener: (event: NamedLockEvent) => void): typeof AsyncLock;
+    export function off(event: "deadlock", listener: (error: DeadlockError) => void): typeof AsyncLock;
+
+    /**
+     * Same as {@link off}.
+     */
+    export function removeListener(event: AsyncLockEventName, listener: (event: NamedLockEvent) => void): typeof AsyncLock;
+    export function removeListener(event: "deadlock", listener: (error: DeadlockError) => void): typeof AsyncLock;
+
+    /**
+     * @returns The number of listeners of the given event.
+     */
+    export function listenerCount(event: AsyncLockEventName | "deadlock"): number;
+
+    /**
+     * @returns The names of the locks in the registry.
+     */
+    export function names(): string[];
+
+    /**
+     * @param options The options of the call.
+     * @returns The contention metrics of all the named locks of the in-memory
+     * backend, sorted in descending order by `options.sortBy`. The metrics of
+     * an evicted lock are kept until they are reset.
+     */
+    export function stats(options?: Partial<StatsOptions>): NamedLockStats[];
+
+    /**
+     * Removes the recorded contention metrics of the lock with the given name
+     * or of all the named locks if no name is given, the metrics of an evicted
+     * lock are removed altogether.
+     * @param lockName The name of the lock.
+     */
+    export function resetStats(lockName?: string): void;
 }
 
 export = AsyncLock;
@@ -0,0 +1,249 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLock = require('./async-lock');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+var tokenId = 0;
+
+function elapsed() {
+    return new Date() - this.start;
+}
+
+function isPositiveInteger(value) {
+    return typeof value === 'number' && value > 0 && value % 1 === 0;
+}
+
+/**
+ * Breaks the barrier, the waiting tokens are canceled with the reason 'broken'
+ * @param {AsyncBarrier} barrier - The barrier to break
+ * @param {Error} [cause] - The error which broke the barrier, if the barrier action threw
+ */
+function breakBarrier(barrier, cause) {
+    var waiting = barrier.queue;
+    var error = cause ? new errors.BarrierBrokenError('The barrier action failed: ' + cause.message, cause) : null;
+
+    barrier.broken = true;
+    barrier.queue = [];
+    _.forEach(waiting, function (token) {
+        cancellation.cancel(token, 'broken', error);
+    });
+}
+
+/**
+ * Counts an arrival of the current generation, the last arrival runs the barrier action,
+ * releases the waiting tokens and starts the next generation
+ * @param {AsyncBarrier} barrier - The barrier
+ * @returns {number} The generation of the arrival
+ */
+function countArrival(barrier) {
+    var generation = barrier.generation;
+    var released;
+
+    barrier.arrived++;
+    if (barrier.arrived < barrier.parties) {
+        return generation;
+    }
+
+    if (barrier.options.action) {
+        try {
+            barrier.options.action(generation);
+        } catch (err) {
+            breakBarrier(barrier, err);
+            throw err;
+        }
+    }
+
+    released = barrier.queue;
+    barrier.queue = [];
+    barrier.arrived = 0;
+    barrier.generation++;
+    _.forEach(released, function (token) {
+        cancellation.unwatch(token);
+        barrier.executeCallback(token);
+    });
+    return generation;
+}
+
+/**
+ * An asynchronous cyclic barrier.
+ * The given number of parties arrive at the barrier and wait for each other, once the last party arrives the optional action is called
+ * and all the waiting parties continue. The barrier is then used again by the next generation of arrivals.
+ * If a waiting party times out or is aborted, or the action throws, the barrier is broken and all the waiting parties are canceled
+ * with the reason 'broken', the barrier stays broken until it is reset.
+ * @constructor
+ * @param {number} parties - The number of parties which must arrive before any of them continues
+ * @param {function|object} [options] - optional set of options for this barrier or the action,
+ * the action is a function of the form foo(generation) which is called once per generation when the last party arrives
+ */
+var AsyncBarrier = function (parties, options) {
+    if (!isPositiveInteger(parties)) {
+        throw new errors.InvalidArgumentError('The parties must be a positive integer');
+    }
+    if (_.isFunction(options)) {
+        options = {action: options};
+    }
+
+    this.options = _.extend({}, AsyncBarrier.defaultOptions, options);
+    if (this.options.action !== null && !_.isFunction(this.options.action)) {
+        throw new errors.InvalidArgumentError('The action must be a function');
+    }
+
+    this.parties = parties;
+    this.queue = [];
+    this.arrived = 0;
+    this.generation = 0;
+    this.broken = false;
+};
+
+AsyncBarrier.defaultOptions = {
+    action: null
+};
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the token.
+ */
+AsyncBarrier.prototype.createToken = function (callback) {
+    return {
+        id: tokenId++,
+        isCanceled: false,
+        callback: callback,
+        elapsed: elapsed,
+        start: new Date(),
+        barrier: this,
+        generation: this.generation
+    };
+};
+
+/**
+ * Executes the user callback asynchronously, same as AsyncLock#executeCallback
+ */
+AsyncBarrier.prototype.executeCallback = AsyncLock.prototype.executeCallback;
+
+/**
+ * Arrives at the barrier without waiting for the other parties.
+ * If this is the last party of the generation the action is called and the waiting parties continue,
+ * an error thrown by the action breaks the barrier and is rethrown.
+ * @returns {number} The generation of the arrival
+ */
+AsyncBarrier.prototype.arrive = function () {
+    if (this.broken) {
+        throw cancellation.createCancelError('broken');
+    }
+    return countArrival(this);
+};
+
+/**
+ * Arrives at the barrier and waits until all the parties of the generation arrive, then executes the callback.
+ * If this is the last party of the generation the callback is executed without waiting.
+ * @param {function} callback - The callback which is going to be called once all the parties arrived
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel). A timed out or aborted wait breaks the barrier.
+ * The callback is of the form foo(token) (i.e. it will receive the token as a parameter when called),
+ * the generation property of the token holds the generation of the arrival
+ * @returns {object} token - A token which can be used to track the elapsed time, if the barrier is broken the token is canceled
+ * with the reason 'broken' and the callback is never called
+ */
+AsyncBarrier.prototype.wait = function (callback, timeout) {
+    var options = cancellation.getOptions(timeout);
+    var self = this;
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    var token = this.createToken(callback);
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
+
+    if (this.broken) {
+        cancellation.cancel(token, 'broken');
+        return token;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        breakBarrier(this);
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    this.queue.push(token);
+    cancellation.watch(token, options, function () {
+        _.pull(self.queue, token);
+        breakBarrier(self);
+    }, function () {
+        _.pull(self.queue, token);
+        breakBarrier(self);
+    });
+
+    try {
+        countArrival(this);
+    } catch (err) {
+        // The barrier is broken and the waiting tokens (including this one) are canceled
+    }
+    return token;
+};
+
+/**
+ * Arrives at the barrier and returns a promise which is resolved with the generation of the arrival once all the parties arrived.
+ * The promise is rejected if the wait times out, is aborted or the barrier is broken.
+ * @param {object} [options] - optional set of options for this call, same as the options of wait
+ * @returns A promise which is resolved with the generation number
+ */
+AsyncBarrier.prototype.arriveAndWait = function (options) {
+    var self = this;
+    options = options || {};
+
+    return new Promise(function (resolve, reject) {
+        self.wait(function (token) {
+            resolve(token.generation);
+        }, cancellation.extendOnCancel(options, function (token, reason) {
+            reject(cancellation.createRejection(options, reason, token));
+        }));
+    });
+};
+
+/**
+ * Resets the barrier to its initial state and starts a new generation.
+ * The parties which are waiting on the current generation are canceled with the reason 'broken'.
+ */
+AsyncBarrier.prototype.reset = function () {
+    if (this.queue.length > 0) {
+        breakBarrier(this);
+    }
+    this.generation++;
+    this.arrived = 0;
+    this.broken = false;
+};
+
+/**
+ * Returns true if the barrier is broken and false otherwise
+ */
+AsyncBarrier.prototype.isBroken = function () {
+    return this.broken;
+};
+
+/**
+ * Returns the number of parties which are waiting on the current generation
+ */
+AsyncBarrier.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+/**
+ * Do not use this function, it is for unit tests only
+ * @private
+ */
+AsyncBarrier.__reset = function () {
+    tokenId = 0;
+};
+
+module.exports = AsyncBarrier;
@@ -0,0 +1,201 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncResource = require('async_hooks').AsyncResource;
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+var tokenId = 0;
+
+function elapsed() {
+    return new Date() - this.start;
+}
+
+/**
+ * Makes the given waiter enter the lock of the condition again, the callback of the waiter is called with the new token of the lock.
+ * The lock is entered within the async context of the wait and not of the notifier,
+ * otherwise a reentrant lock would let the waiter in while the notifier still holds it.
+ * A canceled wait is reported once the lock is held again, the new token has a waitCanceled property with the reason.
+ * @param {AsyncCondition} condition - The condition which was notified
+ * @param {object} waiter - The token of the waiter
+ * @param {string} [reason] - Why the wait was canceled ('timeout' or 'aborted'), undefined if the condition was notified
+ */
+function resume(condition, waiter, reason) {
+    cancellation.unwatch(waiter);
+    waiter.asyncResource.runInAsyncScope(function () {
+        condition.lock.enter(function (token) {
+            if (reason) {
+                token.waitCanceled = reason;
+                if (waiter.onWaitCancel) {
+                    waiter.onWaitCancel(waiter, reason);
+                }
+            }
+            waiter.callback(token);
+        }, {
+            priority: waiter.priority,
+            onCancel: waiter.onWaitCancel
+        });
+    });
+}
+
+/**
+ * A condition variable which is bound to an AsyncLock, created by AsyncLock#createCondition.
+ * A callback which holds the lock waits on the condition until another callback notifies it,
+ * the lock is released while waiting and is taken back before the waiting callback resumes, like a monitor.
+ * @constructor
+ * @param {AsyncLock} lock - The lock of the condition
+ */
+var AsyncCondition = function (lock) {
+    this.lock = lock;
+    this.queue = [];
+};
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the token.
+ */
+AsyncCondition.prototype.createToken = function (callback) {
+    return {
+        id: tokenId++,
+        isCanceled: false,
+        callback: callback,
+        elapsed: elapsed,
+        start: new Date(),
+        condition: this
+    };
+};
+
+/**
+ * Releases the lock and waits until the condition is notified, then enters the lock again and executes the callback.
+ * Since the lock is released after the callback is queued a notification cannot be missed.
+ * @param {object} token - The token which holds the lock, the lock may not be entered more than once by a reentrant flow
+ * @param {function} callback - The callback which is called once the lock is taken back, of the form foo(token) where token is the new token of the lock
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds for the notification before canceling the wait,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * A canceled wait takes the lock back as well, then onCancel is called with the token of the wait and the reason
+ * and the callback is called with the new token of the lock whose waitCanceled property is the reason ('timeout' or 'aborted').
+ * onCancel is also called with the token of the lock if the lock cannot be entered again (e.g. the queue of the lock overflows),
+ * in that case the callback is not called. The priority of the token is kept when the lock is entered again.
+ * @returns {object} The token which represents the wait on the condition
+ */
+AsyncCondition.prototype.wait = function (token, callback, timeout) {
+    var options = cancellation.getOptions(timeout);
+    var self = this;
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    if (token.lock !== this.lock || token.id !== this.lock.ownerTokenId || token.hasLeft) {
+        throw new errors.NotOwnerError('The token ' + JSON.stringify(token.id) + ' does not hold the lock of the condition', token);
+    }
+
+    if (this.lock.holdCount > 1) {
+        throw new errors.InvalidArgumentError('Cannot wait on a condition while the lock is entered more than once');
+    }
+
+    var waiter = this.createToken(callback);
+
+    if (waiter === null || waiter === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', waiter);
+    }
+
+    waiter.priority = token.priority || 0;
+    waiter.asyncResource = new AsyncResource('AsyncCondition');
+
+    if (options.onCancel) {
+        waiter.onWaitCancel = options.onCancel;
+    }
+
+    // A canceled wait takes the lock back like a notified one, the cancellation is reported once the lock is held
+    waiter.onCancel = function (canceledWaiter, reason) {
+        _.pull(self.queue, waiter);
+        resume(self, waiter, reason);
+    };
+
+    if (options.signal && options.signal.aborted) {
+        this.lock.leave(token);
+        cancellation.cancel(waiter, 'aborted');
+        return waiter;
+    }
+
+    this.queue.push(waiter);
+    cancellation.watch(waiter, options, _.noop);
+
+    this.lock.leave(token);
+    return waiter;
+};
+
+/**
+ * Same as wait but instead of a callback returns a promise which is resolved with the new token of the lock once the lock is taken back.
+ * A canceled wait resolves the promise as well, the waitCanceled property of the new token is the reason ('timeout' or 'aborted').
+ * The promise is rejected only if the lock cannot be entered again, in that case the lock is not held.
+ * @param {object} token - The token which holds the lock
+ * @param {object} [options] - optional set of options for this call, same as the options of wait
+ * @returns A promise which is resolved with the new token of the lock
+ */
+AsyncCondition.prototype.waitAsync = function (token, options) {
+    var self = this;
+    options = options || {};
+
+    return new Promise(function (resolve, reject) {
+        self.wait(token, resolve, cancellation.extendOnCancel(options, function (canceled, reason) {
+            // The token of the wait is reported after the lock was taken back and the promise is resolved with the new token
+            if (canceled.condition !== self) {
+                reject(cancellation.createRejection(options, reason, canceled));
+            }
+        }));
+    });
+};
+
+/**
+ * Wakes the callback which has waited on the condition the longest, the callback resumes once it takes the lock back
+ * @returns {boolean} True if a callback was waiting and false otherwise
+ */
+AsyncCondition.prototype.notify = function () {
+    var waiter;
+
+    while (this.queue.length > 0) {
+        waiter = this.queue.shift();
+        if (!waiter.isCanceled) {
+            resume(this, waiter);
+            return true;
+        }
+        cancellation.unwatch(waiter);
+    }
+    return false;
+};
+
+/**
+ * Wakes all the callbacks which wait on the condition, they resume one at a time as each of them takes the lock back
+ * @returns {number} The number of callbacks which were woken
+ */
+AsyncCondition.prototype.notifyAll = function () {
+    var count = 0;
+
+    while (this.notify()) {
+        count++;
+    }
+    return count;
+};
+
+/**
+ * Returns the number of callbacks which wait on the condition
+ */
+AsyncCondition.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+/**
+ * Do not use this function, it is for unit tests only
+ * @private
+ */
+AsyncCondition.__reset = function () {
+    tokenId = 0;
+};
+
+module.exports = AsyncCondition;
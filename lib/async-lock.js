@@ -1,9 +1,20 @@
 'use strict';
 
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
 var _ = require('lodash');
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+var cancellation = require('./cancellation');
+var lockEvents = require('./lock-events');
+var LockStats = require('./lock-stats');
+var AsyncCondition = require('./async-condition');
+var errors = require('./errors');
 
 var tokenId = 0;
 
+// Holds the locks owned by the current async flow, used by reentrant locks
+var ownersStorage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
 function elapsed() {
     return new Date() - this.start;
 }
@@ -14,20 +25,234 @@ function leave() {
     }
 }
 
+/**
+ * Returns the priority of the given token, when priorityAging is set the priority grows by one
+ * for every priorityAging milliseconds the token has been waiting.
+ * @param {object} token - The queued token
+ * @param {object} options - The options of the lock
+ */
+function effectivePriority(token, options) {
+    var priority = token.priority || 0;
+    if (options.priorityAging > 0 && token.start) {
+        priority += Math.floor((new Date() - token.start) / options.priorityAging);
+    }
+    return priority;
+}
+
+/**
+ * Inserts the token after all the queued tokens which have the same or a higher priority
+ * @param {array} queue - The queue of tokens
+ * @param {object} token - The token to insert
+ */
+function insertByPriority(queue, token) {
+    var index = _.findIndex(queue, function (queueToken) {
+        return (queueToken.priority || 0) < token.priority;
+    });
+    if (index === -1) {
+        queue.push(token);
+    } else {
+        queue.splice(index, 0, token);
+    }
+}
+
+/**
+ * Returns the index of the queued token which should acquire the lock next.
+ * The queue is ordered by priority so without aging it is always the first token.
+ * @param {array} queue - The queue of tokens
+ * @param {object} options - The options of the lock
+ */
+function nextTokenIndex(queue, options) {
+    if (typeof options.priorityAging !== 'number' || options.priorityAging <= 0) {
+        return 0;
+    }
+
+    var i, priority, index = 0, highest = -Infinity;
+    for (i = 0; i < queue.length; i++) {
+        priority = effectivePriority(queue[i], options);
+        if (priority > highest) {
+            highest = priority;
+            index = i;
+        }
+    }
+    return index;
+}
+
+/**
+ * Returns the index of the queued token with the lowest priority, the most recent one if there are several
+ * @param {array} queue - The queue of tokens
+ * @param {object} options - The options of the lock
+ */
+function lowestPriorityIndex(queue, options) {
+    var i, priority, index = queue.length - 1, lowest = Infinity;
+    for (i = queue.length - 1; i >= 0; i--) {
+        priority = effectivePriority(queue[i], options);
+        if (priority < lowest) {
+            lowest = priority;
+            index = i;
+        }
+    }
+    return index;
+}
+
+/**
+ * Returns the token which holds the given lock if the current async flow runs within its callback
+ * @param {AsyncLock} lock - The lock to check
+ */
+function findOwnerToken(lock) {
+    var owner = _.find(ownersStorage.getStore(), function (owner) {
+        return owner.lock === lock && owner.token.id === lock.ownerTokenId;
+    });
+    return owner ? owner.token : null;
+}
+
+/**
+ * Returns true if the given token (or the owner token of a nested reentrant hold) has held the lock longer than its maxHoldTime
+ * @param {object} token - The token to check
+ */
+function isExpired(token) {
+    return Boolean(token.isExpired || (token.ownerToken && token.ownerToken.isExpired));
+}
+
+function describeToken(token) {
+    return JSON.stringify(_.isObject(token) ? token.id : token);
+}
+
+/**
+ * Returns the error of leaving the given lock with the given token if the token does not own the lock
+ * @param {AsyncLock} lock - The lock to leave
+ * @param {object} token - The token which is used to leave the lock
+ * @returns {LockOwnershipError} The error or null if the token owns the lock, a token of another owner gets a NotOwnerError
+ */
+function getOwnershipError(lock, token) {
+    if (token.lock && token.lock !== lock) {
+        return new errors.NotOwnerError('The token ' + describeToken(token) + ' belongs to a different lock', token);
+    }
+    if (token.isCanceled) {
+        return new errors.LockOwnershipError('canceled', 'The token ' + describeToken(token) + ' was canceled before it acquired the lock', token);
+    }
+    if (isExpired(token)) {
+        return new errors.LockOwnershipError('expired', 'The token ' + describeToken(token) +
+            ' was released because it held the lock longer than the maximum hold time', token);
+    }
+    if (token.hasLeft) {
+        return new errors.LockOwnershipError('double-leave', 'The token ' + describeToken(token) + ' has already left the lock', token);
+    }
+    if (lock.ownerTokenId === null) {
+        return new errors.LockOwnershipError('not-locked', 'There is no pending token in the lock but received ' + describeToken(token), token);
+    }
+    if (lock.ownerTokenId !== token.id) {
+        return new errors.NotOwnerError('Owner token mismatch. Expected ' + lock.ownerTokenId +
+            ' but received ' + describeToken(token), token);
+    }
+    return null;
+}
+
+/**
+ * Makes the given token the owner of the lock and executes its callback.
+ * Reentrant locks execute the callback within an async flow which remembers the owned lock.
+ * @param {AsyncLock} lock - The lock to acquire
+ * @param {object} token - The token which acquires the lock
+ */
+function grant(lock, token) {
+    var maxHoldTime = token.maxHoldTime !== undefined ? token.maxHoldTime : lock.options.maxHoldTime;
+
+    lock.ownerTokenId = token.id;
+    lock.holdCount = 1;
+
+    if (maxHoldTime > 0 && maxHoldTime !== Infinity) {
+        lock.holdTimeoutId = setTimeout(function () {
+            lock.expire(token);
+        }, maxHoldTime);
+    }
+
+    lockEvents.emitAcquire(lock, token);
+
+    if (!lock.options.reentrant) {
+        lock.executeCallback(token);
+        return;
+    }
+
+    var owners = (ownersStorage.getStore() || []).concat([{lock: lock, token: token}]);
+    ownersStorage.run(owners, function () {
+        lock.executeCallback(token);
+    });
+}
+
+/**
+ * Releases the lock and resumes the waiting callback with the highest priority
+ * @param {AsyncLock} lock - The lock to release
+ * @param {object} token - The token which has held the lock
+ * @param {boolean} abortPending - If true, all pending callbacks are canceled and never executed
+ */
+function release(lock, token, abortPending) {
+    var queueToken;
+
+    if (lock.holdTimeoutId) {
+        clearTimeout(lock.holdTimeoutId);
+        lock.holdTimeoutId = null;
+    }
+
+    var wasLocked = lock.ownerTokenId !== null;
+    lock.ownerTokenId = null;
+    lock.holdCount = 0;
+    if (wasLocked) {
+        lockEvents.emit(lock, 'leave', lockEvents.createEvent(token));
+    }
+
+    while (lock.queue.length > 0) {
+        queueToken = lock.queue.splice(nextTokenIndex(lock.queue, lock.options), 1)[0];
+        cancellation.unwatch(queueToken);
+
+        if (queueToken.isCanceled) {
+            continue;
+        }
+        if (abortPending === true) {
+            cancellation.cancel(queueToken, 'aborted');
+        } else {
+            grant(lock, queueToken);
+            break;
+        }
+    }
+}
+
 /**
  * An asynchronous lock.
+ * The lock is an EventEmitter which emits the following lifecycle events:
+ * enqueue, acquire, leave, timeout and abort with an event of the form {token, waitTime, holdTime}
+ * and overflow with an event of the form {tokens} which holds the tokens that were removed from the queue.
  * @constructor
  * @param {object} options - optional set of options for this lock
  */
 var AsyncLock = function (options) {
+    EventEmitter.call(this);
     this.queue = [];
     this.ownerTokenId = null;
+    this.holdCount = 0;
+    this.holdTimeoutId = null;
     this.options = _.extend({}, AsyncLock.defaultOptions, options);
+    this.statistics = new LockStats();
+
+    if (this.options.reentrant && !ownersStorage) {
+        throw new errors.UnsupportedError('Reentrant locks require AsyncLocalStorage');
+    }
 };
 
+util.inherits(AsyncLock, EventEmitter);
+
+/**
+ * The lifecycle events which are emitted by the lock
+ */
+AsyncLock.events = ['enqueue', 'acquire', 'leave', 'timeout', 'overflow', 'abort'];
+
 AsyncLock.defaultOptions = {
     maxQueueSize: Infinity,
-    overflowStrategy: 'this'
+    overflowStrategy: 'this',
+    priorityAging: 0,
+    reentrant: false,
+    maxHoldTime: Infinity,
+    onExpire: null,
+    strict: false,
+    onLeaveError: null
 };
 
 
@@ -51,21 +276,28 @@ AsyncLock.prototype.createToken = function (callback) {
  * Removes items from the given queue based on the given options
  * @param {array} queue - The queue of tokens
  * @param {object} options - The options that control the reduction algorithm
+ * @param {object} [token] - The token that was just added to the queue, default is the last token in the queue
  * @returns an array of the tokens which were removed from the queue
  */
-AsyncLock.prototype.reduceQueue = function (queue, options) {
+AsyncLock.prototype.reduceQueue = function (queue, options, token) {
     var result = [];
     if ((typeof options.maxQueueSize !== 'number') || isNaN(options.maxQueueSize)) {
         return result;
     }
 
+    if (token === undefined) {
+        token = queue[queue.length - 1];
+    }
+
     if (queue.length > options.maxQueueSize) {
         if (options.overflowStrategy === 'last') {
-            var last = queue.pop();
-            while (queue.length && queue.length > (options.maxQueueSize - 1)) {
-                result.unshift(queue.pop());
+            var index = queue.length - 1;
+            while (index >= 0 && queue.length > options.maxQueueSize) {
+                if (queue[index] !== token) {
+                    result.unshift(queue.splice(index, 1)[0]);
+                }
+                index--;
             }
-            queue.push(last);
             return result;
         }
 
@@ -77,7 +309,14 @@ AsyncLock.prototype.reduceQueue = function (queue, options) {
         }
 
         if (queue.length && options.overflowStrategy === 'this') {
-            result.push(queue.pop());
+            result.push(queue.splice(queue.lastIndexOf(token), 1)[0]);
+            return result;
+        }
+
+        if (options.overflowStrategy === 'lowest') {
+            while (queue.length && queue.length > options.maxQueueSize) {
+                result.push(queue.splice(lowestPriorityIndex(queue, options), 1)[0]);
+            }
             return result;
         }
     }
@@ -99,88 +338,212 @@ AsyncLock.prototype.executeCallback = function (token) {
 /**
  * Locks the lock and generates a token which can be used to control the lock.
  * @param {function} callback - The callback which is going to be called when the lock is acquired
- * @param {number} [timeout] - The amount of time to wait in milliseconds before canceling the callback call.
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call.
+ * May also be an options object with the following optional fields:
+ * timeout - same as above, signal - an AbortSignal which cancels the callback call and removes it from the queue when aborted,
+ * onCancel - a function of the form foo(token, reason) which is called if the callback call is canceled ('timeout', 'overflow' or 'aborted'),
+ * priority - a number, callbacks with a higher priority acquire the lock before callbacks with a lower priority (default is 0),
+ * maxHoldTime - overrides the maxHoldTime option of the lock for this callback,
+ * onExpire - a function of the form foo(token) which is called if the lock is released because maxHoldTime has expired.
+ * If the lock is reentrant and the current async flow already holds the lock, the callback is called without waiting,
+ * the returned token has the id of the owner token and the lock is released when the outermost hold leaves.
  * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
  * @returns The token which controls the lock for this callback.
  */
 AsyncLock.prototype.enter = function (callback, timeout) {
+    var options = cancellation.getOptions(timeout);
 
     if (!_.isFunction(callback)) {
-        throw new Error('Callback must be a function');
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    if (options.priority !== undefined && (typeof options.priority !== 'number' || isNaN(options.priority))) {
+        throw new errors.InvalidArgumentError('Priority must be a number');
     }
 
     var token = this.createToken(callback);
 
     if (token === null || token === undefined) {
-        throw new Error('Token cannot be null or undefined');
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
     }
 
-    if (this.ownerTokenId !== null) {
-        this.queue.push(token);
+    token.priority = options.priority || 0;
 
-        if (timeout) {
-            token.timeoutId = setTimeout(function () {
-                token.isCanceled = true;
-                token.timeoutId = null;
-            }, timeout);
-        }
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
 
-        var i, reducedTokens = this.reduceQueue(this.queue, this.options);
-        for (i = 0; i < reducedTokens.length; i++) {
-            reducedTokens[i].isCanceled = true;
-            if (reducedTokens[i].timeoutId) {
-                clearTimeout(reducedTokens[i].timeoutId);
-            }
+    if (options.maxHoldTime !== undefined) {
+        token.maxHoldTime = options.maxHoldTime;
+    }
+
+    if (options.onExpire) {
+        token.onExpire = options.onExpire;
+    }
+
+    lockEvents.emitOnCancel(this, token);
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    var ownerToken = this.options.reentrant && this.ownerTokenId !== null ? findOwnerToken(this) : null;
+
+    if (ownerToken) {
+        // The owner enters again, the lock is released when the outermost hold leaves
+        token.id = ownerToken.id;
+        token.ownerToken = ownerToken;
+        this.holdCount++;
+        this.executeCallback(token);
+    } else if (this.ownerTokenId !== null) {
+        var self = this;
+        insertByPriority(this.queue, token);
+
+        cancellation.watch(token, options, function () {
+            _.pull(self.queue, token);
+        });
+
+        var removed = this.reduceQueue(this.queue, this.options, token);
+        cancellation.cancelOverflow(removed);
+        lockEvents.emitOverflow(this, removed);
+        // The token is not enqueued if the overflow removed it
+        if (!token.isCanceled) {
+            lockEvents.emit(this, 'enqueue', lockEvents.createEvent(token));
         }
 
     } else {
-        this.ownerTokenId = token.id;
-        this.executeCallback(token);
+        grant(this, token);
     }
     return token;
 };
 
 /**
- * Releases the lock and resumes the next waiting callback.
+ * Locks the lock and returns a promise which is resolved with the token once the lock is acquired.
+ * The promise is rejected if the token is canceled before the lock is acquired (e.g. timeout or queue overflow).
+ * If a callback is given it is called with the token once the lock is acquired and the lock is left when the value (or promise)
+ * it returns is settled, the promise is then resolved or rejected like the callback.
+ * A reentrant lock recognizes its owner only within the callback, code that continues after awaiting the promise is not the owner.
+ * @param {function} [callback] - optional function of the form foo(token) which holds the lock until its promise is settled
+ * @param {object} [options] - optional set of options for this call, same as the options of enter
+ * @returns A promise which is resolved with the token which controls the lock, or with the result of the callback.
+ */
+AsyncLock.prototype.acquire = function (callback, options) {
+    var self = this;
+    if (!_.isFunction(callback)) {
+        options = callback;
+        callback = null;
+    }
+    options = options || {};
+
+    return new Promise(function (resolve, reject) {
+        self.enter(function (token) {
+            if (!callback) {
+                resolve(token);
+                return;
+            }
+
+            var leave = function () {
+                // The token may have left within the callback or expired while the callback was running
+                if (!isExpired(token) && !token.hasLeft) {
+                    self.leave(token);
+                }
+            };
+            new Promise(function (resolveCallback) {
+                resolveCallback(callback(token));
+            }).then(function (value) {
+                leave();
+                resolve(value);
+            }, function (err) {
+                leave();
+                reject(err);
+            });
+        }, cancellation.extendOnCancel(options, function (token, reason) {
+            reject(cancellation.createRejection(options, reason, token));
+        }));
+    });
+};
+
+/**
+ * Releases the lock and resumes the waiting callback with the highest priority.
  * @param {object} token - The token which has acquired the lock.
  * @param {boolean} abortPending - If true, all pending callbacks are canceled and never executed
- * This token is used only to make sure that only the appropriate owner releases the lock.
+ * This token is used only to make sure that only the appropriate owner releases the lock,
+ * a token which has held the lock longer than its maxHoldTime is ignored since the lock was already released.
+ * If the strict option is set a token which does not own the lock (a token of another lock, a canceled or expired token,
+ * a token which has already left or a token which is not the owner) is rejected with a LockOwnershipError,
+ * a NotOwnerError if the token belongs to another lock or another owner,
+ * the error is thrown or passed to the onLeaveError option of the form foo(error, token) if it is set, and the lock is not released.
  */
 
 AsyncLock.prototype.leave = function (token, abortPending) {
     if (token === null || token === undefined) {
-        throw new Error('Token cannot be null or undefined');
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
     }
-    // if (this.ownerTokenId === null) {
-    //     throw new Error('There is no pending token in the lock but received ' + JSON.stringify(token));
-    // }
-
-    // if (this.ownerTokenId !== token.id) {
-    //     throw new Error('Owner token mismatch. Expected ' + this.ownerTokenId + ' but received ' + JSON.stringify(token.id));
-    // }
 
-    var queueToken;
-    this.ownerTokenId = null;
-    while (this.queue.length > 0) {
-        queueToken = this.queue.shift();
-        if (queueToken.timeoutId) {
-            clearTimeout(queueToken.timeoutId);
+    if (this.options.strict) {
+        var error = getOwnershipError(this, token);
+        if (error) {
+            if (!this.options.onLeaveError) {
+                throw error;
+            }
+            this.options.onLeaveError(error, token);
+            return;
         }
+    }
 
-        if (queueToken.isCanceled) {
-            continue;
-        }
-        if (abortPending === true) {
-            queueToken.isCanceled = true;
-        } else {
-            this.ownerTokenId = queueToken.id;
-            this.executeCallback(queueToken);
-            break;
-        }
+    if (isExpired(token)) {
+        return;
+    }
+
+    if (_.isObject(token)) {
+        token.hasLeft = true;
+    }
+
+    if (this.holdCount > 1 && token.id === this.ownerTokenId) {
+        this.holdCount--;
+        return;
+    }
+
+    release(this, token, abortPending);
+};
+
+/**
+ * Releases the lock held by the given token as if it has held the lock longer than its maxHoldTime.
+ * The token is marked as expired so a late leave with this token is ignored.
+ * Called automatically when maxHoldTime expires, may be called to force the release of a stuck lock.
+ * @param {object} token - The token which has acquired the lock.
+ */
+AsyncLock.prototype.expire = function (token) {
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (token.id !== this.ownerTokenId || isExpired(token)) {
+        return;
+    }
+
+    token.isExpired = true;
+    release(this, token, false);
+
+    if (token.onExpire) {
+        token.onExpire(token);
+    }
+    if (this.options.onExpire) {
+        this.options.onExpire(token);
     }
 };
 
 
+/**
+ * Creates a condition variable which is bound to this lock, a callback which holds the lock may wait on the condition
+ * until another callback notifies it, see AsyncCondition
+ * @returns {AsyncCondition} The condition
+ */
+AsyncLock.prototype.createCondition = function () {
+    return new AsyncCondition(this);
+};
+
 /**
  * Checks if this lock is currently locked
  */
@@ -195,6 +558,23 @@ AsyncLock.prototype.queueSize = function () {
     return this.queue.length;
 };
 
+/**
+ * Returns the contention metrics of this lock
+ * @returns {object} The metrics of the form {acquisitions, timeouts, aborts, overflows, queueLength, peakQueueLength, contention, waitTime, holdTime}
+ * where contention is the total time in milliseconds callbacks have waited for the lock
+ * and waitTime and holdTime are snapshots of histograms (see Histogram#toJSON)
+ */
+AsyncLock.prototype.stats = function () {
+    return this.statistics.toJSON(this.queueSize());
+};
+
+/**
+ * Removes all the recorded contention metrics of this lock
+ */
+AsyncLock.prototype.resetStats = function () {
+    this.statistics.reset();
+};
+
 /**
  * Do not use this function, it is for unit tests only
  * @private
@@ -0,0 +1,256 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLock = require('./async-lock');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+/**
+ * An asynchronous reader-writer lock.
+ * Any number of readers may hold the lock at the same time while a writer holds it exclusively.
+ * @constructor
+ * @param {object} options - optional set of options for this lock
+ */
+var AsyncReadWriteLock = function (options) {
+    this.queue = [];
+    this.readerTokenIds = [];
+    this.writerTokenId = null;
+    this.options = _.extend({}, AsyncReadWriteLock.defaultOptions, options);
+};
+
+AsyncReadWriteLock.defaultOptions = {
+    maxQueueSize: Infinity,
+    overflowStrategy: 'this',
+    preference: 'write'
+};
+
+function hasPendingWriter(queue) {
+    return _.some(queue, function (token) {
+        return token.isWrite && !token.isCanceled;
+    });
+}
+
+function grant(lock, token) {
+    cancellation.unwatch(token);
+    if (token.isWrite) {
+        lock.writerTokenId = token.id;
+    } else {
+        lock.readerTokenIds.push(token.id);
+    }
+    lock.executeCallback(token);
+}
+
+/**
+ * Hands the lock to the waiting tokens which are allowed to acquire it given the current owners and the preference.
+ * @param {AsyncReadWriteLock} lock - The lock to dispatch
+ */
+function dispatch(lock) {
+    var i, token, remaining = [];
+
+    if (lock.options.preference === 'read') {
+        for (i = 0; i < lock.queue.length; i++) {
+            token = lock.queue[i];
+            if (token.isCanceled) {
+                cancellation.unwatch(token);
+            } else if (!token.isWrite && lock.writerTokenId === null) {
+                grant(lock, token);
+            } else {
+                remaining.push(token);
+            }
+        }
+        lock.queue = remaining;
+
+        if (lock.writerTokenId === null && lock.readerTokenIds.length === 0) {
+            while (lock.queue.length > 0) {
+                token = lock.queue.shift();
+                if (!token.isCanceled) {
+                    grant(lock, token);
+                    break;
+                }
+                cancellation.unwatch(token);
+            }
+        }
+        return;
+    }
+
+    while (lock.queue.length > 0 && lock.writerTokenId === null) {
+        token = lock.queue[0];
+        if (token.isCanceled) {
+            cancellation.unwatch(lock.queue.shift());
+            continue;
+        }
+        if (token.isWrite && lock.readerTokenIds.length > 0) {
+            return;
+        }
+        grant(lock, lock.queue.shift());
+    }
+}
+
+function enter(lock, callback, timeout, isWrite) {
+    var options = cancellation.getOptions(timeout);
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    var token = lock.createToken(callback, isWrite);
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    var canAcquire;
+    if (isWrite) {
+        canAcquire = lock.writerTokenId === null && lock.readerTokenIds.length === 0;
+    } else {
+        canAcquire = lock.writerTokenId === null &&
+            (lock.options.preference === 'read' || !hasPendingWriter(lock.queue));
+    }
+
+    if (canAcquire) {
+        grant(lock, token);
+        return token;
+    }
+
+    lock.queue.push(token);
+
+    // An aborted or timed out writer may have been blocking the readers behind it
+    cancellation.watch(token, options, function () {
+        _.pull(lock.queue, token);
+        dispatch(lock);
+    }, function () {
+        dispatch(lock);
+    });
+
+    var removed = lock.reduceQueue(lock.queue, lock.options);
+    cancellation.cancelOverflow(removed);
+    // The overflow may have removed the writer which was blocking the readers behind it
+    if (removed.length > 0) {
+        dispatch(lock);
+    }
+
+    return token;
+}
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the acquiring of this token.
+ * @param {boolean} isWrite - True if the token is used to acquire the lock for writing
+ */
+AsyncReadWriteLock.prototype.createToken = function (callback, isWrite) {
+    var token = AsyncLock.prototype.createToken.call(this, callback);
+    token.isWrite = Boolean(isWrite);
+    return token;
+};
+
+/**
+ * Removes items from the given queue based on the given options, same as AsyncLock#reduceQueue
+ */
+AsyncReadWriteLock.prototype.reduceQueue = AsyncLock.prototype.reduceQueue;
+
+/**
+ * Executes the user callback asynchronously, same as AsyncLock#executeCallback
+ */
+AsyncReadWriteLock.prototype.executeCallback = AsyncLock.prototype.executeCallback;
+
+/**
+ * Acquires the lock for reading. Several readers may hold the lock at the same time.
+ * @param {function} callback - The callback which is going to be called when the lock is acquired
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the lock for this callback.
+ */
+AsyncReadWriteLock.prototype.enterRead = function (callback, timeout) {
+    return enter(this, callback, timeout, false);
+};
+
+/**
+ * Acquires the lock for writing. A writer holds the lock exclusively.
+ * @param {function} callback - The callback which is going to be called when the lock is acquired
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the lock for this callback.
+ */
+AsyncReadWriteLock.prototype.enterWrite = function (callback, timeout) {
+    return enter(this, callback, timeout, true);
+};
+
+/**
+ * Releases the hold of the given token and resumes the waiting callbacks which may now acquire the lock.
+ * @param {object} token - The token which has acquired the lock.
+ * @param {boolean} abortPending - If true, all pending callbacks are canceled and never executed
+ */
+AsyncReadWriteLock.prototype.leave = function (token, abortPending) {
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (token.isWrite) {
+        if (this.writerTokenId === token.id) {
+            this.writerTokenId = null;
+        }
+    } else {
+        _.pull(this.readerTokenIds, token.id);
+    }
+
+    if (abortPending === true) {
+        while (this.queue.length > 0) {
+            token = this.queue.shift();
+            if (!token.isCanceled) {
+                cancellation.cancel(token, 'aborted');
+            }
+            cancellation.unwatch(token);
+        }
+        return;
+    }
+
+    dispatch(this);
+};
+
+/**
+ * Checks if this lock is currently held by a reader or a writer
+ */
+AsyncReadWriteLock.prototype.isLocked = function () {
+    return this.isReadLocked() || this.isWriteLocked();
+};
+
+/**
+ * Checks if this lock is currently held by at least one reader
+ */
+AsyncReadWriteLock.prototype.isReadLocked = function () {
+    return this.readerTokenIds.length > 0;
+};
+
+/**
+ * Checks if this lock is currently held by a writer
+ */
+AsyncReadWriteLock.prototype.isWriteLocked = function () {
+    return this.writerTokenId !== null;
+};
+
+/**
+ * Returns the number of readers currently holding the lock
+ */
+AsyncReadWriteLock.prototype.readersCount = function () {
+    return this.readerTokenIds.length;
+};
+
+/**
+ * Returns the number of pending callbacks
+ */
+AsyncReadWriteLock.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+module.exports = AsyncReadWriteLock;
@@ -0,0 +1,230 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLock = require('./async-lock');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+function isPositiveInteger(value) {
+    return typeof value === 'number' && value > 0 && value % 1 === 0;
+}
+
+function grant(semaphore, token) {
+    cancellation.unwatch(token);
+    semaphore.holders[token.id] = token.permits;
+    semaphore.usedPermits += token.permits;
+    semaphore.executeCallback(token);
+}
+
+/**
+ * Hands the free permits to the waiting tokens in the order they entered.
+ * A token which asks for more permits than are available blocks the tokens behind it.
+ * @param {AsyncSemaphore} semaphore - The semaphore to dispatch
+ */
+function dispatch(semaphore) {
+    var token;
+    while (semaphore.queue.length > 0) {
+        token = semaphore.queue[0];
+        if (token.isCanceled) {
+            cancellation.unwatch(semaphore.queue.shift());
+            continue;
+        }
+        if (token.permits > semaphore.availablePermits()) {
+            return;
+        }
+        grant(semaphore, semaphore.queue.shift());
+    }
+}
+
+/**
+ * An asynchronous counting semaphore.
+ * Up to the given number of permits may be held at the same time.
+ * @constructor
+ * @param {number} [permits] - The number of permits of this semaphore, default is 1
+ * @param {object} options - optional set of options for this semaphore
+ */
+var AsyncSemaphore = function (permits, options) {
+    if (permits === undefined || permits === null) {
+        permits = 1;
+    }
+    if (!isPositiveInteger(permits)) {
+        throw new errors.InvalidArgumentError('Permits must be a positive integer');
+    }
+
+    this.queue = [];
+    this.holders = {};
+    this.permits = permits;
+    this.usedPermits = 0;
+    this.options = _.extend({}, AsyncSemaphore.defaultOptions, options);
+};
+
+AsyncSemaphore.defaultOptions = {
+    maxQueueSize: Infinity,
+    overflowStrategy: 'this'
+};
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the acquiring of this token.
+ * @param {number} permits - The number of permits this token acquires
+ */
+AsyncSemaphore.prototype.createToken = function (callback, permits) {
+    var token = AsyncLock.prototype.createToken.call(this, callback);
+    token.permits = permits;
+    return token;
+};
+
+/**
+ * Removes items from the given queue based on the given options, same as AsyncLock#reduceQueue
+ */
+AsyncSemaphore.prototype.reduceQueue = AsyncLock.prototype.reduceQueue;
+
+/**
+ * Executes the user callback asynchronously, same as AsyncLock#executeCallback
+ */
+AsyncSemaphore.prototype.executeCallback = AsyncLock.prototype.executeCallback;
+
+/**
+ * Acquires the given number of permits and generates a token which can be used to release them.
+ * @param {function} callback - The callback which is going to be called when the permits are acquired
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * @param {number} [permits] - The number of permits to acquire, default is 1
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the acquired permits for this callback.
+ */
+AsyncSemaphore.prototype.enter = function (callback, timeout, permits) {
+    var options = cancellation.getOptions(timeout);
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    if (permits === undefined || permits === null) {
+        permits = 1;
+    }
+
+    if (!isPositiveInteger(permits)) {
+        throw new errors.InvalidArgumentError('Permits must be a positive integer');
+    }
+
+    if (permits > this.permits) {
+        throw new errors.InvalidArgumentError('Cannot acquire ' + permits + ' permits from a semaphore with ' + this.permits + ' permits');
+    }
+
+    var token = this.createToken(callback, permits);
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    if (this.queue.length === 0 && permits <= this.availablePermits()) {
+        grant(this, token);
+        return token;
+    }
+
+    var self = this;
+    this.queue.push(token);
+
+    // A canceled token may have been blocking smaller requests behind it
+    cancellation.watch(token, options, function () {
+        _.pull(self.queue, token);
+        dispatch(self);
+    }, function () {
+        dispatch(self);
+    });
+
+    var removed = this.reduceQueue(this.queue, this.options);
+    cancellation.cancelOverflow(removed);
+    // The overflow may have removed the head which was blocking smaller requests behind it
+    if (removed.length > 0) {
+        dispatch(this);
+    }
+
+    return token;
+};
+
+/**
+ * Releases the permits held by the given token and resumes the waiting callbacks.
+ * @param {object} token - The token which has acquired the permits.
+ * @param {boolean} abortPending - If true, all pending callbacks are canceled and never executed
+ */
+AsyncSemaphore.prototype.leave = function (token, abortPending) {
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (this.holders.hasOwnProperty(token.id)) {
+        this.usedPermits -= this.holders[token.id];
+        delete this.holders[token.id];
+    }
+
+    if (abortPending === true) {
+        while (this.queue.length > 0) {
+            token = this.queue.shift();
+            if (!token.isCanceled) {
+                cancellation.cancel(token, 'aborted');
+            }
+            cancellation.unwatch(token);
+        }
+        return;
+    }
+
+    dispatch(this);
+};
+
+/**
+ * Changes the number of permits of this semaphore.
+ * Shrinking the semaphore does not affect the current holders, new callbacks wait until enough permits are released.
+ * The waiting callbacks which ask for more permits than the new number of permits are canceled with the reason 'resized'.
+ * @param {number} permits - The new number of permits
+ */
+AsyncSemaphore.prototype.setPermits = function (permits) {
+    if (!isPositiveInteger(permits)) {
+        throw new errors.InvalidArgumentError('Permits must be a positive integer');
+    }
+
+    this.permits = permits;
+    var removed = _.remove(this.queue, function (token) {
+        return token.permits > permits;
+    });
+    _.forEach(removed, function (token) {
+        if (!token.isCanceled) {
+            cancellation.cancel(token, 'resized');
+        }
+        cancellation.unwatch(token);
+    });
+    dispatch(this);
+};
+
+/**
+ * Returns the number of permits which can be acquired right now
+ */
+AsyncSemaphore.prototype.availablePermits = function () {
+    return Math.max(this.permits - this.usedPermits, 0);
+};
+
+/**
+ * Checks if all the permits of this semaphore are currently acquired
+ */
+AsyncSemaphore.prototype.isLocked = function () {
+    return this.availablePermits() === 0;
+};
+
+/**
+ * Returns the number of pending callbacks
+ */
+AsyncSemaphore.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+module.exports = AsyncSemaphore;
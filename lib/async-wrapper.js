@@ -1,82 +1,709 @@
 'use strict';
 
 var AsyncLock = require('./async-lock');
+var AsyncReadWriteLock = require('./async-read-write-lock');
+var AsyncSemaphore = require('./async-semaphore');
 var ResetEvent = require('./reset-event');
+var CountdownEvent = require('./countdown-event');
+var AsyncBarrier = require('./async-barrier');
+var AsyncCondition = require('./async-condition');
+var DeadlockDetector = require('./deadlock-detector');
+var HierarchicalLock = require('./hierarchical-lock');
+var FileBackend = require('./file-backend');
+var ClusterBackend = require('./cluster-backend');
+var ClusterLockServer = require('./cluster-lock-server');
+var SharedAsyncLock = require('./shared-async-lock');
+var SharedAsyncSemaphore = require('./shared-async-semaphore');
+var Histogram = require('./histogram');
+var errors = require('./errors');
+var cancellation = require('./cancellation');
+var diagnostics = require('./diagnostics');
 var _ = require('lodash');
+var cluster = require('cluster');
+var EventEmitter = require('events').EventEmitter;
+
+// The wrapper re-emits the lifecycle events of the named locks
+var result = new EventEmitter();
 
 var locks = {};
+var lockOptions = {};
+var lockStats = {};
+var readWriteLocks = {};
+var semaphores = {};
+var events = {};
+var eventOptions = {};
+var eventIdleTimers = {};
+var hierarchicalLock = new HierarchicalLock();
+var deadlockDetector = null;
+var idleTimeout = null;
+var idleTimers = {};
+var clusterServer = null;
+
+// The metrics which wrapper#stats can sort the locks by
+var statsSortKeys = ['acquisitions', 'timeouts', 'aborts', 'overflows', 'queueLength', 'peakQueueLength', 'contention'];
+
+function isIdle(lock) {
+    return !lock.isLocked() && lock.queueSize() === 0;
+}
+
+// A signaled reset event is not idle since a new reset event would not be signaled,
+// timed out tokens stay in the queue of a reset event until it is set so they are not counted
+function isEventIdle(resetEvent) {
+    return !resetEvent.isSignaled && _.every(resetEvent.queue, 'isCanceled');
+}
+
+function cancelTimer(timers, name) {
+    if (timers[name]) {
+        clearTimeout(timers[name]);
+        delete timers[name];
+    }
+}
+
+function cancelEviction(name) {
+    cancelTimer(idleTimers, name);
+}
 
+function cancelEventEviction(name) {
+    cancelTimer(eventIdleTimers, name);
+}
 
-var result = {
+/**
+ * Removes the item with the given name from the given registry once it is idle.
+ * The item is removed right away if the idle timeout is 0 or after the idle timeout if the item stays idle.
+ * @param {object} registry - The registry of the item, e.g. the named locks
+ * @param {object} timers - The eviction timers of the registry
+ * @param {string} name - The name of the item
+ * @param {function} isItemIdle - Returns true if the given item is idle
+ */
+function evictWhenIdle(registry, timers, name, isItemIdle) {
+    var item = registry[name];
+    if (idleTimeout === null || !item || !isItemIdle(item)) {
+        return;
+    }
+
+    cancelTimer(timers, name);
+    if (idleTimeout === 0) {
+        delete registry[name];
+        return;
+    }
+
+    timers[name] = setTimeout(function () {
+        delete timers[name];
+        if (registry[name] === item && isItemIdle(item)) {
+            delete registry[name];
+        }
+    }, idleTimeout);
+    // An idle item should not keep the process alive
+    if (timers[name].unref) {
+        timers[name].unref();
+    }
+}
+
+/**
+ * Removes the lock with the given name from the registry once it is idle, i.e. unlocked with an empty queue.
+ * The options set by setOptions are kept and used when the lock is created again.
+ * @param {string} name - The name of the lock
+ */
+function scheduleEviction(name) {
+    evictWhenIdle(locks, idleTimers, name, isIdle);
+}
+
+/**
+ * Removes the reset event with the given name from the registry once it is idle, i.e. not signaled without waiting callbacks.
+ * The options set by setEventOptions are kept and used when the reset event is created again.
+ * @param {string} name - The name of the reset event
+ */
+function scheduleEventEviction(name) {
+    evictWhenIdle(events, eventIdleTimers, name, isEventIdle);
+}
+
+/**
+ * Creates the lock with the given name, the lifecycle events of the lock are re-emitted by the wrapper with the name of the lock
+ * @param {string} name - The name of the lock
+ */
+function createLock(name) {
+    var lock = new AsyncLock(lockOptions[name]);
+    lock.name = name;
+    // The metrics outlive the lock so an evicted lock which is created again keeps counting
+    lockStats[name] = lockStats[name] || lock.statistics;
+    lock.statistics = lockStats[name];
+    AsyncLock.events.forEach(function (eventName) {
+        lock.on(eventName, function (event) {
+            result.emit(eventName, _.extend({name: name}, event));
+        });
+    });
+    return lock;
+}
+
+/**
+ * Returns the lock with the given name, the lock is tracked by the deadlock detector if deadlock detection is enabled.
+ * The returned lock schedules its eviction from the registry whenever it is left or its hold expires.
+ * @param {string} name - The name of the lock
+ */
+function getLock(name) {
+    if (!locks[name]) {
+        locks[name] = createLock(name);
+    }
+    cancelEviction(name);
+
+    var lock = deadlockDetector ? deadlockDetector.track(name, locks[name]) : locks[name];
+    return {
+        enter: function (callback, timeout) {
+            var options = cancellation.getOptions(timeout);
+            try {
+                return lock.enter(callback, _.extend({}, options, {
+                    onExpire: function (token) {
+                        if (options.onExpire) {
+                            options.onExpire(token);
+                        }
+                        scheduleEviction(name);
+                    }
+                }));
+            } finally {
+                // The lock stays idle if the call was canceled right away (e.g. an aborted signal) or enter has thrown
+                scheduleEviction(name);
+            }
+        },
+        leave: function (token, abortPending) {
+            lock.leave(token, abortPending);
+            scheduleEviction(name);
+        }
+    };
+}
+
+/**
+ * Returns the reset event with the given name, the reset event is created (not signaled) if it does not exist
+ * @param {string} name - The name of the reset event
+ */
+function getResetEvent(name) {
+    if (!events[name]) {
+        events[name] = new ResetEvent(false, eventOptions[name]);
+        events[name].name = name;
+    }
+    cancelEventEviction(name);
+    return events[name];
+}
+
+/**
+ * Waits on the reset event with the given name, the reset event is evicted when it becomes idle
+ * @param {string} name - The name of the reset event
+ * @param {function} callback - Called with the token once the reset event is signaled
+ * @param {number|object} [timeout] - The timeout or the options of ResetEvent#wait
+ */
+function waitForEvent(name, callback, timeout) {
+    var options = cancellation.extendOnCancel(cancellation.getOptions(timeout), function () {
+        scheduleEventEviction(name);
+    });
+    getResetEvent(name).wait(callback, options);
+    scheduleEventEviction(name);
+}
+
+function getReadWriteLock(name) {
+    if (!readWriteLocks[name]) {
+        readWriteLocks[name] = new AsyncReadWriteLock();
+    }
+    return readWriteLocks[name];
+}
+
+function getSemaphore(name, permits) {
+    if (!semaphores[name]) {
+        semaphores[name] = new AsyncSemaphore(permits);
+    }
+    return semaphores[name];
+}
+
+/**
+ * The default backend of the named locks which keeps an AsyncLock per name in this process.
+ * A backend implements acquire(name, callback, options), release(name, handle), renew(name, handle) and inspect(name).
+ */
+var memoryBackend = {
+    acquire: function (name, callback, options) {
+        return getLock(name).enter(callback, options);
+    },
+    release: function (name, token) {
+        // The lock of the token may have been removed from the registry by __reset
+        if (token.lock && locks[name] !== token.lock) {
+            token.lock.leave(token);
+            return;
+        }
+        getLock(name).leave(token);
+    },
+    renew: function () {
+        // The in-memory locks have no lease
+    },
+    inspect: function (name) {
+        if (!locks[name]) {
+            return null;
+        }
+        return {
+            isLocked: locks[name].isLocked(),
+            queueSize: locks[name].queueSize()
+        };
+    }
+};
+
+var backend = memoryBackend;
+
+/**
+ * Returns an object with the enter and leave functions of the named lock with the given name in the current backend
+ * @param {string} name - The name of the lock
+ */
+function getNamedLock(name) {
+    return {
+        enter: function (callback, timeout) {
+            return backend.acquire(name, callback, cancellation.getOptions(timeout));
+        },
+        leave: function (handle) {
+            backend.release(name, handle);
+        }
+    };
+}
+
+/**
+ * Returns an object with the enter and leave functions of the given path of the hierarchical lock
+ * @param {string|array} path - The path to lock
+ */
+function getPathLock(path) {
+    return {
+        enter: function (callback, timeout) {
+            return hierarchicalLock.enter(path, callback, timeout);
+        },
+        leave: function (token) {
+            hierarchicalLock.leave(token);
+        }
+    };
+}
+
+/**
+ * Returns an object which enters and leaves the locks with the given names as a whole.
+ * The locks are entered one after the other in a canonical order so two groups which share locks cannot deadlock,
+ * the token of the group is a function which leaves all the locks of the group.
+ * If one of the locks cannot be entered (timeout, overflow, abort...) the locks which were already entered are left.
+ * @param {array} names - The names of the locks
+ */
+function getLockGroup(names) {
+    var sortedNames = _.uniq(names).sort();
+
+    return {
+        enter: function (callback, timeout) {
+            var options = cancellation.getOptions(timeout);
+            // The timeout applies to entering all the locks
+            var deadline = options.timeout ? Date.now() + options.timeout : null;
+            var held = [];
+
+            var leaveAll = function () {
+                var entries = held.splice(0, held.length).reverse();
+                entries.forEach(function (entry) {
+                    entry.lock.leave(entry.token);
+                });
+            };
+
+            var enterNext = function (index) {
+                if (index === sortedNames.length) {
+                    callback(leaveAll);
+                    return;
+                }
+
+                var lock = getNamedLock(sortedNames[index]);
+                var stepOptions = cancellation.extendOnCancel(options, leaveAll);
+                if (deadline !== null) {
+                    stepOptions.timeout = Math.max(deadline - Date.now(), 1);
+                }
+
+                lock.enter(function (token) {
+                    held.push({lock: lock, token: token});
+                    enterNext(index + 1);
+                }, stepOptions);
+            };
+
+            enterNext(0);
+        },
+        leave: function (leaveAll) {
+            leaveAll();
+        }
+    };
+}
+
+function isNameList(names) {
+    return _.isArray(names) && names.length > 0 && _.every(names, function (name) {
+        return name && typeof name === 'string';
+    });
+}
+
+/**
+ * Enters the given lock and calls the callback with a function that leaves the lock
+ * @param {object} lock - The lock to enter
+ * @param {string} method - The name of the enter function of the lock (e.g. 'enter')
+ * @param {function} callback - The user callback
+ * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the lock or the enter options
+ */
+function enterWithLeave(lock, method, callback, timeout) {
+    lock[method](function (token) {
+        callback(function () {
+            lock.leave(token);
+        });
+    }, timeout);
+}
+
+/**
+ * Parses the arguments of the promise based functions which are of the form ([options], callback, ...args)
+ * @param {arguments} args - The arguments of the promise based function
+ * @param {number} index - The index of the optional options argument
+ * @returns {object} The options, the callback and the arguments to pass to the callback
+ */
+function parsePromiseArgs(args, index) {
+    var options, callbackIndex = index;
+    if (_.isObject(args[index]) && !_.isFunction(args[index])) {
+        options = args[index];
+        callbackIndex = index + 1;
+    }
+    return {
+        options: options,
+        callback: args[callbackIndex],
+        args: Array.prototype.slice.call(args, callbackIndex + 1)
+    };
+}
+
+/**
+ * Leaves the given lock once the promise of the user callback is settled.
+ * A token whose hold has expired was already released, leaving it again would throw if the lock is strict.
+ * @param {object} lock - The lock to leave
+ * @param {object} token - The token which has entered the lock
+ */
+function leaveSettled(lock, token) {
+    if (token.isExpired || token.hasLeft || (token.ownerToken && token.ownerToken.isExpired)) {
+        return;
+    }
+    lock.leave(token);
+}
+
+/**
+ * Enters the given lock and calls the callback with the given arguments,
+ * the lock is left when the promise returned by the callback is settled
+ * @param {function} PromiseCtor - The promise constructor to use
+ * @param {object} lock - The lock to enter
+ * @param {string} method - The name of the enter function of the lock (e.g. 'enter')
+ * @param {function} callback - The user callback which returns a promise
+ * @param {array} args - The arguments to pass to the callback
+ * @param {object} [options] - The enter options, if the call is canceled before the lock is entered the promise is rejected,
+ * if the lock is released because the maxHoldTime has expired the promise is rejected without waiting for the callback
+ */
+function enterWithPromise(PromiseCtor, lock, method, callback, args, options) {
+    return new PromiseCtor(function (resolve, reject) {
+        var enterOptions = cancellation.extendOnCancel(cancellation.getOptions(options), function (token, reason) {
+            reject(cancellation.createRejection(enterOptions, reason, token));
+        });
+        enterOptions.onExpire = function (token) {
+            if (options && options.onExpire) {
+                options.onExpire(token);
+            }
+            reject(cancellation.createCancelError('expired'));
+        };
+
+        lock[method](function (token) {
+            callback.apply(null, args).then(function (successData) {
+                resolve(successData);
+                leaveSettled(lock, token);
+            }, function (failData) {
+                reject(failData);
+                leaveSettled(lock, token);
+            });
+        }, enterOptions);
+    });
+}
+
+_.extend(result, {
     AsyncLock: AsyncLock,
+    AsyncReadWriteLock: AsyncReadWriteLock,
+    AsyncSemaphore: AsyncSemaphore,
     ResetEvent: ResetEvent,
+    CountdownEvent: CountdownEvent,
+    AsyncBarrier: AsyncBarrier,
+    AsyncCondition: AsyncCondition,
+    DeadlockDetector: DeadlockDetector,
+    HierarchicalLock: HierarchicalLock,
+    FileBackend: FileBackend,
+    ClusterBackend: ClusterBackend,
+    ClusterLockServer: ClusterLockServer,
+    SharedAsyncLock: SharedAsyncLock,
+    SharedAsyncSemaphore: SharedAsyncSemaphore,
+    Histogram: Histogram,
+    DeadlockError: errors.DeadlockError,
+    LockOwnershipError: errors.LockOwnershipError,
+    NotOwnerError: errors.NotOwnerError,
+    LockTimeoutError: errors.LockTimeoutError,
+    QueueOverflowError: errors.QueueOverflowError,
+    LockAbortedError: errors.LockAbortedError,
+    InvalidTokenError: errors.InvalidTokenError,
+    ResetEventStateError: errors.ResetEventStateError,
+    CountdownEventStateError: errors.CountdownEventStateError,
+    BarrierBrokenError: errors.BarrierBrokenError,
+    InvalidArgumentError: errors.InvalidArgumentError,
+    UnsupportedError: errors.UnsupportedError,
     Promise: Promise,
 
     /**
      * Enters a critical section with the given name
      * @param {string} name - The name of the lock, every call to this function with the same name will enter the same lock
      * @param {function} callback - The callback that will be called once the lock is entered. The callback will receive one argument which is a 'done' function which must be called to free the lock
-     * @param {number} timeout - The amount of time in milliseconds to wait before canceling the lock
+     * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the lock or the options of AsyncLock#enter
      */
     lock: function (name, callback, timeout) {
         if (!name || typeof name !== 'string') {
-            throw new Error('The name must be a non empty string');
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
         }
 
         if (!_.isFunction(callback)) {
-            throw new Error('Callback must be a function');
+            throw new errors.InvalidArgumentError('Callback must be a function');
         }
 
-        if (!locks[name]) {
-            locks[name] = new AsyncLock();
-        }
-
-        var lock = locks[name];
-        lock.enter(function (token) {
-            callback(function () {
-                lock.leave(token);
-            });
-        }, timeout);
+        enterWithLeave(getNamedLock(name), 'enter', callback, timeout);
     },
 
     /**
      * Enters a critical section with the given name but expects the callback to return a $q promise.
      * When the promise is either resolved or rejected the lock will be unlocked.
      * @param {string} name - The name of the lock, every call to this function with the same name will enter the same lock
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted.
+     * If the call is canceled before the lock is entered the promise is rejected with an error whose reason is 'timeout', 'overflow' or 'aborted'
      * @param {function} callback - The callback that will be called once the lock is entered. The lock will be unlocked when the promise from this callback is either resolved or rejected
+     * The call is traced on the node-async-locks:lockPromise tracing channel of diagnostics_channel.
+     */
+    lockPromise: function (name) {
+        var parsed = parsePromiseArgs(arguments, 1);
+
+        if (!name || typeof name !== 'string') {
+            return this.Promise.reject(new errors.InvalidArgumentError('The name must be a non empty string'));
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        var PromiseCtor = this.Promise;
+        return diagnostics.traceLockPromise(name, function () {
+            return enterWithPromise(PromiseCtor, getNamedLock(name), 'enter', parsed.callback, parsed.args, parsed.options);
+        });
+    },
+
+    /**
+     * Enters the critical sections with the given names as a whole, the locks are entered in a canonical order so the call cannot deadlock
+     * with another call which uses some of the same names. If the call is canceled none of the locks is held.
+     * @param {array} names - The names of the locks
+     * @param {function} callback - The callback that will be called once all the locks are entered. The callback will receive one argument which is a 'done' function which must be called to free all the locks
+     * @param {number|object} timeout - The amount of time in milliseconds to wait for all the locks before canceling the call or the options of AsyncLock#enter
      */
-    lockPromise: function (name, callback) {
+    lockMany: function (names, callback, timeout) {
+        if (!isNameList(names)) {
+            throw new errors.InvalidArgumentError('The names must be a non empty array of non empty strings');
+        }
+
+        if (!_.isFunction(callback)) {
+            throw new errors.InvalidArgumentError('Callback must be a function');
+        }
+
+        enterWithLeave(getLockGroup(names), 'enter', callback, timeout);
+    },
+
+    /**
+     * Enters the critical sections with the given names as a whole but expects the callback to return a promise.
+     * When the promise is either resolved or rejected all the locks will be left.
+     * @param {array} names - The names of the locks
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted.
+     * The timeout applies to entering all the locks, if the call is canceled the promise is rejected and none of the locks is held
+     * @param {function} callback - The callback that will be called once all the locks are entered. The locks will be left when the promise from this callback is either resolved or rejected
+     */
+    lockManyPromise: function (names) {
+        var parsed = parsePromiseArgs(arguments, 1);
+
+        if (!isNameList(names)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('The names must be a non empty array of non empty strings'));
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        return enterWithPromise(this.Promise, getLockGroup(names), 'enter', parsed.callback, parsed.args, parsed.options);
+    },
+
+    /**
+     * Locks the given path of the hierarchical lock, locking a path excludes its ancestors and its descendants
+     * while paths in different branches may be locked at the same time. The paths are not related to the names of the other locks.
+     * @param {string|array} path - The path to lock, e.g. 'tenant/42/project/7' or ['tenant', '42', 'project', '7']
+     * @param {function} callback - The callback that will be called once the path is locked. The callback will receive one argument which is a 'done' function which must be called to free the path
+     * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the lock or the options of AsyncLock#enter
+     */
+    lockPath: function (path, callback, timeout) {
+        hierarchicalLock.parsePath(path);
+
+        if (!_.isFunction(callback)) {
+            throw new errors.InvalidArgumentError('Callback must be a function');
+        }
+
+        enterWithLeave(getPathLock(path), 'enter', callback, timeout);
+    },
+
+    /**
+     * Locks the given path of the hierarchical lock but expects the callback to return a promise.
+     * When the promise is either resolved or rejected the path will be unlocked.
+     * @param {string|array} path - The path to lock
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted
+     * @param {function} callback - The callback that will be called once the path is locked. The path will be unlocked when the promise from this callback is either resolved or rejected
+     */
+    lockPathPromise: function (path) {
+        var parsed = parsePromiseArgs(arguments, 1);
+
+        try {
+            hierarchicalLock.parsePath(path);
+        } catch (err) {
+            return this.Promise.reject(err);
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        return enterWithPromise(this.Promise, getPathLock(path), 'enter', parsed.callback, parsed.args, parsed.options);
+    },
+
+    /**
+     * Returns true if the given path of the hierarchical lock is locked by itself or by one of its ancestors and false otherwise
+     * @param {string|array} path - The path to check
+     */
+    isPathLocked: function (path) {
+        return hierarchicalLock.isLocked(path);
+    },
+
+    /**
+     * Enters a read-write lock with the given name for reading, several readers may hold the lock at the same time
+     * @param {string} name - The name of the read-write lock, every call to this function with the same name will enter the same lock
+     * @param {function} callback - The callback that will be called once the lock is entered. The callback will receive one argument which is a 'done' function which must be called to free the lock
+     * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the lock or the options of AsyncLock#enter
+     */
+    readLock: function (name, callback, timeout) {
         if (!name || typeof name !== 'string') {
-            return this.Promise.reject('The name must be a non empty string');
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
         }
 
         if (!_.isFunction(callback)) {
-            return this.Promise.reject('Callback must be a function');
+            throw new errors.InvalidArgumentError('Callback must be a function');
         }
 
-        if (!locks[name]) {
-            locks[name] = new AsyncLock();
+        enterWithLeave(getReadWriteLock(name), 'enterRead', callback, timeout);
+    },
+
+    /**
+     * Enters a read-write lock with the given name for writing, a writer holds the lock exclusively
+     * @param {string} name - The name of the read-write lock, every call to this function with the same name will enter the same lock
+     * @param {function} callback - The callback that will be called once the lock is entered. The callback will receive one argument which is a 'done' function which must be called to free the lock
+     * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the lock or the options of AsyncLock#enter
+     */
+    writeLock: function (name, callback, timeout) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
         }
 
-        var args = Array.prototype.slice.call(arguments, 2);
-        var lock = locks[name];
+        if (!_.isFunction(callback)) {
+            throw new errors.InvalidArgumentError('Callback must be a function');
+        }
 
-        return new this.Promise(function (resolve, reject) {
-            lock.enter(function (token) {
-                callback.apply(null, args).then(function (successData) {
-                    resolve(successData);
-                    lock.leave(token);
-                }, function (failData) {
-                    reject(failData);
-                    lock.leave(token);
-                });
-            });
-        });
+        enterWithLeave(getReadWriteLock(name), 'enterWrite', callback, timeout);
+    },
+
+    /**
+     * Enters a read-write lock with the given name for reading but expects the callback to return a promise.
+     * When the promise is either resolved or rejected the lock will be left.
+     * @param {string} name - The name of the read-write lock, every call to this function with the same name will enter the same lock
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted
+     * @param {function} callback - The callback that will be called once the lock is entered. The lock will be left when the promise from this callback is either resolved or rejected
+     */
+    readLockPromise: function (name) {
+        var parsed = parsePromiseArgs(arguments, 1);
+
+        if (!name || typeof name !== 'string') {
+            return this.Promise.reject(new errors.InvalidArgumentError('The name must be a non empty string'));
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        return enterWithPromise(this.Promise, getReadWriteLock(name), 'enterRead', parsed.callback, parsed.args, parsed.options);
+    },
+
+    /**
+     * Enters a read-write lock with the given name for writing but expects the callback to return a promise.
+     * When the promise is either resolved or rejected the lock will be left.
+     * @param {string} name - The name of the read-write lock, every call to this function with the same name will enter the same lock
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted
+     * @param {function} callback - The callback that will be called once the lock is entered. The lock will be left when the promise from this callback is either resolved or rejected
+     */
+    writeLockPromise: function (name) {
+        var parsed = parsePromiseArgs(arguments, 1);
+
+        if (!name || typeof name !== 'string') {
+            return this.Promise.reject(new errors.InvalidArgumentError('The name must be a non empty string'));
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        return enterWithPromise(this.Promise, getReadWriteLock(name), 'enterWrite', parsed.callback, parsed.args, parsed.options);
+    },
+
+    /**
+     * Acquires a permit of the semaphore with the given name
+     * @param {string} name - The name of the semaphore, every call to this function with the same name will use the same semaphore
+     * @param {number} permits - The number of permits of the semaphore, used only when the semaphore is created
+     * @param {function} callback - The callback that will be called once a permit is acquired. The callback will receive one argument which is a 'done' function which must be called to release the permit
+     * @param {number|object} timeout - The amount of time in milliseconds to wait before canceling the call or the options of AsyncLock#enter
+     */
+    semaphore: function (name, permits, callback, timeout) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        if (!_.isFunction(callback)) {
+            throw new errors.InvalidArgumentError('Callback must be a function');
+        }
+
+        enterWithLeave(getSemaphore(name, permits), 'enter', callback, timeout);
+    },
+
+    /**
+     * Acquires a permit of the semaphore with the given name but expects the callback to return a promise.
+     * When the promise is either resolved or rejected the permit will be released.
+     * @param {string} name - The name of the semaphore, every call to this function with the same name will use the same semaphore
+     * @param {number} permits - The number of permits of the semaphore, used only when the semaphore is created
+     * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel), may be omitted
+     * @param {function} callback - The callback that will be called once a permit is acquired. The permit will be released when the promise from this callback is either resolved or rejected
+     */
+    semaphorePromise: function (name, permits) {
+        var parsed = parsePromiseArgs(arguments, 2);
+
+        if (!name || typeof name !== 'string') {
+            return this.Promise.reject(new errors.InvalidArgumentError('The name must be a non empty string'));
+        }
+
+        if (!_.isFunction(parsed.callback)) {
+            return this.Promise.reject(new errors.InvalidArgumentError('Callback must be a function'));
+        }
+
+        var semaphore;
+        try {
+            semaphore = getSemaphore(name, permits);
+        } catch (err) {
+            return this.Promise.reject(err);
+        }
+
+        return enterWithPromise(this.Promise, semaphore, 'enter', parsed.callback, parsed.args, parsed.options);
     },
 
     releaseQueue: function (name) {
         if (!name || typeof name !== 'string') {
-            throw new Error('The name must be a non empty string');
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
         }
 
         if (!locks[name]) {
@@ -95,10 +722,10 @@ var result = {
      */
     lockExists: function (name) {
         if (!name || typeof name !== 'string') {
-            throw new Error('The name must be a non empty string');
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
         }
 
-        return Boolean(locks[name]);
+        return backend.inspect(name) !== null;
     },
 
     /**
@@ -107,7 +734,7 @@ var result = {
      */
     isLocked: function (name) {
         if (this.lockExists(name)) {
-            return locks[name].isLocked();
+            return backend.inspect(name).isLocked;
         }
         return null;
     },
@@ -118,7 +745,7 @@ var result = {
      */
     queueSize: function (name) {
         if (this.lockExists(name)) {
-            return locks[name].queueSize();
+            return backend.inspect(name).queueSize;
         }
         return null;
     },
@@ -128,32 +755,305 @@ var result = {
      * If a lock with the given name doesn't exist, creates a lock
      */
     setOptions: function (name, options) {
-        if (this.lockExists(name)) {
+        lockOptions[name] = _.extend(lockOptions[name] || {}, options);
+        if (locks[name]) {
             locks[name].options = _.extend(locks[name].options, options);
         } else {
-            locks[name] = new AsyncLock(options);
+            locks[name] = createLock(name);
         }
+        scheduleEviction(name);
     },
 
     /**
      * Returns a copy of the options of the lock with the given name
-     * If the lock doesn't exist returns null
+     * If the lock doesn't exist and no options were set for it returns null
      */
     getOptions: function (name) {
-        if (this.lockExists(name)) {
+        if (locks[name]) {
             return _.cloneDeep(locks[name].options);
         }
 
+        if (lockOptions[name]) {
+            return _.cloneDeep(_.extend({}, AsyncLock.defaultOptions, lockOptions[name]));
+        }
+
         return null;
     },
 
+    /**
+     * Waits until the reset event with the given name is signaled, the reset event is created (not signaled) if it does not exist
+     * @param {string} name - The name of the reset event, every call to the event functions with the same name uses the same reset event
+     * @param {function} callback - The callback that will be called once the reset event is signaled, of the form foo(token),
+     * the value property of the token holds the value which was given to set
+     * @param {number|object} [timeout] - The amount of time in milliseconds to wait before canceling the callback call or the options of ResetEvent#wait
+     */
+    wait: function (name, callback, timeout) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        if (!_.isFunction(callback)) {
+            throw new errors.InvalidArgumentError('Callback must be a function');
+        }
+
+        waitForEvent(name, callback, timeout);
+    },
+
+    /**
+     * Same as wait but returns a promise which is resolved with the value given to set once the reset event is signaled
+     * @param {string} name - The name of the reset event
+     * @param {object} [options] - The options of ResetEvent#wait (timeout, signal, onCancel).
+     * If the call is canceled the promise is rejected with an error whose reason is 'timeout', 'overflow' or 'aborted'
+     */
+    waitPromise: function (name, options) {
+        if (!name || typeof name !== 'string') {
+            return this.Promise.reject(new errors.InvalidArgumentError('The name must be a non empty string'));
+        }
+
+        options = options || {};
+        return new this.Promise(function (resolve, reject) {
+            waitForEvent(name, function (token) {
+                resolve(token.value);
+            }, cancellation.extendOnCancel(options, function (token, reason) {
+                reject(cancellation.createRejection(options, reason, token));
+            }));
+        });
+    },
+
+    /**
+     * Signals the reset event with the given name and releases the callbacks which wait on it, see ResetEvent#set
+     * @param {string} name - The name of the reset event
+     * @param {*} [value] - The value to deliver to the waiting callbacks
+     * @throws {ResetEventStateError} If the reset event is already signaled
+     */
+    set: function (name, value) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        getResetEvent(name).set(value);
+        scheduleEventEviction(name);
+    },
+
+    /**
+     * Resets the reset event with the given name to the non signaled state, see ResetEvent#reset
+     * @param {string} name - The name of the reset event
+     * @throws {ResetEventStateError} If the reset event is not signaled
+     */
+    reset: function (name) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        getResetEvent(name).reset();
+        scheduleEventEviction(name);
+    },
+
+    /**
+     * Returns true if the reset event with the given name is signaled and false otherwise
+     * If the reset event doesn't exist returns null
+     */
+    isSignaled: function (name) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        return events[name] ? events[name].isSignaled : null;
+    },
+
+    /**
+     * Sets the options (autoResetCount, maxQueueSize, overflowStrategy) of the reset event with the given name
+     * If a reset event with the given name doesn't exist, creates a reset event
+     */
+    setEventOptions: function (name, options) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.InvalidArgumentError('The name must be a non empty string');
+        }
+
+        eventOptions[name] = _.extend(eventOptions[name] || {}, options);
+        if (events[name]) {
+            events[name].options = _.extend(events[name].options, options);
+        } else {
+            getResetEvent(name);
+        }
+        scheduleEventEviction(name);
+    },
+
+    /**
+     * Sets how long a named lock may stay idle (unlocked with an empty queue) before it is removed from the registry.
+     * A named reset event is idle when it is not signaled and has an empty queue, a signaled reset event is never removed.
+     * @param {number|null} timeout - The idle time in milliseconds, 0 removes idle locks right away and null disables the eviction
+     */
+    setIdleTimeout: function (timeout) {
+        if (timeout !== null && (typeof timeout !== 'number' || isNaN(timeout) || timeout < 0)) {
+            throw new errors.InvalidArgumentError('The idle timeout must be a non negative number or null');
+        }
+
+        idleTimeout = timeout;
+        _.keys(idleTimers).forEach(cancelEviction);
+        _.keys(eventIdleTimers).forEach(cancelEventEviction);
+        _.keys(locks).forEach(scheduleEviction);
+        _.keys(events).forEach(scheduleEventEviction);
+    },
+
+    /**
+     * Returns the number of named locks in the registry
+     */
+    size: function () {
+        return _.size(locks);
+    },
+
+    /**
+     * Returns the names of the locks in the registry
+     */
+    names: function () {
+        return _.keys(locks);
+    },
+
+    /**
+     * Returns the contention metrics of all the named locks, see AsyncLock#stats.
+     * The metrics of a lock which was evicted from the registry are kept until they are reset.
+     * @param {object} [options] - The options of the call, sortBy is the metric to sort the locks by in descending order:
+     * acquisitions, timeouts, aborts, overflows, queueLength, peakQueueLength or contention (the default)
+     * @returns {array} The metrics of the locks, each with a name property
+     */
+    stats: function (options) {
+        var sortBy = (options && options.sortBy) || 'contention';
+        if (!_.includes(statsSortKeys, sortBy)) {
+            throw new errors.InvalidArgumentError('The stats can be sorted by ' + statsSortKeys.join(', '));
+        }
+
+        return _.orderBy(_.map(lockStats, function (statistics, name) {
+            return _.extend({name: name}, statistics.toJSON(locks[name] ? locks[name].queueSize() : 0));
+        }), [sortBy], ['desc']);
+    },
+
+    /**
+     * Removes the recorded contention metrics of the lock with the given name or of all the named locks,
+     * the metrics of a lock which was evicted from the registry are removed altogether
+     * @param {string} [name] - The name of the lock, if omitted the metrics of all the locks are removed
+     */
+    resetStats: function (name) {
+        var names = name !== undefined ? [name] : _.keys(lockStats);
+        _.forEach(names, function (lockName) {
+            if (!lockStats[lockName]) {
+                return;
+            }
+            lockStats[lockName].reset();
+            if (!locks[lockName]) {
+                delete lockStats[lockName];
+            }
+        });
+    },
+
+    /**
+     * Replaces the backend of the named locks (lock, lockPromise, lockMany, lockManyPromise, lockExists, isLocked and queueSize).
+     * The options, the idle eviction, the deadlock detection and releaseQueue apply to the default in-memory backend only.
+     * @param {object} [newBackend] - An object which implements acquire(name, callback, options), release(name, handle),
+     * renew(name, handle) and inspect(name), if omitted the default in-memory backend is restored
+     */
+    setBackend: function (newBackend) {
+        if (newBackend === null || newBackend === undefined) {
+            backend = memoryBackend;
+            return;
+        }
+
+        if (!_.every(['acquire', 'release', 'renew', 'inspect'], function (method) {
+                return _.isFunction(newBackend[method]);
+            })) {
+            throw new errors.InvalidArgumentError('The backend must implement acquire, release, renew and inspect');
+        }
+
+        backend = newBackend;
+    },
+
+    /**
+     * Returns the backend of the named locks
+     */
+    getBackend: function () {
+        return backend;
+    },
+
+    /**
+     * Shares the named locks between the processes of a cluster. Call it in the primary and in every worker.
+     * The primary owns the locks and serves the workers over IPC, a worker uses a ClusterBackend which asks the primary for the locks.
+     * The locks held by a worker which exits are released.
+     */
+    enableClusterMode: function () {
+        if (cluster.isWorker) {
+            if (!(backend instanceof ClusterBackend)) {
+                this.setBackend(new ClusterBackend());
+            }
+            return;
+        }
+
+        if (!clusterServer) {
+            clusterServer = new ClusterLockServer(cluster, memoryBackend);
+        }
+    },
+
+    /**
+     * Stops sharing the named locks between the processes of the cluster
+     */
+    disableClusterMode: function () {
+        if (clusterServer) {
+            clusterServer.close();
+            clusterServer = null;
+        }
+
+        if (backend instanceof ClusterBackend) {
+            backend.close();
+            backend = memoryBackend;
+        }
+    },
+
+    /**
+     * Starts tracking which async flow holds which named lock and which named lock it waits for.
+     * When a cycle forms it is reported to onDeadlock and emitted as a 'deadlock' event of the wrapper,
+     * optionally the waiter which closed the cycle is canceled.
+     * Only locks which are entered after this function is called are tracked.
+     * @param {object} [options] - The options of the DeadlockDetector (rejectWaiter, onDeadlock)
+     */
+    enableDeadlockDetection: function (options) {
+        var onDeadlock = options && options.onDeadlock;
+        deadlockDetector = new DeadlockDetector(_.extend({}, options, {
+            onDeadlock: function (error) {
+                if (onDeadlock) {
+                    onDeadlock(error);
+                }
+                result.emit('deadlock', error);
+            }
+        }));
+    },
+
+    /**
+     * Stops tracking the named locks for deadlocks
+     */
+    disableDeadlockDetection: function () {
+        deadlockDetector = null;
+    },
+
     /**
      * This function is for unit tests only, don't call it from your code
      * @private
      */
     __reset: function () {
+        _.keys(idleTimers).forEach(cancelEviction);
+        _.keys(eventIdleTimers).forEach(cancelEventEviction);
+        this.disableClusterMode();
         locks = {};
+        lockOptions = {};
+        lockStats = {};
+        events = {};
+        eventOptions = {};
+        readWriteLocks = {};
+        semaphores = {};
+        hierarchicalLock = new HierarchicalLock();
+        backend = memoryBackend;
+        deadlockDetector = null;
+        idleTimeout = null;
+        this.removeAllListeners();
     }
-};
+});
 
 module.exports = result;
\ No newline at end of file
@@ -0,0 +1,163 @@
+'use strict';
+
+var _ = require('lodash');
+var errors = require('./errors');
+
+var messages = {
+    timeout: 'The timeout has expired before the callback was called',
+    overflow: 'The callback was removed from the queue because the queue exceeded its maximum size',
+    aborted: 'The callback was aborted before it was called',
+    deadlock: 'The callback was removed from the queue to break a deadlock',
+    expired: 'The lock was released because the callback held it longer than the maximum hold time',
+    broken: 'The barrier was broken before all the parties arrived',
+    resized: 'The semaphore was resized below the number of permits the callback waits for'
+};
+
+// The error classes of the cancellation reasons
+var errorTypes = {
+    timeout: errors.LockTimeoutError,
+    overflow: errors.QueueOverflowError,
+    aborted: errors.LockAbortedError,
+    deadlock: errors.LockAbortedError,
+    expired: errors.LockTimeoutError,
+    broken: errors.BarrierBrokenError,
+    resized: errors.LockAbortedError
+};
+
+/**
+ * Creates the error which a pending promise is rejected with when its token is canceled
+ * @param {string} reason - Why the token was canceled, one of 'timeout', 'overflow', 'aborted', 'deadlock', 'expired', 'broken' or 'resized'
+ * @returns {Error} A LockTimeoutError, a QueueOverflowError, a LockAbortedError or a BarrierBrokenError with a reason property
+ */
+function createCancelError(reason) {
+    return new errorTypes[reason](messages[reason], reason);
+}
+
+/**
+ * The timeout argument of enter and wait functions may be either the timeout in milliseconds or an options object
+ * @param {number|object} timeout - The timeout argument
+ * @returns {object} The options object
+ */
+function getOptions(timeout) {
+    if (_.isObject(timeout)) {
+        return timeout;
+    }
+    return {timeout: timeout};
+}
+
+/**
+ * Returns the value a pending promise should be rejected with when its token is canceled,
+ * a token canceled by an abort signal is rejected with the reason of the signal
+ * and a token canceled with a specific error is rejected with that error.
+ * @param {object} options - The options the token was created with
+ * @param {string} reason - Why the token was canceled
+ * @param {object} [token] - The canceled token
+ */
+function createRejection(options, reason, token) {
+    if (reason === 'aborted' && options.signal && options.signal.aborted) {
+        return options.signal.reason;
+    }
+    if (token && token.cancelError) {
+        return token.cancelError;
+    }
+    return createCancelError(reason);
+}
+
+/**
+ * Returns a copy of the given options with an onCancel that calls the onCancel of the options (if any) and then the given handler
+ * @param {object} options - The options of the call
+ * @param {function} onCancel - The additional handler, called as onCancel(token, reason)
+ */
+function extendOnCancel(options, onCancel) {
+    return _.extend({}, options, {
+        onCancel: function (token, reason) {
+            if (options.onCancel) {
+                options.onCancel(token, reason);
+            }
+            onCancel(token, reason);
+        }
+    });
+}
+
+/**
+ * Stops the timeout and the abort signal of the given token, called once the token leaves the queue
+ * @param {object} token - The token that was waiting in the queue
+ */
+function unwatch(token) {
+    if (token.timeoutId) {
+        clearTimeout(token.timeoutId);
+        token.timeoutId = null;
+    }
+    if (token.abortListener) {
+        token.signal.removeEventListener('abort', token.abortListener);
+        token.abortListener = null;
+    }
+}
+
+/**
+ * Cancels the given token so its callback is never called and notifies the token owner (if any)
+ * @param {object} token - The token to cancel
+ * @param {string} reason - Why the token was canceled, one of 'timeout', 'overflow', 'aborted', 'deadlock' or 'broken'
+ * @param {Error} [error] - The error a pending promise of the token is rejected with instead of the default error
+ */
+function cancel(token, reason, error) {
+    token.isCanceled = true;
+    if (error) {
+        token.cancelError = error;
+    }
+    unwatch(token);
+    if (token.onCancel) {
+        token.onCancel(token, reason);
+    }
+}
+
+/**
+ * Starts the timeout and listens to the abort signal of the given options for a token which was added to a queue.
+ * A timed out token stays in the queue, an aborted token is expected to be removed from the queue by onAbort.
+ * @param {object} token - The queued token
+ * @param {object} options - The options the token was created with (timeout, signal)
+ * @param {function} onAbort - Called when the abort signal is aborted, before the token is canceled
+ * @param {function} [onTimeout] - Called after the token was canceled by the timeout
+ */
+function watch(token, options, onAbort, onTimeout) {
+    if (options.timeout) {
+        token.timeoutId = setTimeout(function () {
+            token.timeoutId = null;
+            cancel(token, 'timeout');
+            if (onTimeout) {
+                onTimeout();
+            }
+        }, options.timeout);
+    }
+
+    if (options.signal) {
+        token.signal = options.signal;
+        token.abortListener = function () {
+            onAbort();
+            cancel(token, 'aborted');
+        };
+        options.signal.addEventListener('abort', token.abortListener);
+    }
+}
+
+/**
+ * Cancels all the given tokens which were removed from the queue by reduceQueue
+ * @param {array} tokens - The removed tokens
+ */
+function cancelOverflow(tokens) {
+    var i;
+    for (i = 0; i < tokens.length; i++) {
+        cancel(tokens[i], 'overflow');
+    }
+}
+
+module.exports = {
+    createCancelError: createCancelError,
+    createRejection: createRejection,
+    getOptions: getOptions,
+    extendOnCancel: extendOnCancel,
+    cancel: cancel,
+    cancelOverflow: cancelOverflow,
+    watch: watch,
+    unwatch: unwatch
+};
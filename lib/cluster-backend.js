@@ -0,0 +1,184 @@
+'use strict';
+
+var _ = require('lodash');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+var handleId = 0;
+
+/**
+ * Handles a message of the cluster lock server
+ * @param {ClusterBackend} backend - The backend
+ * @param {object} message - The message, of the form {type, action, ...}
+ */
+function onServerMessage(backend, message) {
+    var handle = backend.handles[message.id];
+
+    switch (message.action) {
+        case 'state':
+            if (message.state) {
+                backend.states[message.name] = message.state;
+            } else {
+                delete backend.states[message.name];
+            }
+            break;
+        case 'acquired':
+            if (!handle || handle.isCanceled) {
+                // The call was canceled in this worker while the lock was being granted
+                backend.send({action: 'release', id: message.id});
+                return;
+            }
+            cancellation.unwatch(handle);
+            handle.isAcquired = true;
+            handle.callback(handle);
+            break;
+        case 'canceled':
+            if (handle && !handle.isCanceled && !handle.isAcquired) {
+                cancellation.cancel(handle, message.reason);
+            }
+            break;
+        case 'expired':
+            if (handle && handle.isAcquired) {
+                delete backend.handles[message.id];
+                handle.isAcquired = false;
+                handle.isExpired = true;
+                if (handle.onExpire) {
+                    handle.onExpire(handle);
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * A lock backend for the workers of the cluster module. The named locks are owned by a ClusterLockServer in the primary process,
+ * this backend asks for the locks and releases them over the IPC channel of the worker.
+ * The state returned by inspect is pushed by the primary whenever it changes, so it may be slightly behind.
+ * @constructor
+ * @param {object} [channel] - The IPC channel to the primary, an object with send(message) which emits 'message' events, default is process
+ */
+var ClusterBackend = function (channel) {
+    var self = this;
+
+    this.channel = channel || process;
+    if (!_.isFunction(this.channel.send)) {
+        throw new errors.UnsupportedError('Cluster mode requires an IPC channel to the primary process');
+    }
+
+    this.handles = {};
+    this.states = {};
+    this.onMessage = function (message) {
+        if (message && message.type === ClusterBackend.messageType) {
+            onServerMessage(self, message);
+        }
+    };
+    this.channel.on('message', this.onMessage);
+};
+
+/**
+ * The type of all the messages which are sent between the workers and the primary
+ */
+ClusterBackend.messageType = 'node-async-locks';
+
+/**
+ * The enter options which are passed to the lock in the primary process
+ */
+ClusterBackend.forwardedOptions = ['priority', 'maxHoldTime'];
+
+/**
+ * Sends a message to the primary process
+ * @param {object} message - The message without the type
+ */
+ClusterBackend.prototype.send = function (message) {
+    this.channel.send(_.extend({type: ClusterBackend.messageType}, message));
+};
+
+/**
+ * Asks the primary process for the lock with the given name and calls the callback with the handle once it is acquired.
+ * The timeout and the signal are handled in this worker, the other options (priority, maxHoldTime) are passed to the lock in the primary.
+ * @param {string} name - The name of the lock
+ * @param {function} callback - The callback which is called with the handle once the lock is acquired
+ * @param {object} [options] - The options of AsyncLock#enter
+ * @returns The handle which controls the lock
+ */
+ClusterBackend.prototype.acquire = function (name, callback, options) {
+    var self = this;
+    options = cancellation.getOptions(options);
+    handleId++;
+
+    var handle = {
+        id: handleId,
+        name: name,
+        callback: callback,
+        isCanceled: false,
+        isAcquired: false
+    };
+
+    if (options.onExpire) {
+        handle.onExpire = options.onExpire;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        handle.onCancel = options.onCancel;
+        cancellation.cancel(handle, 'aborted');
+        return handle;
+    }
+
+    handle.onCancel = function (canceledHandle, reason) {
+        delete self.handles[canceledHandle.id];
+        self.send({action: 'cancel', id: canceledHandle.id});
+        if (options.onCancel) {
+            options.onCancel(canceledHandle, reason);
+        }
+    };
+
+    this.handles[handle.id] = handle;
+    cancellation.watch(handle, options, _.noop);
+    this.send({
+        action: 'acquire',
+        id: handle.id,
+        name: name,
+        options: _.pick(options, ClusterBackend.forwardedOptions)
+    });
+
+    return handle;
+};
+
+/**
+ * Releases the lock of the given handle in the primary process
+ * @param {string} name - The name of the lock
+ * @param {object} handle - The handle of the lock
+ */
+ClusterBackend.prototype.release = function (name, handle) {
+    if (!handle || !handle.isAcquired) {
+        return;
+    }
+
+    handle.isAcquired = false;
+    delete this.handles[handle.id];
+    this.send({action: 'release', id: handle.id});
+};
+
+/**
+ * The locks of the primary process have no lease
+ */
+ClusterBackend.prototype.renew = function () {
+};
+
+/**
+ * Returns the last state of the lock with the given name which was pushed by the primary process
+ * @param {string} name - The name of the lock
+ * @returns {object} The state of the lock of the form {isLocked, queueSize} or null if the lock doesn't exist
+ */
+ClusterBackend.prototype.inspect = function (name) {
+    return this.states[name] || null;
+};
+
+/**
+ * Stops listening to the messages of the primary process
+ */
+ClusterBackend.prototype.close = function () {
+    this.channel.removeListener('message', this.onMessage);
+};
+
+module.exports = ClusterBackend;
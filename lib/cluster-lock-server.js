@@ -0,0 +1,214 @@
+'use strict';
+
+var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
+var ClusterBackend = require('./cluster-backend');
+var cancellation = require('./cancellation');
+
+/**
+ * Sends a message to the given worker unless it has disconnected
+ * @param {object} worker - The cluster worker
+ * @param {object} message - The message without the type
+ */
+function send(worker, message) {
+    if (_.isFunction(worker.isConnected) && !worker.isConnected()) {
+        return;
+    }
+    // A worker which is disconnecting fails the send, the exit of the worker cleans up after it
+    worker.send(_.extend({type: ClusterBackend.messageType}, message), _.noop);
+}
+
+/**
+ * Pushes the state of the lock with the given name to all the workers
+ * @param {ClusterLockServer} server - The server
+ * @param {string} name - The name of the lock
+ */
+function broadcastState(server, name) {
+    var state = server.backend.inspect(name);
+    _.forEach(server.cluster.workers, function (worker) {
+        if (worker) {
+            send(worker, {action: 'state', name: name, state: state});
+        }
+    });
+}
+
+function getKey(worker, id) {
+    return worker.id + ':' + id;
+}
+
+/**
+ * Creates the controller of the abort signal which cancels a pending call of a worker.
+ * Where AbortController is not available (before Node 14.17) a minimal signal with what the locks use is created.
+ */
+function createController() {
+    if (typeof AbortController === 'function') {
+        return new AbortController();
+    }
+
+    var emitter = new EventEmitter();
+    var signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: function (type, listener) {
+            emitter.on(type, listener);
+        },
+        removeEventListener: function (type, listener) {
+            emitter.removeListener(type, listener);
+        }
+    };
+    return {
+        signal: signal,
+        abort: function () {
+            if (signal.aborted) {
+                return;
+            }
+            signal.aborted = true;
+            signal.reason = cancellation.createCancelError('aborted');
+            emitter.emit('abort');
+        }
+    };
+}
+
+/**
+ * Acquires a lock for a worker
+ * @param {ClusterLockServer} server - The server
+ * @param {object} worker - The worker which asked for the lock
+ * @param {object} message - The acquire message of the worker
+ */
+function acquire(server, worker, message) {
+    var key = getKey(worker, message.id);
+    var controller = createController();
+    var name = message.name;
+    var entry = {workerId: worker.id, controller: controller, isCanceled: false};
+
+    server.pending[key] = entry;
+    server.backend.acquire(name, function (token) {
+        delete server.pending[key];
+        // The call was canceled or the worker exited after the lock was granted but before this callback ran
+        if (entry.isCanceled) {
+            server.backend.release(name, token);
+            broadcastState(server, name);
+            return;
+        }
+        server.held[key] = {workerId: worker.id, name: name, token: token};
+        broadcastState(server, name);
+        send(worker, {action: 'acquired', id: message.id});
+    }, _.extend({}, message.options, {
+        signal: controller.signal,
+        onCancel: function (token, reason) {
+            delete server.pending[key];
+            broadcastState(server, name);
+            // A call which was canceled by the worker itself needs no answer
+            if (!entry.isCanceled) {
+                send(worker, {action: 'canceled', id: message.id, reason: reason});
+            }
+        },
+        onExpire: function () {
+            delete server.held[key];
+            broadcastState(server, name);
+            send(worker, {action: 'expired', id: message.id});
+        }
+    }));
+
+    if (server.pending[key]) {
+        broadcastState(server, name);
+    }
+}
+
+function release(server, key) {
+    var entry = server.held[key];
+    if (!entry) {
+        return;
+    }
+
+    delete server.held[key];
+    server.backend.release(entry.name, entry.token);
+    broadcastState(server, entry.name);
+}
+
+function cancel(server, key) {
+    var entry = server.pending[key];
+    if (!entry) {
+        return;
+    }
+
+    entry.isCanceled = true;
+    entry.controller.abort();
+}
+
+/**
+ * Handles a message of a worker
+ * @param {ClusterLockServer} server - The server
+ * @param {object} worker - The worker which sent the message
+ * @param {object} message - The message, of the form {type, action, id, ...}
+ */
+function onWorkerMessage(server, worker, message) {
+    switch (message.action) {
+        case 'acquire':
+            acquire(server, worker, message);
+            break;
+        case 'release':
+            release(server, getKey(worker, message.id));
+            break;
+        case 'cancel':
+            cancel(server, getKey(worker, message.id));
+            break;
+    }
+}
+
+/**
+ * Cancels the pending calls of a worker which has exited and releases the locks it held
+ * @param {ClusterLockServer} server - The server
+ * @param {object} worker - The worker which has exited
+ */
+function onWorkerExit(server, worker) {
+    _.forEach(_.keys(server.pending), function (key) {
+        if (server.pending[key] && server.pending[key].workerId === worker.id) {
+            cancel(server, key);
+        }
+    });
+
+    _.forEach(_.keys(server.held), function (key) {
+        if (server.held[key] && server.held[key].workerId === worker.id) {
+            release(server, key);
+        }
+    });
+}
+
+/**
+ * Owns the named locks of a cluster in the primary process and serves the requests of the workers which use a ClusterBackend.
+ * A worker which exits while it holds locks has them released and its pending calls canceled.
+ * @constructor
+ * @param {object} cluster - The cluster module (or any object which emits 'message' and 'exit' events for workers and has a workers map)
+ * @param {object} backend - The backend which keeps the locks, usually the in-memory backend of the primary
+ */
+var ClusterLockServer = function (cluster, backend) {
+    var self = this;
+
+    this.cluster = cluster;
+    this.backend = backend;
+    this.pending = {};
+    this.held = {};
+
+    this.onMessage = function (worker, message) {
+        if (message && message.type === ClusterBackend.messageType) {
+            onWorkerMessage(self, worker, message);
+        }
+    };
+    this.onExit = function (worker) {
+        onWorkerExit(self, worker);
+    };
+
+    cluster.on('message', this.onMessage);
+    cluster.on('exit', this.onExit);
+};
+
+/**
+ * Stops serving the workers, the locks which are held by workers stay held
+ */
+ClusterLockServer.prototype.close = function () {
+    this.cluster.removeListener('message', this.onMessage);
+    this.cluster.removeListener('exit', this.onExit);
+};
+
+module.exports = ClusterLockServer;
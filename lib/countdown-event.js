@@ -0,0 +1,97 @@
+'use strict';
+var util = require('util');
+var _ = require('lodash');
+var ResetEvent = require('./reset-event');
+var errors = require('./errors');
+
+function isNonNegativeInteger(value) {
+    return typeof value === 'number' && value >= 0 && value % 1 === 0;
+}
+
+/**
+ * A countdown event, similar to the WaitGroup of Go.
+ * The countdown event is a ResetEvent which is signaled while its count is zero,
+ * so waiting on it shares the tokens, the timeouts, the queue limits and the lifecycle events of the ResetEvent.
+ * The count is incremented with add for every outstanding operation and decremented with signal (or done) when an operation finishes,
+ * the waiting callbacks are released when the count reaches zero.
+ * @constructor
+ * @param {number} [count] - The initial count, default is 0
+ * @param {object} options - optional set of options for this countdown event, same as the options of ResetEvent except autoResetCount
+ */
+var CountdownEvent = function (count, options) {
+    if (count === undefined || count === null) {
+        count = 0;
+    }
+    if (!isNonNegativeInteger(count)) {
+        throw new errors.InvalidArgumentError('The count must be a non negative integer');
+    }
+
+    ResetEvent.call(this, count === 0);
+    this.count = count;
+    // The waiting callbacks are released only when the count reaches zero
+    this.options = _.extend({}, CountdownEvent.defaultOptions, options, {autoResetCount: Infinity});
+};
+
+util.inherits(CountdownEvent, ResetEvent);
+
+/**
+ * The lifecycle events which are emitted by the countdown event, set is emitted when the count reaches zero
+ * and reset is emitted when the count is incremented from zero
+ */
+CountdownEvent.events = ResetEvent.events;
+
+// The autoResetCount is always Infinity since the callbacks are released only when the count reaches zero
+CountdownEvent.defaultOptions = {
+    autoResetCount: Infinity,
+    maxQueueSize: Infinity,
+    overflowStrategy: 'this'
+};
+
+/**
+ * Adds the given delta to the count, the countdown event is reset when the count is incremented from zero
+ * and the waiting callbacks are released when the count reaches zero.
+ * @param {number} [delta] - An integer which may be negative, default is 1
+ * @returns {number} The new count
+ */
+CountdownEvent.prototype.add = function (delta) {
+    if (delta === undefined) {
+        delta = 1;
+    }
+    if (typeof delta !== 'number' || delta % 1 !== 0) {
+        throw new errors.InvalidArgumentError('The delta must be an integer');
+    }
+    if (this.count + delta < 0) {
+        throw new errors.CountdownEventStateError('The count cannot be negative, the count is ' + this.count +
+            ' and the delta is ' + delta, this.count);
+    }
+
+    this.count += delta;
+    if (this.count === 0 && !this.isSignaled) {
+        this.set();
+    } else if (this.count > 0 && this.isSignaled) {
+        this.reset();
+    }
+    return this.count;
+};
+
+/**
+ * Decrements the count, the waiting callbacks are released when the count reaches zero.
+ * @param {number} [count] - The number of operations which have finished, a positive integer, default is 1
+ * @returns {number} The new count
+ */
+CountdownEvent.prototype.signal = function (count) {
+    if (count === undefined) {
+        count = 1;
+    }
+    if (!isNonNegativeInteger(count) || count === 0) {
+        throw new errors.InvalidArgumentError('The count must be a positive integer');
+    }
+    return this.add(-count);
+};
+
+/**
+ * Same as signal
+ */
+CountdownEvent.prototype.done = CountdownEvent.prototype.signal;
+
+module.exports = CountdownEvent;
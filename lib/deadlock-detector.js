@@ -0,0 +1,234 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+var cancellation = require('./cancellation');
+var DeadlockError = require('./errors').DeadlockError;
+var UnsupportedError = require('./errors').UnsupportedError;
+
+var flowId = 0;
+
+function captureStack() {
+    var stack = new Error().stack || '';
+    // Remove the 'Error' line and the frame of this function
+    return stack.split('\n').slice(2).join('\n');
+}
+
+/**
+ * Keeps a wait-for graph of the async flows which hold named locks and the named locks they wait for.
+ * A flow is the callback of a lock and all the asynchronous code started by it, it is tracked using AsyncLocalStorage.
+ * @constructor
+ * @param {object} options - optional set of options for this detector
+ */
+var DeadlockDetector = function (options) {
+    if (!AsyncLocalStorage) {
+        throw new UnsupportedError('Deadlock detection requires AsyncLocalStorage');
+    }
+
+    this.options = _.extend({}, DeadlockDetector.defaultOptions, options);
+    this.storage = new AsyncLocalStorage();
+    this.holders = {};
+    this.waits = [];
+};
+
+DeadlockDetector.defaultOptions = {
+    rejectWaiter: false,
+    onDeadlock: _.noop
+};
+
+/**
+ * Returns the flow of the current async context or creates a new flow if the code does not run within a lock
+ * @param {string} [label] - The label of a new flow
+ */
+DeadlockDetector.prototype.currentFlow = function (label) {
+    var flow = this.storage.getStore();
+    if (flow) {
+        return flow;
+    }
+
+    flowId++;
+    return {
+        id: flowId,
+        label: label || 'flow ' + flowId
+    };
+};
+
+/**
+ * Records that the given flow holds the lock with the given name, nested holds of a reentrant lock are counted
+ */
+DeadlockDetector.prototype.hold = function (flow, name, token, stack) {
+    var holder = this.holders[name];
+    if (holder && holder.tokenId === token.id) {
+        holder.count++;
+        return;
+    }
+
+    this.holders[name] = {
+        flow: flow,
+        tokenId: token.id,
+        count: 1,
+        stack: stack
+    };
+};
+
+/**
+ * Records that a hold of the lock with the given name was left
+ * @param {string} name - The name of the lock
+ * @param {object} token - The token which left the lock
+ * @param {boolean} [all] - If true, all the nested holds were released (e.g. the maxHoldTime has expired)
+ */
+DeadlockDetector.prototype.release = function (name, token, all) {
+    var holder = this.holders[name];
+    if (!holder || holder.tokenId !== token.id) {
+        return;
+    }
+
+    holder.count--;
+    if (holder.count <= 0 || all) {
+        delete this.holders[name];
+    }
+};
+
+/**
+ * Looks for a cycle in the wait-for graph which goes through the given flow
+ * @param {object} flow - The flow to start from
+ * @returns {array} The edges of the cycle or null if there is no cycle
+ */
+DeadlockDetector.prototype.findCycle = function (flow) {
+    var self = this;
+    var visited = [];
+
+    function visit(current, path) {
+        var i, wait, holder, edge, cycle;
+        visited.push(current);
+
+        for (i = 0; i < self.waits.length; i++) {
+            wait = self.waits[i];
+            holder = self.holders[wait.name];
+            if (wait.flow !== current || !holder) {
+                continue;
+            }
+
+            edge = {
+                name: wait.name,
+                waiter: current.label,
+                owner: holder.flow.label,
+                stack: holder.stack
+            };
+
+            if (holder.flow === flow) {
+                return path.concat([edge]);
+            }
+
+            if (!_.includes(visited, holder.flow)) {
+                cycle = visit(holder.flow, path.concat([edge]));
+                if (cycle) {
+                    return cycle;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    return visit(flow, []);
+};
+
+/**
+ * Reports a cycle which goes through the given flow and rejects the waiter of the flow if the rejectWaiter option is set
+ * @param {object} flow - The flow which may have closed a cycle
+ */
+DeadlockDetector.prototype.check = function (flow) {
+    var cycle = this.findCycle(flow);
+    if (!cycle) {
+        return;
+    }
+
+    var error = new DeadlockError(cycle);
+    this.options.onDeadlock(error);
+
+    if (this.options.rejectWaiter) {
+        var wait = _.find(this.waits, function (queuedWait) {
+            return queuedWait.flow === flow && queuedWait.name === cycle[0].name;
+        });
+        _.pull(this.waits, wait);
+        _.pull(wait.lock.queue, wait.token);
+        cancellation.cancel(wait.token, 'deadlock', error);
+    }
+};
+
+/**
+ * Enters the given named lock on behalf of the current flow and updates the wait-for graph
+ * @param {string} name - The name of the lock
+ * @param {AsyncLock} lock - The lock to enter
+ * @param {function} callback - The callback which is called within the flow once the lock is acquired
+ * @param {number|object} [timeout] - The timeout or the options of AsyncLock#enter, options.label is the label of a new flow
+ * @returns The token which controls the lock for this callback.
+ */
+DeadlockDetector.prototype.enter = function (name, lock, callback, timeout) {
+    var self = this;
+    var options = cancellation.getOptions(timeout);
+    var flow = this.currentFlow(options.label);
+    var stack = captureStack();
+    var wait = null;
+
+    var token = lock.enter(function (acquiredToken) {
+        if (wait) {
+            _.pull(self.waits, wait);
+            self.hold(flow, name, acquiredToken, stack);
+            // The flow may also be waiting for other locks (e.g. Promise.all)
+            self.check(flow);
+        }
+        self.storage.run(flow, function () {
+            callback(acquiredToken);
+        });
+    }, _.extend(cancellation.extendOnCancel(options, function () {
+        _.pull(self.waits, wait);
+    }), {
+        onExpire: function (expiredToken) {
+            self.release(name, expiredToken, true);
+            if (options.onExpire) {
+                options.onExpire(expiredToken);
+            }
+        }
+    }));
+
+    if (token.isCanceled) {
+        return token;
+    }
+
+    if (_.includes(lock.queue, token)) {
+        wait = {
+            flow: flow,
+            name: name,
+            lock: lock,
+            token: token
+        };
+        this.waits.push(wait);
+        this.check(flow);
+    } else {
+        this.hold(flow, name, token, stack);
+    }
+
+    return token;
+};
+
+/**
+ * Returns an object with the enter and leave functions of the given lock which keep the wait-for graph up to date
+ * @param {string} name - The name of the lock
+ * @param {AsyncLock} lock - The lock to track
+ */
+DeadlockDetector.prototype.track = function (name, lock) {
+    var self = this;
+    return {
+        enter: function (callback, timeout) {
+            return self.enter(name, lock, callback, timeout);
+        },
+        leave: function (token, abortPending) {
+            self.release(name, token);
+            lock.leave(token, abortPending);
+        }
+    };
+};
+
+module.exports = DeadlockDetector;
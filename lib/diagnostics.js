@@ -0,0 +1,179 @@
+'use strict';
+
+var _ = require('lodash');
+var cancellation = require('./cancellation');
+
+var diagnosticsChannel = null;
+try {
+    diagnosticsChannel = require('diagnostics_channel');
+} catch (err) {
+    // diagnostics_channel is not available in this version of Node.js
+}
+
+var hasTracing = Boolean(diagnosticsChannel && _.isFunction(diagnosticsChannel.tracingChannel));
+
+var names = {
+    events: 'node-async-locks',
+    wait: 'node-async-locks:wait',
+    hold: 'node-async-locks:hold',
+    lockPromise: 'node-async-locks:lockPromise'
+};
+
+var eventsChannel = diagnosticsChannel ? diagnosticsChannel.channel(names.events) : null;
+var waitChannel = hasTracing ? diagnosticsChannel.tracingChannel(names.wait) : null;
+var holdChannel = hasTracing ? diagnosticsChannel.tracingChannel(names.hold) : null;
+var lockPromiseChannel = hasTracing ? diagnosticsChannel.tracingChannel(names.lockPromise) : null;
+
+function hasSubscribers(tracingChannel) {
+    return Boolean(tracingChannel) && (tracingChannel.start.hasSubscribers || tracingChannel.end.hasSubscribers ||
+        tracingChannel.asyncStart.hasSubscribers || tracingChannel.asyncEnd.hasSubscribers || tracingChannel.error.hasSubscribers);
+}
+
+/**
+ * Publishes the start and the end of a span, the end marks the end of the synchronous part of the traced operation
+ * @param {object} tracingChannel - The tracing channel of the span
+ * @param {object} context - The context of the span which is passed to all the events of the span
+ */
+function startSpan(tracingChannel, context) {
+    tracingChannel.start.publish(context);
+    tracingChannel.end.publish(context);
+}
+
+/**
+ * Publishes the asyncStart and the asyncEnd of a span (and the error if the context has an error), the asyncStart marks the end of the span
+ * @param {object} tracingChannel - The tracing channel of the span
+ * @param {object} context - The context of the span
+ */
+function finishSpan(tracingChannel, context) {
+    if (context.error) {
+        tracingChannel.error.publish(context);
+    }
+    tracingChannel.asyncStart.publish(context);
+    tracingChannel.asyncEnd.publish(context);
+}
+
+/**
+ * Ends the wait span of a token which stopped waiting, either because it acquired the lock or because it was canceled
+ * @param {object} token - The token
+ * @param {object} event - The lifecycle event which ended the wait
+ * @param {string} [reason] - The reason of the cancellation if the token was canceled
+ */
+function finishWait(token, event, reason) {
+    var context = token.waitContext;
+    if (!context) {
+        return;
+    }
+
+    token.waitContext = null;
+    context.waitTime = event.waitTime;
+    if (reason) {
+        context.error = cancellation.createCancelError(reason);
+    }
+    finishSpan(waitChannel, context);
+}
+
+function createContext(emitter, token) {
+    return {
+        name: emitter.name,
+        target: emitter,
+        token: token
+    };
+}
+
+/**
+ * Publishes a lifecycle event of a lock or a reset event on diagnostics_channel.
+ * Every event is published on the node-async-locks channel as {type, name, target, ...event}.
+ * The time a token waits in the queue is traced as a span on the node-async-locks:wait tracing channel
+ * and the time a token holds a lock is traced as a span on the node-async-locks:hold tracing channel.
+ * A span starts with start and end and finishes with asyncStart and asyncEnd, a canceled wait publishes error before asyncStart.
+ * @param {EventEmitter} emitter - The lock or the reset event
+ * @param {string} eventName - The name of the lifecycle event
+ * @param {object} event - The lifecycle event
+ */
+function publish(emitter, eventName, event) {
+    if (eventsChannel && eventsChannel.hasSubscribers) {
+        eventsChannel.publish(_.extend({type: eventName, name: emitter.name, target: emitter}, event));
+    }
+
+    if (!hasTracing) {
+        return;
+    }
+
+    switch (eventName) {
+        case 'enqueue':
+            if (hasSubscribers(waitChannel)) {
+                event.token.waitContext = createContext(emitter, event.token);
+                startSpan(waitChannel, event.token.waitContext);
+            }
+            break;
+        case 'acquire':
+            finishWait(event.token, event);
+            // Only locks are held, the callbacks of a reset event are just released
+            if (_.isFunction(emitter.leave) && hasSubscribers(holdChannel)) {
+                event.token.holdContext = createContext(emitter, event.token);
+                startSpan(holdChannel, event.token.holdContext);
+            }
+            break;
+        case 'leave':
+            if (event.token.holdContext) {
+                event.token.holdContext.holdTime = event.holdTime;
+                finishSpan(holdChannel, event.token.holdContext);
+                event.token.holdContext = null;
+            }
+            break;
+        case 'timeout':
+            finishWait(event.token, event, 'timeout');
+            break;
+        case 'abort':
+            finishWait(event.token, event, 'aborted');
+            break;
+        case 'overflow':
+            _.forEach(event.tokens, function (token) {
+                finishWait(token, {waitTime: new Date() - token.start}, 'overflow');
+            });
+            break;
+    }
+}
+
+/**
+ * Traces a call of wrapper#lockPromise as a span on the node-async-locks:lockPromise tracing channel.
+ * The span starts when the call is made and finishes when the returned promise is settled.
+ * The promise of the call is returned as is so its type is kept.
+ * @param {string} name - The name of the lock
+ * @param {function} callback - The function which makes the call and returns its promise
+ * @returns The promise which is returned by the callback
+ */
+function traceLockPromise(name, callback) {
+    if (!hasSubscribers(lockPromiseChannel)) {
+        return callback();
+    }
+
+    var context = {name: name};
+    return lockPromiseChannel.start.runStores(context, function () {
+        var promise;
+        try {
+            promise = callback();
+        } catch (err) {
+            context.error = err;
+            lockPromiseChannel.error.publish(context);
+            throw err;
+        } finally {
+            lockPromiseChannel.end.publish(context);
+        }
+
+        promise.then(function (result) {
+            context.result = result;
+            finishSpan(lockPromiseChannel, context);
+        }, function (err) {
+            context.error = err;
+            finishSpan(lockPromiseChannel, context);
+        });
+        return promise;
+    });
+}
+
+module.exports = {
+    channels: names,
+    publish: publish,
+    traceLockPromise: traceLockPromise
+};
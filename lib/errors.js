@@ -0,0 +1,199 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Initializes an error of this module, every error has a stable code which can be used instead of matching the message
+ * @param {Error} error - The error to initialize
+ * @param {function} constructor - The constructor of the error, omitted from the stack trace
+ * @param {string} name - The name of the error
+ * @param {string} code - The code of the error
+ * @param {string} message - The message of the error
+ */
+function initError(error, constructor, name, code, message) {
+    Error.call(error);
+    Error.captureStackTrace(error, constructor);
+    error.name = name;
+    error.code = code;
+    error.message = message;
+}
+
+function describeCycle(cycle) {
+    return cycle.map(function (edge) {
+        return edge.waiter + ' waits for \'' + edge.name + '\' held by ' + edge.owner;
+    }).join(', ');
+}
+
+/**
+ * The error which is reported when a deadlock is detected between named locks
+ * @constructor
+ * @param {array} cycle - The edges of the wait-for cycle, each edge is of the form {name, waiter, owner, stack}
+ */
+var DeadlockError = function (cycle) {
+    initError(this, DeadlockError, 'DeadlockError', 'ERR_LOCK_DEADLOCK', 'Deadlock detected: ' + describeCycle(cycle));
+    this.reason = 'deadlock';
+    this.cycle = cycle;
+};
+
+util.inherits(DeadlockError, Error);
+
+/**
+ * The error which is reported when a strict lock is left with a token which does not own it
+ * @constructor
+ * @param {string} reason - Why the leave is invalid, one of 'not-locked', 'not-owner', 'double-leave', 'canceled' or 'expired'
+ * @param {string} message - The message of the error
+ * @param {object} token - The token which was used to leave the lock
+ */
+var LockOwnershipError = function (reason, message, token) {
+    initError(this, LockOwnershipError, 'LockOwnershipError', 'ERR_LOCK_OWNERSHIP', message);
+    this.reason = reason;
+    this.token = token;
+};
+
+util.inherits(LockOwnershipError, Error);
+
+/**
+ * The error which a strict lock reports when it is left with a token which is not the token of the owner
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {object} token - The token which was used to leave the lock
+ */
+var NotOwnerError = function (message, token) {
+    LockOwnershipError.call(this, 'not-owner', message, token);
+    initError(this, NotOwnerError, 'NotOwnerError', 'ERR_LOCK_NOT_OWNER', message);
+};
+
+util.inherits(NotOwnerError, LockOwnershipError);
+
+/**
+ * The error which a pending call is rejected with when its timeout expires before it acquires the lock,
+ * or when the lock is released because the callback held it longer than its maximum hold time
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {string} [reason] - Either 'timeout' (the default) or 'expired'
+ */
+var LockTimeoutError = function (message, reason) {
+    initError(this, LockTimeoutError, 'LockTimeoutError', 'ERR_LOCK_TIMEOUT', message);
+    this.reason = reason || 'timeout';
+};
+
+util.inherits(LockTimeoutError, Error);
+
+/**
+ * The error which a pending call is rejected with when it is removed from the queue because the queue exceeded its maximum size
+ * @constructor
+ * @param {string} message - The message of the error
+ */
+var QueueOverflowError = function (message) {
+    initError(this, QueueOverflowError, 'QueueOverflowError', 'ERR_LOCK_QUEUE_OVERFLOW', message);
+    this.reason = 'overflow';
+};
+
+util.inherits(QueueOverflowError, Error);
+
+/**
+ * The error which a pending call is rejected with when it is aborted before it acquires the lock
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {string} [reason] - Either 'aborted' (the default), 'deadlock' if the call was removed from the queue to break a deadlock
+ * or 'resized' if the semaphore was resized below the number of permits the call waits for
+ */
+var LockAbortedError = function (message, reason) {
+    initError(this, LockAbortedError, 'LockAbortedError', 'ERR_LOCK_ABORTED', message);
+    this.reason = reason || 'aborted';
+};
+
+util.inherits(LockAbortedError, Error);
+
+/**
+ * The error which is thrown when a token is missing or is not a token of the lock
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {*} [token] - The invalid token
+ */
+var InvalidTokenError = function (message, token) {
+    initError(this, InvalidTokenError, 'InvalidTokenError', 'ERR_LOCK_INVALID_TOKEN', message);
+    this.token = token;
+};
+
+util.inherits(InvalidTokenError, Error);
+
+/**
+ * The error which is thrown when a reset event is set while it is signaled or is reset while it is not signaled
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {boolean} isSignaled - The state of the reset event
+ */
+var ResetEventStateError = function (message, isSignaled) {
+    initError(this, ResetEventStateError, 'ResetEventStateError', 'ERR_RESET_EVENT_STATE', message);
+    this.isSignaled = isSignaled;
+};
+
+util.inherits(ResetEventStateError, Error);
+
+/**
+ * The error which is thrown when the count of a countdown event would become negative
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {number} count - The count of the countdown event, which is left unchanged
+ */
+var CountdownEventStateError = function (message, count) {
+    initError(this, CountdownEventStateError, 'CountdownEventStateError', 'ERR_COUNTDOWN_EVENT_STATE', message);
+    this.count = count;
+};
+
+util.inherits(CountdownEventStateError, Error);
+
+/**
+ * The error which is reported when a barrier is broken, a participant waiting on a broken barrier is rejected with it
+ * @constructor
+ * @param {string} message - The message of the error
+ * @param {Error} [cause] - The error which broke the barrier, if the barrier action threw
+ */
+var BarrierBrokenError = function (message, cause) {
+    initError(this, BarrierBrokenError, 'BarrierBrokenError', 'ERR_BARRIER_BROKEN', message);
+    this.reason = 'broken';
+    if (cause) {
+        this.cause = cause;
+    }
+};
+
+util.inherits(BarrierBrokenError, Error);
+
+/**
+ * The error which is thrown (or which a promise is rejected with) when a function is called with an invalid argument
+ * @constructor
+ * @param {string} message - The message of the error
+ */
+var InvalidArgumentError = function (message) {
+    initError(this, InvalidArgumentError, 'InvalidArgumentError', 'ERR_LOCK_INVALID_ARGUMENT', message);
+};
+
+util.inherits(InvalidArgumentError, Error);
+
+/**
+ * The error which is thrown when a feature is not supported by the Node.js version or by the current process,
+ * e.g. a reentrant lock without AsyncLocalStorage
+ * @constructor
+ * @param {string} message - The message of the error
+ */
+var UnsupportedError = function (message) {
+    initError(this, UnsupportedError, 'UnsupportedError', 'ERR_LOCK_UNSUPPORTED', message);
+};
+
+util.inherits(UnsupportedError, Error);
+
+module.exports = {
+    DeadlockError: DeadlockError,
+    LockOwnershipError: LockOwnershipError,
+    NotOwnerError: NotOwnerError,
+    LockTimeoutError: LockTimeoutError,
+    QueueOverflowError: QueueOverflowError,
+    LockAbortedError: LockAbortedError,
+    InvalidTokenError: InvalidTokenError,
+    ResetEventStateError: ResetEventStateError,
+    CountdownEventStateError: CountdownEventStateError,
+    BarrierBrokenError: BarrierBrokenError,
+    InvalidArgumentError: InvalidArgumentError,
+    UnsupportedError: UnsupportedError
+};
@@ -0,0 +1,397 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+var handleId = 0;
+
+function noop() {
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // The process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+function parseContent(data) {
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        // The owner may not have finished writing the file
+        return {};
+    }
+}
+
+function readLockFile(file, callback) {
+    fs.readFile(file, 'utf8', function (err, data) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        callback(null, parseContent(data));
+    });
+}
+
+/**
+ * Checks if the owner of a lock file is gone, either it has not renewed its lease within the stale timeout
+ * or it ran on this host and its process is no longer running
+ * @param {FileBackend} backend - The backend
+ * @param {object} content - The content of the lock file
+ * @param {object} stats - The stats of the lock file
+ */
+function isStale(backend, content, stats) {
+    if (Date.now() - stats.mtime.getTime() > backend.options.staleTimeout) {
+        return true;
+    }
+    return content.hostname === os.hostname() && typeof content.pid === 'number' && !isProcessAlive(content.pid);
+}
+
+/**
+ * Removes a stale lock file. Processes which found the same stale file take it over one at a time: the takeover file
+ * next to the lock file is created exclusively and only its creator removes the lock file, if it is still the stale one.
+ * A takeover file left by a process which exited while taking over is removed once it is older than the stale timeout.
+ * @param {FileBackend} backend - The backend
+ * @param {string} file - The lock file
+ * @param {object} content - The content of the stale lock file
+ * @param {function} callback - Called with an error if the takeover file could not be created and with true if another process is taking over
+ */
+function removeStale(backend, file, content, callback) {
+    var takeover = file + '.takeover';
+    fs.writeFile(takeover, String(process.pid), {flag: 'wx'}, function (err) {
+        if (err) {
+            if (err.code !== 'EEXIST') {
+                callback(err);
+                return;
+            }
+            fs.stat(takeover, function (statErr, stats) {
+                if (!statErr && Date.now() - stats.mtime.getTime() > backend.options.staleTimeout) {
+                    fs.unlink(takeover, function () {
+                        callback(null, true);
+                    });
+                    return;
+                }
+                callback(null, true);
+            });
+            return;
+        }
+
+        var done = function () {
+            fs.unlink(takeover, function () {
+                callback(null, false);
+            });
+        };
+
+        // The lock file may have been taken over and replaced since it was read
+        fs.stat(file, function (statErr, stats) {
+            if (statErr) {
+                done();
+                return;
+            }
+            readLockFile(file, function (readErr, current) {
+                if (readErr || current.id !== content.id || !isStale(backend, current, stats)) {
+                    done();
+                    return;
+                }
+                fs.unlink(file, done);
+            });
+        });
+    });
+}
+
+function isWaiting(backend, handle) {
+    return !handle.isCanceled && _.includes(backend.waiters[handle.name], handle);
+}
+
+function removeWaiter(backend, handle) {
+    _.pull(backend.waiters[handle.name], handle);
+    if (backend.waiters[handle.name] && backend.waiters[handle.name].length === 0) {
+        delete backend.waiters[handle.name];
+    }
+}
+
+function stopRetrying(backend, handle) {
+    clearTimeout(handle.retryId);
+    handle.retryId = null;
+    removeWaiter(backend, handle);
+}
+
+/**
+ * Checks that the lock file of the given handle still belongs to it and renews its lease,
+ * if another process has taken over the lock file the handle expires
+ * @param {FileBackend} backend - The backend
+ * @param {object} handle - The acquired handle
+ * @param {function} callback - Called with an error if the lease could not be renewed
+ */
+function renewLease(backend, handle, callback) {
+    readLockFile(handle.file, function (err, content) {
+        if (!handle.isAcquired) {
+            callback(new errors.LockOwnershipError('not-locked', 'The lock is not held', handle));
+            return;
+        }
+        if (err || content.id !== handle.ownerId) {
+            clearInterval(handle.renewId);
+            handle.isAcquired = false;
+            handle.isExpired = true;
+            if (handle.onExpire) {
+                handle.onExpire(handle);
+            }
+            callback(err || new errors.NotOwnerError('The lock file is owned by another holder', handle));
+            return;
+        }
+        var now = new Date();
+        fs.utimes(handle.file, now, now, callback);
+    });
+}
+
+function grant(backend, handle) {
+    cancellation.unwatch(handle);
+    removeWaiter(backend, handle);
+    handle.isAcquired = true;
+    handle.renewId = setInterval(function () {
+        renewLease(backend, handle, noop);
+    }, backend.options.renewInterval);
+    // A held lock should not keep the process alive
+    if (handle.renewId.unref) {
+        handle.renewId.unref();
+    }
+    handle.callback(handle);
+}
+
+/**
+ * Tries to create the lock file of the given handle, if the file exists and is stale it is removed and the attempt is repeated,
+ * otherwise another attempt is made after the retry interval
+ * @param {FileBackend} backend - The backend
+ * @param {object} handle - The waiting handle
+ */
+function tryAcquire(backend, handle) {
+    if (!isWaiting(backend, handle)) {
+        return;
+    }
+
+    var retry = function (delay) {
+        clearTimeout(handle.retryId);
+        handle.retryId = setTimeout(function () {
+            handle.retryId = null;
+            tryAcquire(backend, handle);
+        }, delay);
+    };
+
+    var content = {
+        id: handle.ownerId,
+        pid: process.pid,
+        hostname: os.hostname(),
+        acquired: new Date().toISOString()
+    };
+
+    fs.writeFile(handle.file, JSON.stringify(content), {flag: 'wx'}, function (err) {
+        if (!err) {
+            if (handle.isCanceled) {
+                fs.unlink(handle.file, noop);
+                return;
+            }
+            grant(backend, handle);
+            return;
+        }
+
+        if (!isWaiting(backend, handle)) {
+            return;
+        }
+
+        if (err.code !== 'EEXIST') {
+            cancellation.cancel(handle, 'aborted', err);
+            return;
+        }
+
+        fs.stat(handle.file, function (statErr, stats) {
+            if (statErr) {
+                // The lock file was removed in the meantime
+                retry(0);
+                return;
+            }
+            readLockFile(handle.file, function (readErr, existing) {
+                if (readErr) {
+                    retry(0);
+                    return;
+                }
+                if (isStale(backend, existing, stats)) {
+                    removeStale(backend, handle.file, existing, function (removeErr, isBusy) {
+                        if (removeErr) {
+                            cancellation.cancel(handle, 'aborted', removeErr);
+                            return;
+                        }
+                        retry(isBusy ? backend.options.retryInterval : 0);
+                    });
+                    return;
+                }
+                retry(backend.options.retryInterval);
+            });
+        });
+    });
+}
+
+/**
+ * A lock backend which coordinates the named locks of several processes on the same host (or on a shared file system)
+ * using lock files. A lock is held while its lock file exists, the holder renews the lease (the modification time of the file)
+ * while it is alive and a lock file whose lease was not renewed or whose process is gone is considered stale and removed.
+ * @constructor
+ * @param {object} options - optional set of options for this backend
+ */
+var FileBackend = function (options) {
+    this.options = _.extend({}, FileBackend.defaultOptions, options);
+    if (this.options.renewInterval >= this.options.staleTimeout) {
+        throw new errors.InvalidArgumentError('The renew interval must be smaller than the stale timeout');
+    }
+
+    this.waiters = {};
+    fs.mkdirSync(this.options.directory, {recursive: true});
+};
+
+FileBackend.defaultOptions = {
+    directory: path.join(os.tmpdir(), 'node-async-locks'),
+    staleTimeout: 10000,
+    renewInterval: 2000,
+    retryInterval: 50
+};
+
+/**
+ * Returns the path of the lock file of the lock with the given name
+ * @param {string} name - The name of the lock
+ */
+FileBackend.prototype.getFile = function (name) {
+    return path.join(this.options.directory, encodeURIComponent(name) + '.lock');
+};
+
+/**
+ * Acquires the lock with the given name and calls the callback with the handle of the lock once it is acquired
+ * @param {string} name - The name of the lock
+ * @param {function} callback - The callback which is called with the handle once the lock is acquired
+ * @param {object} [options] - The options of AsyncLock#enter (timeout, signal, onCancel, onExpire),
+ * onExpire is called if the lock file was taken over by another process because the lease was not renewed in time
+ * @returns The handle which controls the lock
+ */
+FileBackend.prototype.acquire = function (name, callback, options) {
+    options = cancellation.getOptions(options);
+    handleId++;
+
+    var self = this;
+    var handle = {
+        id: handleId,
+        name: name,
+        file: this.getFile(name),
+        ownerId: [os.hostname(), process.pid, handleId, Date.now()].join(':'),
+        callback: callback,
+        isCanceled: false,
+        isAcquired: false,
+        retryId: null,
+        renewId: null
+    };
+
+    handle.onCancel = function (canceledHandle, reason) {
+        stopRetrying(self, handle);
+        if (options.onCancel) {
+            options.onCancel(canceledHandle, reason);
+        }
+    };
+    if (options.onExpire) {
+        handle.onExpire = options.onExpire;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(handle, 'aborted');
+        return handle;
+    }
+
+    this.waiters[name] = this.waiters[name] || [];
+    this.waiters[name].push(handle);
+
+    cancellation.watch(handle, options, noop);
+
+    tryAcquire(this, handle);
+    return handle;
+};
+
+/**
+ * Releases the lock of the given handle, the lock file is removed only if it still belongs to the handle
+ * @param {string} name - The name of the lock
+ * @param {object} handle - The handle of the lock
+ * @param {function} [callback] - Called once the lock file was removed
+ */
+FileBackend.prototype.release = function (name, handle, callback) {
+    var self = this;
+    callback = callback || noop;
+
+    if (!handle || !handle.isAcquired) {
+        callback();
+        return;
+    }
+
+    handle.isAcquired = false;
+    clearInterval(handle.renewId);
+    readLockFile(handle.file, function (err, content) {
+        if (err || content.id !== handle.ownerId) {
+            callback();
+            return;
+        }
+        fs.unlink(handle.file, function () {
+            // The next local waiter does not have to wait for its retry interval
+            var waiter = self.waiters[name] && self.waiters[name][0];
+            if (waiter && waiter.retryId) {
+                clearTimeout(waiter.retryId);
+                waiter.retryId = null;
+                tryAcquire(self, waiter);
+            }
+            callback();
+        });
+    });
+};
+
+/**
+ * Renews the lease of the given handle right away, the lease is also renewed every renewInterval while the lock is held
+ * @param {string} name - The name of the lock
+ * @param {object} handle - The handle of the lock
+ * @param {function} [callback] - Called with an error if the lease could not be renewed
+ */
+FileBackend.prototype.renew = function (name, handle, callback) {
+    callback = callback || noop;
+    if (!handle || !handle.isAcquired) {
+        callback(new errors.LockOwnershipError('not-locked', 'The lock is not held', handle));
+        return;
+    }
+    renewLease(this, handle, callback);
+};
+
+/**
+ * Returns the state of the lock with the given name as seen by this process
+ * @param {string} name - The name of the lock
+ * @returns {object} The state of the lock of the form {isLocked, queueSize} or null if there is no lock file and no waiters in this process
+ */
+FileBackend.prototype.inspect = function (name) {
+    var file = this.getFile(name);
+    var queueSize = this.waiters[name] ? this.waiters[name].length : 0;
+    var isLocked;
+
+    try {
+        isLocked = !isStale(this, parseContent(fs.readFileSync(file, 'utf8')), fs.statSync(file));
+    } catch (err) {
+        if (queueSize === 0) {
+            return null;
+        }
+        isLocked = false;
+    }
+
+    return {
+        isLocked: isLocked,
+        queueSize: queueSize
+    };
+};
+
+module.exports = FileBackend;
@@ -0,0 +1,282 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLock = require('./async-lock');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+/**
+ * Returns true if one of the given paths is the other path or one of its ancestors
+ * @param {array} first - The segments of the first path
+ * @param {array} second - The segments of the second path
+ */
+function overlaps(first, second) {
+    var length = Math.min(first.length, second.length);
+    return _.isEqual(first.slice(0, length), second.slice(0, length));
+}
+
+/**
+ * Returns true if one of the given tokens, which is not canceled, needs a path which overlaps the given path
+ * @param {array} tokens - The waiting tokens
+ * @param {array} path - The segments of the path
+ */
+function conflicts(tokens, path) {
+    return _.some(tokens, function (token) {
+        return !token.isCanceled && overlaps(token.path, path);
+    });
+}
+
+/**
+ * Returns the node of the given path, nodes are created on demand and removed once they are no longer used
+ * @param {HierarchicalLock} lock - The lock
+ * @param {array} segments - The segments of the path
+ */
+function getNode(lock, segments) {
+    var key = segments.join(lock.options.separator);
+    if (!lock.nodes[key]) {
+        lock.nodes[key] = {
+            ownerTokenId: null,
+            intents: 0
+        };
+    }
+    return lock.nodes[key];
+}
+
+function removeUnusedNode(lock, segments) {
+    var key = segments.join(lock.options.separator);
+    var node = lock.nodes[key];
+    if (node && node.ownerTokenId === null && node.intents === 0) {
+        delete lock.nodes[key];
+    }
+}
+
+/**
+ * Checks if the given path can be locked exclusively given the current owners.
+ * The path can be locked if none of its ancestors is locked and neither the path nor any of its descendants is locked,
+ * a locked descendant is recorded as an intent on every ancestor node.
+ * @param {HierarchicalLock} lock - The lock
+ * @param {array} segments - The segments of the path
+ */
+function isFree(lock, segments) {
+    var i, node;
+    for (i = 1; i <= segments.length; i++) {
+        node = lock.nodes[segments.slice(0, i).join(lock.options.separator)];
+        if (!node) {
+            return true;
+        }
+        if (node.ownerTokenId !== null) {
+            return false;
+        }
+    }
+    return node.intents === 0;
+}
+
+function grant(lock, token) {
+    var i;
+    cancellation.unwatch(token);
+    for (i = 1; i < token.path.length; i++) {
+        getNode(lock, token.path.slice(0, i)).intents++;
+    }
+    getNode(lock, token.path).ownerTokenId = token.id;
+    lock.owners.push(token);
+    lock.executeCallback(token);
+}
+
+/**
+ * Hands the lock to the waiting tokens whose paths are free, a waiting token blocks the tokens behind it which need an overlapping path.
+ * @param {HierarchicalLock} lock - The lock to dispatch
+ */
+function dispatch(lock) {
+    var i, token, remaining = [];
+
+    for (i = 0; i < lock.queue.length; i++) {
+        token = lock.queue[i];
+        if (token.isCanceled) {
+            cancellation.unwatch(token);
+            continue;
+        }
+        if (isFree(lock, token.path) && !conflicts(remaining, token.path)) {
+            grant(lock, token);
+        } else {
+            remaining.push(token);
+        }
+    }
+
+    lock.queue = remaining;
+}
+
+/**
+ * An asynchronous lock over a tree of resources which are identified by paths (e.g. 'tenant/42/project/7').
+ * Locking a path excludes its ancestors and its descendants while paths in different branches may be locked at the same time.
+ * The lock uses intention locking, a locked path marks an intent on each of its ancestors.
+ * @constructor
+ * @param {object} options - optional set of options for this lock
+ */
+var HierarchicalLock = function (options) {
+    this.queue = [];
+    this.owners = [];
+    this.nodes = {};
+    this.options = _.extend({}, HierarchicalLock.defaultOptions, options);
+};
+
+HierarchicalLock.defaultOptions = {
+    maxQueueSize: Infinity,
+    overflowStrategy: 'this',
+    separator: '/'
+};
+
+/**
+ * Returns the segments of the given path
+ * @param {string|array} path - The path as a string separated by the separator option or as an array of segments
+ * @returns {array} The segments of the path without empty segments
+ */
+HierarchicalLock.prototype.parsePath = function (path) {
+    var segments = _.isArray(path) ? path : (typeof path === 'string' ? path.split(this.options.separator) : null);
+    segments = _.compact(_.map(segments, String));
+
+    if (segments.length === 0) {
+        throw new errors.InvalidArgumentError('The path must be a non empty string or array');
+    }
+
+    return segments;
+};
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the acquiring of this token.
+ * @param {array} path - The segments of the path this token locks
+ */
+HierarchicalLock.prototype.createToken = function (callback, path) {
+    var token = AsyncLock.prototype.createToken.call(this, callback);
+    token.path = path;
+    return token;
+};
+
+/**
+ * Removes items from the given queue based on the given options, same as AsyncLock#reduceQueue
+ */
+HierarchicalLock.prototype.reduceQueue = AsyncLock.prototype.reduceQueue;
+
+/**
+ * Executes the user callback asynchronously, same as AsyncLock#executeCallback
+ */
+HierarchicalLock.prototype.executeCallback = AsyncLock.prototype.executeCallback;
+
+/**
+ * Locks the given path and generates a token which can be used to release it.
+ * @param {string|array} path - The path to lock, e.g. 'tenant/42/project/7' or ['tenant', '42', 'project', '7']
+ * @param {function} callback - The callback which is going to be called when the path is locked
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the lock for this callback.
+ */
+HierarchicalLock.prototype.enter = function (path, callback, timeout) {
+    var options = cancellation.getOptions(timeout);
+    var segments = this.parsePath(path);
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    var token = this.createToken(callback, segments);
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    // A new token does not overtake a waiting token which needs an overlapping path
+    if (isFree(this, segments) && !conflicts(this.queue, segments)) {
+        grant(this, token);
+        return token;
+    }
+
+    var self = this;
+    this.queue.push(token);
+
+    // A canceled token may have been blocking the tokens behind it
+    cancellation.watch(token, options, function () {
+        _.pull(self.queue, token);
+        dispatch(self);
+    }, function () {
+        dispatch(self);
+    });
+
+    var removed = this.reduceQueue(this.queue, this.options);
+    cancellation.cancelOverflow(removed);
+    if (removed.length > 0) {
+        dispatch(this);
+    }
+
+    return token;
+};
+
+/**
+ * Releases the path locked by the given token and resumes the waiting callbacks whose paths are now free.
+ * @param {object} token - The token which has locked the path.
+ * @param {boolean} abortPending - If true, all pending callbacks are canceled and never executed
+ */
+HierarchicalLock.prototype.leave = function (token, abortPending) {
+    var i;
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (_.includes(this.owners, token)) {
+        _.pull(this.owners, token);
+        getNode(this, token.path).ownerTokenId = null;
+        removeUnusedNode(this, token.path);
+        for (i = token.path.length - 1; i > 0; i--) {
+            getNode(this, token.path.slice(0, i)).intents--;
+            removeUnusedNode(this, token.path.slice(0, i));
+        }
+    }
+
+    if (abortPending === true) {
+        while (this.queue.length > 0) {
+            token = this.queue.shift();
+            if (!token.isCanceled) {
+                cancellation.cancel(token, 'aborted');
+            }
+            cancellation.unwatch(token);
+        }
+        return;
+    }
+
+    dispatch(this);
+};
+
+/**
+ * Checks if the given path is locked, either by itself or by one of its ancestors.
+ * If no path is given checks if any path is locked.
+ * @param {string|array} [path] - The path to check
+ */
+HierarchicalLock.prototype.isLocked = function (path) {
+    if (path === undefined) {
+        return this.owners.length > 0;
+    }
+
+    var segments = this.parsePath(path);
+    return _.some(this.owners, function (token) {
+        return token.path.length <= segments.length && overlaps(token.path, segments);
+    });
+};
+
+/**
+ * Returns the number of pending callbacks
+ */
+HierarchicalLock.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+module.exports = HierarchicalLock;
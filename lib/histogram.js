@@ -0,0 +1,103 @@
+'use strict';
+
+var _ = require('lodash');
+var errors = require('./errors');
+
+/**
+ * A histogram of durations with fixed buckets, the count, the sum, the minimum and the maximum are tracked as well.
+ * The buckets are cumulative like the buckets of a Prometheus histogram.
+ * @constructor
+ * @param {array} [buckets] - The upper bounds of the buckets in milliseconds, default is Histogram.defaultBuckets
+ */
+var Histogram = function (buckets) {
+    buckets = buckets || Histogram.defaultBuckets;
+    if (!_.isArray(buckets) || !_.every(buckets, function (bound) {
+            return typeof bound === 'number' && bound > 0;
+        })) {
+        throw new errors.InvalidArgumentError('The buckets must be an array of positive numbers');
+    }
+
+    this.bounds = _.sortBy(_.uniq(buckets));
+    this.reset();
+};
+
+Histogram.defaultBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Removes all the recorded values
+ */
+Histogram.prototype.reset = function () {
+    // The last count is of the values which are larger than all the bounds
+    this.counts = _.fill(new Array(this.bounds.length + 1), 0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+};
+
+/**
+ * Records a value
+ * @param {number} value - The value in milliseconds
+ */
+Histogram.prototype.record = function (value) {
+    var index = _.sortedIndex(this.bounds, value);
+
+    this.counts[index]++;
+    this.count++;
+    this.sum += value;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+};
+
+/**
+ * Estimates the given percentile of the recorded values by interpolating within the bucket which holds it
+ * @param {number} percent - The percentile, a number between 0 and 100
+ * @returns {number} The estimated value or null if no value was recorded
+ */
+Histogram.prototype.percentile = function (percent) {
+    var rank, index, below = 0, lower, upper;
+
+    if (this.count === 0) {
+        return null;
+    }
+
+    rank = Math.max(Math.ceil(percent / 100 * this.count), 1);
+    for (index = 0; below + this.counts[index] < rank; index++) {
+        below += this.counts[index];
+    }
+
+    // The recorded values are known to be within the minimum and the maximum
+    lower = index === 0 ? this.min : Math.max(this.bounds[index - 1], this.min);
+    upper = index === this.bounds.length ? this.max : Math.min(this.bounds[index], this.max);
+    return lower + (upper - lower) * (rank - below) / this.counts[index];
+};
+
+/**
+ * Returns a snapshot of the histogram of the form {count, sum, min, max, mean, p50, p90, p99, buckets}
+ * where buckets is an array of the form [{le, count}] with the cumulative count of the values which are less than or equal to le,
+ * the last bucket has an le of Infinity
+ */
+Histogram.prototype.toJSON = function () {
+    var self = this;
+    var cumulative = 0;
+
+    return {
+        count: this.count,
+        sum: this.sum,
+        min: this.min,
+        max: this.max,
+        mean: this.count > 0 ? this.sum / this.count : null,
+        p50: this.percentile(50),
+        p90: this.percentile(90),
+        p99: this.percentile(99),
+        buckets: _.map(this.counts, function (count, index) {
+            cumulative += count;
+            return {
+                le: index < self.bounds.length ? self.bounds[index] : Infinity,
+                count: cumulative
+            };
+        })
+    };
+};
+
+module.exports = Histogram;
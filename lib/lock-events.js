@@ -0,0 +1,87 @@
+'use strict';
+
+var diagnostics = require('./diagnostics');
+
+// The lifecycle events which are emitted when a queued token is canceled for the given reason
+var cancelEvents = {
+    timeout: 'timeout',
+    aborted: 'abort'
+};
+
+/**
+ * Creates the payload of a lifecycle event of the given token
+ * @param {object} token - The token the event is about
+ * @returns {object} An event of the form {token, waitTime, holdTime} where waitTime is the time in milliseconds the token
+ * has waited before it acquired the lock (or until now if it did not) and holdTime is the time it has held the lock (0 if it did not)
+ */
+function createEvent(token) {
+    var now = new Date();
+    return {
+        token: token,
+        waitTime: (token.acquired || now) - token.start,
+        holdTime: token.acquired ? now - token.acquired : 0
+    };
+}
+
+/**
+ * Emits a lifecycle event, the event is recorded in the statistics of the emitter first (if it has any)
+ * and is published on diagnostics_channel
+ * @param {EventEmitter} emitter - The lock or the reset event
+ * @param {string} eventName - The name of the event
+ * @param {object} event - The event
+ */
+function emit(emitter, eventName, event) {
+    if (emitter.statistics) {
+        emitter.statistics.record(eventName, event, emitter.queueSize());
+    }
+    diagnostics.publish(emitter, eventName, event);
+    emitter.emit(eventName, event);
+}
+
+/**
+ * Marks the given token as acquired and emits the acquire event
+ * @param {EventEmitter} emitter - The lock or the reset event
+ * @param {object} token - The token which acquired the lock
+ */
+function emitAcquire(emitter, token) {
+    token.acquired = new Date();
+    emit(emitter, 'acquire', createEvent(token));
+}
+
+/**
+ * Makes the given token emit the timeout and the abort events of the emitter when it is canceled, before its own onCancel is called
+ * @param {EventEmitter} emitter - The lock or the reset event
+ * @param {object} token - The token which was created by the emitter
+ */
+function emitOnCancel(emitter, token) {
+    var onCancel = token.onCancel;
+    token.onCancel = function (canceledToken, reason) {
+        if (cancelEvents[reason]) {
+            emit(emitter, cancelEvents[reason], createEvent(canceledToken));
+        }
+        if (onCancel) {
+            onCancel(canceledToken, reason);
+        }
+    };
+}
+
+/**
+ * Emits the overflow event with the tokens which were removed from the queue, if any
+ * @param {EventEmitter} emitter - The lock or the reset event
+ * @param {array} tokens - The tokens which were removed from the queue by reduceQueue
+ */
+function emitOverflow(emitter, tokens) {
+    if (tokens.length > 0) {
+        emit(emitter, 'overflow', {
+            tokens: tokens
+        });
+    }
+}
+
+module.exports = {
+    createEvent: createEvent,
+    emit: emit,
+    emitAcquire: emitAcquire,
+    emitOnCancel: emitOnCancel,
+    emitOverflow: emitOverflow
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+var Histogram = require('./histogram');
+
+/**
+ * The contention metrics of a lock, recorded from the lifecycle events of the lock
+ * @constructor
+ */
+var LockStats = function () {
+    this.waitTime = new Histogram();
+    this.holdTime = new Histogram();
+    this.reset();
+};
+
+/**
+ * Removes all the recorded metrics
+ */
+LockStats.prototype.reset = function () {
+    this.acquisitions = 0;
+    this.timeouts = 0;
+    this.aborts = 0;
+    this.overflows = 0;
+    this.peakQueueLength = 0;
+    this.waitTime.reset();
+    this.holdTime.reset();
+};
+
+/**
+ * Records a lifecycle event of the lock
+ * @param {string} eventName - The name of the event
+ * @param {object} event - The event, see lock-events
+ * @param {number} queueLength - The length of the queue of the lock after the event
+ */
+LockStats.prototype.record = function (eventName, event, queueLength) {
+    switch (eventName) {
+        case 'enqueue':
+            this.peakQueueLength = Math.max(this.peakQueueLength, queueLength);
+            break;
+        case 'acquire':
+            this.acquisitions++;
+            this.waitTime.record(event.waitTime);
+            break;
+        case 'leave':
+            this.holdTime.record(event.holdTime);
+            break;
+        case 'timeout':
+            this.timeouts++;
+            break;
+        case 'abort':
+            this.aborts++;
+            break;
+        case 'overflow':
+            this.overflows += event.tokens.length;
+            break;
+    }
+};
+
+/**
+ * Returns a snapshot of the metrics
+ * @param {number} queueLength - The current length of the queue of the lock
+ * @returns {object} The metrics of the form {acquisitions, timeouts, aborts, overflows, queueLength, peakQueueLength, contention, waitTime, holdTime}
+ * where contention is the total time in milliseconds callbacks have waited for the lock and waitTime and holdTime are histogram snapshots
+ */
+LockStats.prototype.toJSON = function (queueLength) {
+    return {
+        acquisitions: this.acquisitions,
+        timeouts: this.timeouts,
+        aborts: this.aborts,
+        overflows: this.overflows,
+        queueLength: queueLength || 0,
+        peakQueueLength: this.peakQueueLength,
+        contention: this.waitTime.sum,
+        waitTime: this.waitTime.toJSON(),
+        holdTime: this.holdTime.toJSON()
+    };
+};
+
+module.exports = LockStats;
@@ -1,5 +1,10 @@
 'use strict';
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
 var _ = require('lodash');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+var lockEvents = require('./lock-events');
 
 var tokenId = 0;
 
@@ -7,24 +12,36 @@ function elapsed() {
     return new Date() - this.start;
 }
 
-function set() {
+function set(value) {
     if (this.resetEvent) {
-        this.resetEvent.set(this);
+        this.resetEvent.set(value);
     }
 }
 
 /**
  * A Reset Event.
+ * The reset event is an EventEmitter which emits the lifecycle events of AsyncLock except leave
+ * (acquire is emitted when a waiting callback is released) and the following events:
+ * set with an event of the form {tokens, value} which holds the released tokens and the value of the set and reset with an empty event.
  * @constructor
  * @param {boolean} isSignaled - if true then the reset event starts signaled (all calls to wait will pass through)
  * @param {object} options - optional set of options for this reset event
  */
 var ResetEvent = function (isSignaled, options) {
+    EventEmitter.call(this);
     this.queue = [];
     this.isSignaled = Boolean(isSignaled);
+    this.value = undefined;
     this.options = _.extend({}, ResetEvent.defaultOptions, options);
 };
 
+util.inherits(ResetEvent, EventEmitter);
+
+/**
+ * The lifecycle events which are emitted by the reset event
+ */
+ResetEvent.events = ['enqueue', 'acquire', 'timeout', 'overflow', 'abort', 'set', 'reset'];
+
 ResetEvent.defaultOptions = {
     maxQueueSize: Infinity,
     overflowStrategy: 'this',
@@ -96,96 +113,145 @@ ResetEvent.prototype.executeCallback = function (token) {
 
 /**
  * Takes control over the reset event, callers to wait will wait until the reset event is reset.
+ * The value of the last set is cleared.
  */
 ResetEvent.prototype.reset = function () {
 
     if (this.isSignaled === false) {
-        throw new Error('The reset event is already in a non signaled state');
+        throw new errors.ResetEventStateError('The reset event is already in a non signaled state', false);
     }
 
     this.isSignaled = false;
+    this.value = undefined;
+    lockEvents.emit(this, 'reset', {});
 };
 
 /**
  * Releases all the callbacks waiting on the reset event.
+ * @param {*} [value] - The value which is delivered to the released callbacks on the value property of their tokens,
+ * callbacks which wait while the reset event stays signaled get the same value
  */
 
-ResetEvent.prototype.set = function () {
-    var queueToken;
+ResetEvent.prototype.set = function (value) {
+    var queueToken, released = [], isReset = false;
 
     if (this.isSignaled === true) {
-        throw new Error('The reset event is already in a signaled state');
+        throw new errors.ResetEventStateError('The reset event is already in a signaled state', true);
     }
 
+    this.value = value;
     this.callbacksCount = this.options.autoResetCount;
 
     while (this.queue.length > 0) {
         queueToken = this.queue.shift();
         this.callbacksCount--;
 
-        if (queueToken.timeoutId && this.callbacksCount > 0) {
-            clearTimeout(queueToken.timeoutId);
-        }
+        cancellation.unwatch(queueToken);
 
         if (queueToken.isCanceled) {
             this.callbacksCount++;
         } else {
+            released.push(queueToken);
+            queueToken.value = value;
+            lockEvents.emitAcquire(this, queueToken);
             this.executeCallback(queueToken);
             if (this.callbacksCount === 0) {
-                return;
+                // The reset event stays reset once autoResetCount callbacks are released
+                isReset = true;
+                break;
             }
         }
     }
-    this.isSignaled = true;
+
+    if (!isReset) {
+        this.isSignaled = true;
+    }
+    lockEvents.emit(this, 'set', {tokens: released, value: value});
 };
 
 /**
  * Waits until the reset event becomes signaled then executes the callback.
  * If the reset event is signaled when wait is called, the callback is executed immediately.
  * @param {function} callback - the function to execute when the reset event becomes signaled
- * @param {number} [timeout] - The amount of time to wait in milliseconds before canceling the callback call.
- * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call.
+ * May also be an options object with the same fields as the options of AsyncLock#enter (timeout, signal, onCancel).
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called),
+ * the value property of the token holds the value the reset event was set with
  * @returns {object} token - A token which can be used to cancel the callback and to track the elapsed time
  */
 ResetEvent.prototype.wait = function (callback, timeout) {
+    var options = cancellation.getOptions(timeout);
+
     if (!_.isFunction(callback)) {
-        throw new Error('Callback must be a function');
+        throw new errors.InvalidArgumentError('Callback must be a function');
     }
 
     var token = this.createToken(callback);
 
     if (token === null || token === undefined) {
-        throw new Error('Token cannot be null or undefined');
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
     }
 
-    if (timeout) {
-        token.timeoutId = setTimeout(function () {
-            token.isCanceled = true;
-            token.timeoutId = null;
-        }, timeout);
+    lockEvents.emitOnCancel(this, token);
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
     }
 
     if (this.isSignaled) {
+        token.value = this.value;
+        lockEvents.emitAcquire(this, token);
         this.executeCallback(token);
         this.callbacksCount--;
         if (this.callbacksCount === 0) {
             this.isSignaled = false;
         }
-    } else {
-        this.queue.push(token);
+        return token;
     }
 
-    var i, reducedTokens = this.reduceQueue(this.queue, this.options);
-    for (i = 0; i < reducedTokens.length; i++) {
-        reducedTokens[i].isCanceled = true;
-        if (reducedTokens[i].timeoutId) {
-            clearTimeout(reducedTokens[i].timeoutId);
-        }
+    var self = this;
+    this.queue.push(token);
+
+    cancellation.watch(token, options, function () {
+        _.pull(self.queue, token);
+    });
+
+    var removed = this.reduceQueue(this.queue, this.options);
+    cancellation.cancelOverflow(removed);
+    lockEvents.emitOverflow(this, removed);
+    // The token is not enqueued if the overflow removed it
+    if (!token.isCanceled) {
+        lockEvents.emit(this, 'enqueue', lockEvents.createEvent(token));
     }
 
     return token;
 };
 
+/**
+ * Waits until the reset event becomes signaled and returns a promise which is resolved at that time with the value the reset event was set with.
+ * If the reset event is signaled when waitAsync is called, the promise is resolved immediately.
+ * The promise is rejected if the wait is canceled before the reset event is signaled (e.g. timeout or queue overflow).
+ * @param {object} [options] - optional set of options for this call, same as the options of wait
+ * @returns A promise which is resolved with the value of the set when the reset event becomes signaled
+ */
+ResetEvent.prototype.waitAsync = function (options) {
+    var self = this;
+    options = options || {};
+
+    return new Promise(function (resolve, reject) {
+        self.wait(function (token) {
+            resolve(token.value);
+        }, cancellation.extendOnCancel(options, function (token, reason) {
+            reject(cancellation.createRejection(options, reason, token));
+        }));
+    });
+};
+
 /**
  * Checks if this reset event is signaled. A signaled reset event executes all callbacks immediately.
  */
@@ -0,0 +1,34 @@
+'use strict';
+
+var util = require('util');
+var _ = require('lodash');
+var SharedAsyncSemaphore = require('./shared-async-semaphore');
+
+/**
+ * An asynchronous lock whose state lives in a SharedArrayBuffer, so it can be shared between worker threads.
+ * Pass the buffer property to a worker and create a lock from it there.
+ * @constructor
+ * @param {SharedArrayBuffer} [buffer] - The buffer of an existing lock, if omitted a new lock is created
+ * @param {object} options - optional set of options for this lock
+ */
+var SharedAsyncLock = function (buffer, options) {
+    SharedAsyncSemaphore.call(this, buffer === undefined || buffer === null ? 1 : buffer, options);
+};
+
+util.inherits(SharedAsyncLock, SharedAsyncSemaphore);
+
+SharedAsyncLock.defaultOptions = _.clone(SharedAsyncSemaphore.defaultOptions);
+
+/**
+ * Locks the lock and generates a token which can be used to control the lock.
+ * @param {function} callback - The callback which is going to be called when the lock is acquired
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the lock for this callback.
+ */
+SharedAsyncLock.prototype.enter = function (callback, timeout) {
+    return SharedAsyncSemaphore.prototype.enter.call(this, callback, timeout, 1);
+};
+
+module.exports = SharedAsyncLock;
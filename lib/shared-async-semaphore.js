@@ -0,0 +1,295 @@
+'use strict';
+
+var _ = require('lodash');
+var AsyncLock = require('./async-lock');
+var cancellation = require('./cancellation');
+var errors = require('./errors');
+
+// The layout of the shared state
+var USED = 0;
+var PERMITS = 1;
+var VERSION = 2;
+var STATE_LENGTH = 3;
+
+var MAX_TIMEOUT = 2147483647;
+
+function noop() {
+}
+
+function isPositiveInteger(value) {
+    return typeof value === 'number' && value > 0 && value % 1 === 0;
+}
+
+/**
+ * Takes the given number of permits from the shared state if they are available
+ * @param {Int32Array} state - The shared state
+ * @param {number} permits - The number of permits to take
+ * @returns {boolean} True if the permits were taken
+ */
+function tryTake(state, permits) {
+    var used;
+    for (;;) {
+        used = Atomics.load(state, USED);
+        if (used + permits > Atomics.load(state, PERMITS)) {
+            return false;
+        }
+        if (Atomics.compareExchange(state, USED, used, used + permits) === used) {
+            return true;
+        }
+    }
+}
+
+function grant(semaphore, token) {
+    cancellation.unwatch(token);
+    semaphore.holders[token.id] = token.permits;
+    semaphore.executeCallback(token);
+}
+
+/**
+ * Hands the free permits to the tokens which wait in this thread in the order they entered.
+ * If the first token cannot take its permits, waits until a thread releases permits and tries again.
+ * Waiting is done with Atomics.waitAsync or by polling if it is not supported.
+ * @param {SharedAsyncSemaphore} semaphore - The semaphore to dispatch
+ */
+function dispatch(semaphore) {
+    var token, version, result;
+    var retry = function () {
+        semaphore.isWaiting = false;
+        dispatch(semaphore);
+    };
+
+    while (semaphore.queue.length > 0) {
+        token = semaphore.queue[0];
+        if (token.isCanceled) {
+            cancellation.unwatch(semaphore.queue.shift());
+            continue;
+        }
+
+        // The version is read before trying so a release which happens right after the try is not missed
+        version = Atomics.load(semaphore.state, VERSION);
+        if (!tryTake(semaphore.state, token.permits)) {
+            break;
+        }
+        grant(semaphore, semaphore.queue.shift());
+    }
+
+    if (semaphore.queue.length === 0) {
+        clearTimeout(semaphore.keepAliveId);
+        semaphore.keepAliveId = null;
+        return;
+    }
+
+    // A pending Atomics.waitAsync does not keep the thread alive while its callbacks wait for another thread
+    if (!semaphore.keepAliveId) {
+        semaphore.keepAliveId = setTimeout(noop, MAX_TIMEOUT);
+    }
+
+    if (semaphore.isWaiting) {
+        return;
+    }
+
+    semaphore.isWaiting = true;
+    if (_.isFunction(Atomics.waitAsync) && !semaphore.options.poll) {
+        result = Atomics.waitAsync(semaphore.state, VERSION, version);
+        if (result.async) {
+            result.value.then(retry);
+        } else {
+            setTimeout(retry, 0);
+        }
+    } else {
+        setTimeout(retry, semaphore.options.pollInterval);
+    }
+}
+
+/**
+ * An asynchronous counting semaphore whose state lives in a SharedArrayBuffer,
+ * so it can be shared between worker threads. Pass the buffer property to a worker and create a semaphore from it there.
+ * The callbacks which wait in the same thread are served in order, there is no ordering between threads.
+ * @constructor
+ * @param {number|SharedArrayBuffer} [permits] - The number of permits of a new semaphore (default is 1) or the buffer of an existing semaphore
+ * @param {object} options - optional set of options for this semaphore
+ */
+var SharedAsyncSemaphore = function (permits, options) {
+    if (typeof SharedArrayBuffer === 'undefined' || typeof Atomics === 'undefined') {
+        throw new errors.UnsupportedError('Shared locks require SharedArrayBuffer and Atomics');
+    }
+
+    if (permits instanceof SharedArrayBuffer) {
+        if (permits.byteLength < STATE_LENGTH * Int32Array.BYTES_PER_ELEMENT) {
+            throw new errors.InvalidArgumentError('The buffer is not the buffer of a shared lock');
+        }
+        this.buffer = permits;
+        this.state = new Int32Array(permits);
+    } else {
+        if (permits === undefined || permits === null) {
+            permits = 1;
+        }
+        if (!isPositiveInteger(permits)) {
+            throw new errors.InvalidArgumentError('Permits must be a positive integer');
+        }
+        this.buffer = new SharedArrayBuffer(STATE_LENGTH * Int32Array.BYTES_PER_ELEMENT);
+        this.state = new Int32Array(this.buffer);
+        this.state[PERMITS] = permits;
+    }
+
+    this.queue = [];
+    this.holders = {};
+    this.isWaiting = false;
+    this.keepAliveId = null;
+    // SharedAsyncLock has its own default options
+    this.options = _.extend({}, this.constructor.defaultOptions, options);
+};
+
+SharedAsyncSemaphore.defaultOptions = {
+    maxQueueSize: Infinity,
+    overflowStrategy: 'this',
+    poll: false,
+    pollInterval: 10
+};
+
+/**
+ * A function that is used to create a token. Override if needed.
+ * @param {function} callback - The callback associated with the acquiring of this token.
+ * @param {number} permits - The number of permits this token acquires
+ */
+SharedAsyncSemaphore.prototype.createToken = function (callback, permits) {
+    var token = AsyncLock.prototype.createToken.call(this, callback);
+    token.permits = permits;
+    return token;
+};
+
+/**
+ * Removes items from the given queue based on the given options, same as AsyncLock#reduceQueue
+ */
+SharedAsyncSemaphore.prototype.reduceQueue = AsyncLock.prototype.reduceQueue;
+
+/**
+ * Executes the user callback asynchronously, same as AsyncLock#executeCallback
+ */
+SharedAsyncSemaphore.prototype.executeCallback = AsyncLock.prototype.executeCallback;
+
+/**
+ * Acquires the given number of permits and generates a token which can be used to release them.
+ * @param {function} callback - The callback which is going to be called when the permits are acquired
+ * @param {number|object} [timeout] - The amount of time to wait in milliseconds before canceling the callback call,
+ * or the options object of AsyncLock#enter (timeout, signal, onCancel).
+ * @param {number} [permits] - The number of permits to acquire, default is 1
+ * The callback is of the form foo(token) (i.e. it will receive the acquired token as a parameter when called)
+ * @returns The token which controls the acquired permits for this callback.
+ */
+SharedAsyncSemaphore.prototype.enter = function (callback, timeout, permits) {
+    var options = cancellation.getOptions(timeout);
+
+    if (!_.isFunction(callback)) {
+        throw new errors.InvalidArgumentError('Callback must be a function');
+    }
+
+    if (permits === undefined || permits === null) {
+        permits = 1;
+    }
+
+    if (!isPositiveInteger(permits)) {
+        throw new errors.InvalidArgumentError('Permits must be a positive integer');
+    }
+
+    if (permits > this.permits()) {
+        throw new errors.InvalidArgumentError('Cannot acquire ' + permits + ' permits from a semaphore with ' + this.permits() + ' permits');
+    }
+
+    var token = this.createToken(callback, permits);
+
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (options.onCancel) {
+        token.onCancel = options.onCancel;
+    }
+
+    if (options.signal && options.signal.aborted) {
+        cancellation.cancel(token, 'aborted');
+        return token;
+    }
+
+    if (this.queue.length === 0 && tryTake(this.state, permits)) {
+        grant(this, token);
+        return token;
+    }
+
+    var self = this;
+    this.queue.push(token);
+
+    // A canceled token may have been blocking smaller requests behind it
+    cancellation.watch(token, options, function () {
+        _.pull(self.queue, token);
+        dispatch(self);
+    }, function () {
+        dispatch(self);
+    });
+
+    cancellation.cancelOverflow(this.reduceQueue(this.queue, this.options));
+    dispatch(this);
+
+    return token;
+};
+
+/**
+ * Releases the permits held by the given token and wakes up the threads which wait for permits.
+ * @param {object} token - The token which has acquired the permits.
+ * @param {boolean} abortPending - If true, all pending callbacks of this thread are canceled and never executed
+ */
+SharedAsyncSemaphore.prototype.leave = function (token, abortPending) {
+    if (token === null || token === undefined) {
+        throw new errors.InvalidTokenError('Token cannot be null or undefined', token);
+    }
+
+    if (this.holders.hasOwnProperty(token.id)) {
+        Atomics.sub(this.state, USED, this.holders[token.id]);
+        delete this.holders[token.id];
+        Atomics.add(this.state, VERSION, 1);
+        Atomics.notify(this.state, VERSION);
+    }
+
+    if (abortPending === true) {
+        while (this.queue.length > 0) {
+            token = this.queue.shift();
+            if (!token.isCanceled) {
+                cancellation.cancel(token, 'aborted');
+            }
+            cancellation.unwatch(token);
+        }
+    }
+
+    // Also stops keeping the thread alive if no callback is pending
+    dispatch(this);
+};
+
+/**
+ * Returns the number of permits of this semaphore
+ */
+SharedAsyncSemaphore.prototype.permits = function () {
+    return Atomics.load(this.state, PERMITS);
+};
+
+/**
+ * Returns the number of permits which can be acquired right now by any thread
+ */
+SharedAsyncSemaphore.prototype.availablePermits = function () {
+    return Math.max(this.permits() - Atomics.load(this.state, USED), 0);
+};
+
+/**
+ * Checks if all the permits of this semaphore are currently acquired by any thread
+ */
+SharedAsyncSemaphore.prototype.isLocked = function () {
+    return this.availablePermits() === 0;
+};
+
+/**
+ * Returns the number of callbacks pending in this thread
+ */
+SharedAsyncSemaphore.prototype.queueSize = function () {
+    return this.queue.length;
+};
+
+module.exports = SharedAsyncSemaphore;
@@ -0,0 +1,222 @@
+describe('Async Barrier', function () {
+    var AsyncBarrier = require('./../index').AsyncBarrier;
+    var BarrierBrokenError = require('./../index').BarrierBrokenError;
+    var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
+
+    beforeEach(function () {
+        AsyncBarrier.__reset();
+    });
+
+    describe('Create', function () {
+        it('should throw if the parties are invalid', function () {
+            expect(function () {
+                new AsyncBarrier(0);
+            }).to.throw('The parties must be a positive integer');
+
+            expect(function () {
+                new AsyncBarrier();
+            }).to.throw('The parties must be a positive integer');
+        });
+
+        it('should accept the action as the second argument', function () {
+            var action = function () {
+            };
+            expect(new AsyncBarrier(2, action).options.action).to.be.equal(action);
+            expect(new AsyncBarrier(2, {action: action}).options.action).to.be.equal(action);
+        });
+
+        it('should throw if the action is not a function', function () {
+            expect(function () {
+                new AsyncBarrier(2, {action: 'foo'});
+            }).to.throw('The action must be a function');
+        });
+    });
+
+    describe('Wait', function () {
+        it('should throw if callback is not a function', function () {
+            var barrier = new AsyncBarrier(2);
+            expect(function () {
+                barrier.wait();
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should release all the parties once the last party arrives', function (done) {
+            var barrier = new AsyncBarrier(3);
+            var released = [];
+            var check = function (token) {
+                released.push(token.id);
+                if (released.length === 3) {
+                    expect(released).to.be.deep.equal([0, 1, 2]);
+                    done();
+                }
+            };
+            barrier.wait(check);
+            barrier.wait(check);
+            expect(barrier.queueSize()).to.be.equal(2);
+            barrier.wait(check);
+            expect(barrier.queueSize()).to.be.equal(0);
+        });
+
+        it('should set the generation on the tokens', function () {
+            var barrier = new AsyncBarrier(1);
+            expect(barrier.wait(function () {
+            }).generation).to.be.equal(0);
+            expect(barrier.wait(function () {
+            }).generation).to.be.equal(1);
+        });
+    });
+
+    describe('Arrive', function () {
+        it('should count an arrival without waiting and return the generation', function (done) {
+            var barrier = new AsyncBarrier(2);
+            barrier.wait(function (token) {
+                expect(token.generation).to.be.equal(0);
+                done();
+            });
+            expect(barrier.arrive()).to.be.equal(0);
+            expect(barrier.generation).to.be.equal(1);
+        });
+
+        itWithSignal('should throw if the barrier is broken', function () {
+            var barrier = new AsyncBarrier(2);
+            barrier.wait(function () {
+            }, {signal: AbortSignal.abort()});
+            expect(function () {
+                barrier.arrive();
+            }).to.throw(BarrierBrokenError);
+        });
+    });
+
+    describe('Arrive and wait', function () {
+        it('should resolve all the parties with the generation, round after round', function () {
+            var barrier = new AsyncBarrier(2);
+            return Promise.all([barrier.arriveAndWait(), barrier.arriveAndWait()]).then(function (generations) {
+                expect(generations).to.be.deep.equal([0, 0]);
+                return Promise.all([barrier.arriveAndWait(), barrier.arriveAndWait()]);
+            }).then(function (generations) {
+                expect(generations).to.be.deep.equal([1, 1]);
+            });
+        });
+
+        it('should call the action once per generation before the parties continue', function () {
+            var calls = [];
+            var barrier = new AsyncBarrier(2, function (generation) {
+                calls.push('action ' + generation);
+            });
+            var first = barrier.arriveAndWait().then(function () {
+                calls.push('party');
+            });
+            var second = barrier.arriveAndWait().then(function () {
+                calls.push('party');
+            });
+            return Promise.all([first, second]).then(function () {
+                expect(calls).to.be.deep.equal(['action 0', 'party', 'party']);
+            });
+        });
+
+        it('should break the barrier and reject every waiter when a party times out', function () {
+            var barrier = new AsyncBarrier(3);
+            var patient = barrier.arriveAndWait();
+            var impatient = barrier.arriveAndWait({timeout: 10});
+            return impatient.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(barrier.isBroken()).to.be.true;
+                return patient;
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(BarrierBrokenError);
+                expect(err.code).to.be.equal('ERR_BARRIER_BROKEN');
+                expect(err.reason).to.be.equal('broken');
+                expect(barrier.queueSize()).to.be.equal(0);
+            });
+        });
+
+        itWithSignal('should break the barrier when a party is aborted', function () {
+            var barrier = new AsyncBarrier(3);
+            var controller = new AbortController();
+            var patient = barrier.arriveAndWait();
+            var aborted = barrier.arriveAndWait({signal: controller.signal});
+            controller.abort();
+            return Promise.all([
+                patient.then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err.reason).to.be.equal('broken');
+                }),
+                aborted.then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err).to.be.equal(controller.signal.reason);
+                })
+            ]);
+        });
+
+        itWithSignal('should reject a party which arrives at a broken barrier', function () {
+            var barrier = new AsyncBarrier(2);
+            var onCancelReason = null;
+            barrier.wait(function () {
+            }, {signal: AbortSignal.abort()});
+            barrier.wait(function () {
+            }, {
+                onCancel: function (token, reason) {
+                    onCancelReason = reason;
+                }
+            });
+            expect(onCancelReason).to.be.equal('broken');
+            return barrier.arriveAndWait().then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(BarrierBrokenError);
+            });
+        });
+
+        it('should break the barrier when the action throws', function () {
+            var failure = new Error('checkpoint failed');
+            var barrier = new AsyncBarrier(2, function () {
+                throw failure;
+            });
+            var waiting = barrier.arriveAndWait();
+            expect(function () {
+                barrier.arrive();
+            }).to.throw('checkpoint failed');
+            return waiting.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(BarrierBrokenError);
+                expect(err.message).to.be.equal('The barrier action failed: checkpoint failed');
+                expect(err.cause).to.be.equal(failure);
+                expect(barrier.isBroken()).to.be.true;
+            });
+        });
+    });
+
+    describe('Reset', function () {
+        it('should reject the waiting parties and start a new generation', function () {
+            var barrier = new AsyncBarrier(2);
+            var waiting = barrier.arriveAndWait();
+            barrier.reset();
+            expect(barrier.generation).to.be.equal(1);
+            expect(barrier.arrived).to.be.equal(0);
+            expect(barrier.isBroken()).to.be.false;
+            return waiting.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('broken');
+            });
+        });
+
+        itWithSignal('should make a broken barrier usable again', function () {
+            var barrier = new AsyncBarrier(2);
+            barrier.wait(function () {
+            }, {signal: AbortSignal.abort()});
+            barrier.reset();
+            return Promise.all([barrier.arriveAndWait(), barrier.arriveAndWait()]).then(function (generations) {
+                expect(generations).to.be.deep.equal([1, 1]);
+            });
+        });
+    });
+});
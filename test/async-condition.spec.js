@@ -0,0 +1,306 @@
+describe('Async Condition', function () {
+    var AsyncLock = require('./../index').AsyncLock;
+    var AsyncCondition = require('./../index').AsyncCondition;
+    var NotOwnerError = require('./../index').NotOwnerError;
+    var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+        AsyncCondition.__reset();
+    });
+
+    describe('Create', function () {
+        it('should create a condition bound to the lock', function () {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            expect(condition).to.be.instanceof(AsyncCondition);
+            expect(condition.lock).to.be.equal(lock);
+            expect(condition.queueSize()).to.be.equal(0);
+        });
+    });
+
+    describe('Wait', function () {
+        it('should throw if the token is null or undefined', function () {
+            var condition = new AsyncLock().createCondition();
+            expect(function () {
+                condition.wait(null, function () {
+                });
+            }).to.throw('Token cannot be null or undefined');
+        });
+
+        it('should throw if callback is not a function', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            lock.enter(function (token) {
+                expect(function () {
+                    condition.wait(token);
+                }).to.throw('Callback must be a function');
+                token.leave();
+                done();
+            });
+        });
+
+        it('should throw if the token does not hold the lock', function (done) {
+            var lock = new AsyncLock();
+            var otherLock = new AsyncLock();
+            var condition = lock.createCondition();
+            otherLock.enter(function (token) {
+                expect(function () {
+                    condition.wait(token, function () {
+                    });
+                }).to.throw(NotOwnerError);
+                token.leave();
+                done();
+            });
+        });
+
+        it('should throw if a reentrant lock is entered more than once', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            var condition = lock.createCondition();
+            lock.enter(function (token) {
+                lock.enter(function (innerToken) {
+                    expect(function () {
+                        condition.wait(innerToken, function () {
+                        });
+                    }).to.throw('Cannot wait on a condition while the lock is entered more than once');
+                    innerToken.leave();
+                    token.leave();
+                    done();
+                });
+            });
+        });
+
+        it('should release the lock while waiting and take it back before resuming', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            var order = [];
+            lock.enter(function (token) {
+                order.push('wait');
+                condition.wait(token, function (newToken) {
+                    order.push('resume');
+                    expect(lock.ownerTokenId).to.be.equal(newToken.id);
+                    expect(order).to.be.deep.equal(['wait', 'notify', 'notifier leave', 'resume']);
+                    newToken.leave();
+                    done();
+                });
+                // The lock was handed to the next callback
+                expect(lock.ownerTokenId).to.not.be.equal(token.id);
+                expect(condition.queueSize()).to.be.equal(1);
+            });
+            lock.enter(function (token) {
+                order.push('notify');
+                expect(condition.notify()).to.be.true;
+                order.push('notifier leave');
+                token.leave();
+            });
+        });
+
+        it('should not resume the waiter while the notifier holds a reentrant lock', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            var condition = lock.createCondition();
+            var notifierInside = false;
+            lock.enter(function (token) {
+                condition.wait(token, function (newToken) {
+                    expect(notifierInside).to.be.false;
+                    expect(lock.holdCount).to.be.equal(1);
+                    expect(lock.ownerTokenId).to.be.equal(newToken.id);
+                    newToken.leave();
+                    done();
+                });
+            });
+            lock.enter(function (token) {
+                notifierInside = true;
+                condition.notify();
+                setTimeout(function () {
+                    notifierInside = false;
+                    token.leave();
+                }, 10);
+            });
+        });
+
+        it('should take the lock back before reporting a timed out wait', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            var canceled = [];
+            lock.enter(function (token) {
+                var waiter = condition.wait(token, function (newToken) {
+                    expect(canceled).to.be.deep.equal(['timeout']);
+                    expect(waiter.isCanceled).to.be.true;
+                    expect(newToken.waitCanceled).to.be.equal('timeout');
+                    expect(lock.ownerTokenId).to.be.equal(newToken.id);
+                    expect(condition.notify()).to.be.false;
+                    newToken.leave();
+                    done();
+                }, {
+                    timeout: 10,
+                    onCancel: function (canceledWaiter, reason) {
+                        expect(canceledWaiter).to.be.equal(waiter);
+                        expect(lock.isLocked()).to.be.true;
+                        canceled.push(reason);
+                    }
+                });
+            });
+        });
+
+        it('should wait for the lock to be left before resuming a timed out wait', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            var order = [];
+            lock.enter(function (token) {
+                condition.wait(token, function (newToken) {
+                    expect(order).to.be.deep.equal(['other leave']);
+                    expect(newToken.waitCanceled).to.be.equal('timeout');
+                    newToken.leave();
+                    done();
+                }, 10);
+                lock.enter(function (otherToken) {
+                    setTimeout(function () {
+                        order.push('other leave');
+                        otherToken.leave();
+                    }, 30);
+                });
+            });
+        });
+
+        itWithSignal('should take the lock back before reporting an aborted wait', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            var controller = new AbortController();
+            lock.enter(function (token) {
+                condition.wait(token, function (newToken) {
+                    expect(newToken.waitCanceled).to.be.equal('aborted');
+                    expect(lock.ownerTokenId).to.be.equal(newToken.id);
+                    newToken.leave();
+                    done();
+                }, {
+                    signal: controller.signal,
+                    onCancel: function (waiter, reason) {
+                        expect(reason).to.be.equal('aborted');
+                        expect(condition.queueSize()).to.be.equal(0);
+                        expect(lock.isLocked()).to.be.true;
+                    }
+                });
+                controller.abort();
+            });
+        });
+
+        it('should call onCancel and not resume if the lock cannot be entered again', function (done) {
+            var lock = new AsyncLock({maxQueueSize: 0});
+            var condition = lock.createCondition();
+            lock.enter(function (token) {
+                condition.wait(token, function () {
+                    done('should not get here');
+                }, {
+                    onCancel: function (canceledToken, reason) {
+                        expect(reason).to.be.equal('overflow');
+                        expect(canceledToken.lock).to.be.equal(lock);
+                        done();
+                    }
+                });
+                lock.enter(function (otherToken) {
+                    condition.notify();
+                    setTimeout(function () {
+                        otherToken.leave();
+                    }, 10);
+                });
+            });
+        });
+    });
+
+    describe('Notify', function () {
+        it('should return false if no callback is waiting', function () {
+            var condition = new AsyncLock().createCondition();
+            expect(condition.notify()).to.be.false;
+            expect(condition.notifyAll()).to.be.equal(0);
+        });
+
+        it('should wake the waiters in order one at a time', function (done) {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            var resumed = [];
+            [1, 2, 3].forEach(function (index) {
+                lock.enter(function (token) {
+                    condition.wait(token, function (newToken) {
+                        resumed.push(index);
+                        newToken.leave();
+                    });
+                });
+            });
+            lock.enter(function (token) {
+                expect(condition.queueSize()).to.be.equal(3);
+                expect(condition.notify()).to.be.true;
+                expect(condition.notifyAll()).to.be.equal(2);
+                token.leave();
+                setTimeout(function () {
+                    expect(resumed).to.be.deep.equal([1, 2, 3]);
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                }, 20);
+            });
+        });
+    });
+
+    describe('Wait async', function () {
+        it('should coordinate a bounded buffer', function () {
+            var lock = new AsyncLock();
+            var notFull = lock.createCondition();
+            var notEmpty = lock.createCondition();
+            var buffer = [];
+            var consumed = [];
+
+            async function produce(item) {
+                var token = await lock.acquire();
+                while (buffer.length === 2) {
+                    token = await notFull.waitAsync(token);
+                }
+                buffer.push(item);
+                notEmpty.notify();
+                token.leave();
+            }
+
+            async function consume() {
+                var token = await lock.acquire();
+                while (buffer.length === 0) {
+                    token = await notEmpty.waitAsync(token);
+                }
+                consumed.push(buffer.shift());
+                notFull.notify();
+                token.leave();
+            }
+
+            var producers = [1, 2, 3, 4, 5].map(produce);
+            var consumers = [1, 2, 3, 4, 5].map(consume);
+            return Promise.all(producers.concat(consumers)).then(function () {
+                expect(consumed).to.be.deep.equal([1, 2, 3, 4, 5]);
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should resolve with the lock taken back when the timeout expires', function () {
+            var lock = new AsyncLock();
+            var condition = lock.createCondition();
+            return lock.acquire().then(function (token) {
+                return condition.waitAsync(token, {timeout: 10});
+            }).then(function (token) {
+                expect(token.waitCanceled).to.be.equal('timeout');
+                expect(lock.ownerTokenId).to.be.equal(token.id);
+                token.leave();
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should hold the lock after a timed out wait so it can be left in finally', async function () {
+            var lock = new AsyncLock({strict: true});
+            var condition = lock.createCondition();
+            var token = await lock.acquire();
+            try {
+                token = await condition.waitAsync(token, {timeout: 10});
+                expect(token.waitCanceled).to.be.equal('timeout');
+            } finally {
+                token.leave();
+            }
+            expect(lock.isLocked()).to.be.false;
+        });
+    });
+});
@@ -1,6 +1,8 @@
 describe('Async Lock', function () {
     var AsyncLock = require('./../index').AsyncLock;
+    var errors = require('./../lib/errors');
     var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
 
     beforeEach(function () {
         AsyncLock.__reset();
@@ -147,6 +149,31 @@ describe('Async Lock', function () {
                 expect(reducedQueue[0]).to.be.equal('d');
             });
 
+            it('should reduce the given token if overflowStrategy is this', function () {
+                var lock = new AsyncLock();
+                var queue = ['a', 'b', 'c', 'd'];
+                var reducedQueue = lock.reduceQueue(queue, {maxQueueSize: 3, overflowStrategy: 'this'}, 'b');
+                expect(queue).to.be.deep.equal(['a', 'c', 'd']);
+                expect(reducedQueue).to.be.deep.equal(['b']);
+            });
+
+            it('should not reduce the given token if overflowStrategy is last', function () {
+                var lock = new AsyncLock();
+                var queue = ['a', 'b', 'c', 'd'];
+                var reducedQueue = lock.reduceQueue(queue, {maxQueueSize: 2, overflowStrategy: 'last'}, 'c');
+                expect(queue).to.be.deep.equal(['a', 'c']);
+                expect(reducedQueue).to.be.deep.equal(['b', 'd']);
+            });
+
+            it('should reduce the most recent tokens with the lowest priority if overflowStrategy is lowest', function () {
+                var lock = new AsyncLock();
+                var a = {priority: 1}, b = {priority: 0}, c = {priority: 2}, d = {priority: 0};
+                var queue = [c, a, b, d];
+                var reducedQueue = lock.reduceQueue(queue, {maxQueueSize: 2, overflowStrategy: 'lowest'});
+                expect(queue).to.be.deep.equal([c, a]);
+                expect(reducedQueue).to.be.deep.equal([d, b]);
+            });
+
         });
 
     });
@@ -185,7 +212,7 @@ describe('Async Lock', function () {
             var lock = new AsyncLock();
             expect(function () {
                 lock.enter('hello world');
-            }).to.throw('Callback must be a function');
+            }).to.throw(errors.InvalidArgumentError, 'Callback must be a function');
         });
 
         it('should throw if createToken returns null', function () {
@@ -196,7 +223,7 @@ describe('Async Lock', function () {
             expect(function () {
                 lock.enter(function () {
                 });
-            }).to.throw('Token cannot be null or undefined');
+            }).to.throw(errors.InvalidTokenError, 'Token cannot be null or undefined');
         });
 
         it('should not call the callback if the timeout has expired and do call it if not expired', function (done) {
@@ -425,6 +452,653 @@ describe('Async Lock', function () {
         });
     });
 
+    describe('Enter with priority', function () {
+        it('should call the callbacks with a higher priority first', function (done) {
+            var lock = new AsyncLock();
+            var order = [];
+            lock.enter(function (token) {
+                lock.enter(function (innerToken) {
+                    order.push('low');
+                    innerToken.leave();
+                    expect(order).to.be.deep.equal(['high', 'normal', 'normal 2', 'low']);
+                    done();
+                }, {priority: -1});
+                lock.enter(function (innerToken) {
+                    order.push('normal');
+                    innerToken.leave();
+                });
+                lock.enter(function (innerToken) {
+                    order.push('high');
+                    innerToken.leave();
+                }, {priority: 10});
+                lock.enter(function (innerToken) {
+                    order.push('normal 2');
+                    innerToken.leave();
+                }, {priority: 0});
+                token.leave();
+            });
+        });
+
+        it('should order the queue by priority', function () {
+            var lock = new AsyncLock();
+            lock.enter(function () {
+            });
+            var low = lock.enter(function () {
+            }, {priority: 1});
+            var high = lock.enter(function () {
+            }, {priority: 5});
+            var normal = lock.enter(function () {
+            });
+            expect(lock.queue).to.be.deep.equal([high, low, normal]);
+        });
+
+        it('should not allow a priority which is not a number', function () {
+            var lock = new AsyncLock();
+            expect(function () {
+                lock.enter(function () {
+                }, {priority: 'high'});
+            }).to.throw('Priority must be a number');
+        });
+
+        it('should raise the priority of waiting callbacks when priorityAging is set', function (done) {
+            var lock = new AsyncLock({priorityAging: 10});
+            var order = [];
+            lock.enter(function (token) {
+                lock.enter(function (innerToken) {
+                    order.push('old');
+                    innerToken.leave();
+                });
+                setTimeout(function () {
+                    lock.enter(function (innerToken) {
+                        order.push('new');
+                        innerToken.leave();
+                        expect(order).to.be.deep.equal(['old', 'new']);
+                        done();
+                    }, {priority: 1});
+                    token.leave();
+                }, 50);
+            });
+        });
+
+        it('should evict the lowest priority callback when overflowStrategy is lowest', function () {
+            var lock = new AsyncLock({maxQueueSize: 2, overflowStrategy: 'lowest'});
+            lock.enter(function () {
+            });
+            var low = lock.enter(function () {
+            });
+            var high = lock.enter(function () {
+            }, {priority: 2});
+            var higher = lock.enter(function () {
+            }, {priority: 1});
+            expect(low.isCanceled).to.be.true;
+            expect(lock.queue).to.be.deep.equal([high, higher]);
+
+            var lowest = lock.enter(function () {
+            }, {priority: -1});
+            expect(lowest.isCanceled).to.be.true;
+            expect(lock.queue).to.be.deep.equal([high, higher]);
+        });
+
+        it('should remove the current callback when overflowStrategy is this', function () {
+            var lock = new AsyncLock({maxQueueSize: 1, overflowStrategy: 'this'});
+            lock.enter(function () {
+            });
+            var low = lock.enter(function () {
+            });
+            var high = lock.enter(function () {
+            }, {priority: 1});
+            expect(high.isCanceled).to.be.true;
+            expect(low.isCanceled).to.be.false;
+            expect(lock.queue).to.be.deep.equal([low]);
+        });
+    });
+
+    describe('Reentrant lock', function () {
+        it('should call a nested enter from the same async flow without waiting', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    lock.enter(function (innerToken) {
+                        expect(innerToken.id).to.be.equal(token.id);
+                        innerToken.leave();
+                        expect(lock.isLocked()).to.be.true;
+                        token.leave();
+                        expect(lock.isLocked()).to.be.false;
+                        done();
+                    });
+                }, 10);
+            });
+        });
+
+        it('should release the lock only when the outermost hold leaves', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            var order = [];
+            lock.enter(function (token) {
+                lock.enter(function (innerToken) {
+                    order.push('inner');
+                    lock.enter(function (innermostToken) {
+                        order.push('innermost');
+                        innermostToken.leave();
+                        innerToken.leave();
+                        expect(lock.isLocked()).to.be.true;
+                        token.leave();
+                    });
+                });
+            });
+            lock.enter(function (token) {
+                expect(order).to.be.deep.equal(['inner', 'innermost']);
+                token.leave();
+                done();
+            });
+        });
+
+        it('should make other async flows wait', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            var released = false;
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    released = true;
+                    token.leave();
+                }, 20);
+            });
+            lock.enter(function (token) {
+                expect(released).to.be.true;
+                token.leave();
+                done();
+            });
+        });
+
+        it('should not recognize the flow once the lock was left', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            lock.enter(function (token) {
+                token.leave();
+                lock.enter(function (otherToken) {
+                    setTimeout(function () {
+                        otherToken.leave();
+                    }, 20);
+                });
+                setTimeout(function () {
+                    lock.enter(function (lateToken) {
+                        expect(lock.isLocked()).to.be.true;
+                        expect(lateToken.id).not.to.be.equal(token.id);
+                        lateToken.leave();
+                        done();
+                    });
+                    expect(lock.queueSize()).to.be.equal(1);
+                }, 10);
+            });
+        });
+
+        it('should resolve acquire from the owner without waiting', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            lock.enter(function (token) {
+                lock.acquire().then(function (innerToken) {
+                    innerToken.leave();
+                    token.leave();
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                });
+            });
+        });
+
+        it('should recognize the owner within the callback of acquire', async function () {
+            var lock = new AsyncLock({reentrant: true});
+            var result = await lock.acquire(async function (token) {
+                var innerToken = await lock.acquire();
+                expect(innerToken.id).to.be.equal(token.id);
+                innerToken.leave();
+                return lock.acquire(function (nestedToken) {
+                    expect(nestedToken.id).to.be.equal(token.id);
+                    expect(lock.queueSize()).to.be.equal(0);
+                    return 'nested';
+                });
+            });
+            expect(result).to.be.equal('nested');
+            expect(lock.isLocked()).to.be.false;
+        });
+
+        it('should queue a nested enter if the lock is not reentrant', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function () {
+                lock.enter(function () {
+                    done('Should not be here');
+                });
+                expect(lock.queueSize()).to.be.equal(1);
+                done();
+            });
+        });
+    });
+
+    describe('Max hold time', function () {
+        it('should release the lock and call the next waiter when maxHoldTime expires', function (done) {
+            var lock = new AsyncLock({maxHoldTime: 10});
+            var expiredToken;
+            lock.enter(function (token) {
+                expiredToken = token;
+            });
+            lock.enter(function (token) {
+                expect(expiredToken.isExpired).to.be.true;
+                expect(token.isExpired).to.be.undefined;
+                token.leave();
+                done();
+            });
+        });
+
+        it('should ignore a late leave of an expired token', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                    expect(lock.isLocked()).to.be.true;
+                    expect(lock.queueSize()).to.be.equal(1);
+                    done();
+                }, 30);
+            }, {maxHoldTime: 10});
+            lock.enter(function () {
+            });
+            lock.enter(function () {
+            });
+        });
+
+        it('should call the onExpire hook of the lock and of the enter call', function (done) {
+            var expired = [];
+            var lock = new AsyncLock({
+                maxHoldTime: 10,
+                onExpire: function (token) {
+                    expired.push('lock');
+                    expect(token.isExpired).to.be.true;
+                    expect(expired).to.be.deep.equal(['enter', 'lock']);
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                }
+            });
+            lock.enter(function () {
+            }, {
+                onExpire: function () {
+                    expired.push('enter');
+                }
+            });
+        });
+
+        it('should not expire a token which left in time', function (done) {
+            var lock = new AsyncLock({
+                maxHoldTime: 10,
+                onExpire: function () {
+                    done('Should not be here');
+                }
+            });
+            lock.enter(function (token) {
+                token.leave();
+                expect(lock.holdTimeoutId).to.be.null;
+                setTimeout(done, 30);
+            });
+        });
+
+        it('should use the maxHoldTime of the enter call', function (done) {
+            var lock = new AsyncLock({maxHoldTime: 1000});
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    expect(token.isExpired).to.be.true;
+                    done();
+                }, 30);
+            }, {maxHoldTime: 10});
+        });
+
+        it('should release all the nested holds of a reentrant lock', function (done) {
+            var lock = new AsyncLock({reentrant: true});
+            lock.enter(function () {
+                lock.enter(function (innerToken) {
+                    setTimeout(function () {
+                        innerToken.leave();
+                        expect(lock.isLocked()).to.be.true;
+                        done();
+                    }, 40);
+                });
+            }, {maxHoldTime: 20});
+            setTimeout(function () {
+                lock.enter(function () {
+                });
+            }, 10);
+        });
+
+        it('should expire a token on demand', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                lock.expire(token);
+                expect(token.isExpired).to.be.true;
+                expect(lock.isLocked()).to.be.false;
+                lock.expire(token);
+                done();
+            });
+        });
+    });
+
+    describe('Acquire a lock', function () {
+        it('should resolve with the token once the lock is acquired', function () {
+            var lock = new AsyncLock();
+            return lock.acquire().then(function (token) {
+                expect(lock.isLocked()).to.be.true;
+                expect(lock.ownerTokenId).to.be.equal(token.id);
+                token.leave();
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should wait until the lock is left', function () {
+            var lock = new AsyncLock();
+            var order = [];
+            var first = lock.acquire().then(function (token) {
+                order.push('first');
+                return new Promise(function (resolve) {
+                    setTimeout(function () {
+                        order.push('first leave');
+                        token.leave();
+                        resolve();
+                    }, 20);
+                });
+            });
+            var second = lock.acquire().then(function (token) {
+                order.push('second');
+                token.leave();
+            });
+            return Promise.all([first, second]).then(function () {
+                expect(order).to.be.deep.equal(['first', 'first leave', 'second']);
+            });
+        });
+
+        it('should reject when the timeout expires', function () {
+            var lock = new AsyncLock();
+            lock.enter(function () {
+            });
+            return lock.acquire({timeout: 10}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(errors.LockTimeoutError);
+                expect(err.code).to.be.equal('ERR_LOCK_TIMEOUT');
+                expect(err.reason).to.be.equal('timeout');
+                expect(err.message).to.be.equal('The timeout has expired before the callback was called');
+            });
+        });
+
+        it('should reject when removed from the queue by the overflow strategy', function () {
+            var lock = new AsyncLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            lock.enter(function () {
+            });
+            var evicted = lock.acquire();
+            lock.acquire();
+            return evicted.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(errors.QueueOverflowError);
+                expect(err.code).to.be.equal('ERR_LOCK_QUEUE_OVERFLOW');
+                expect(err.reason).to.be.equal('overflow');
+            });
+        });
+
+        it('should reject when the pending callbacks are aborted', function () {
+            var lock = new AsyncLock();
+            var pending;
+            return lock.acquire().then(function (token) {
+                pending = lock.acquire();
+                lock.leave(token, true);
+                return pending;
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(errors.LockAbortedError);
+                expect(err.code).to.be.equal('ERR_LOCK_ABORTED');
+                expect(err.reason).to.be.equal('aborted');
+            });
+        });
+
+        it('should hold the lock until the promise of the callback is settled', function () {
+            var lock = new AsyncLock();
+            var order = [];
+            var first = lock.acquire(function (token) {
+                expect(lock.ownerTokenId).to.be.equal(token.id);
+                return new Promise(function (resolve) {
+                    setTimeout(function () {
+                        order.push('first');
+                        resolve('first result');
+                    }, 20);
+                });
+            });
+            var second = lock.acquire(function () {
+                order.push('second');
+            });
+            return Promise.all([first, second]).then(function (results) {
+                expect(results).to.be.deep.equal(['first result', undefined]);
+                expect(order).to.be.deep.equal(['first', 'second']);
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should leave the lock and reject if the callback fails', function () {
+            var lock = new AsyncLock();
+            return lock.acquire(function () {
+                throw new Error('Failed');
+            }, {timeout: 100}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.message).to.be.equal('Failed');
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should not leave the lock again if the callback has left it', function () {
+            var lock = new AsyncLock({strict: true});
+            return lock.acquire(function (token) {
+                token.leave();
+                return 'left';
+            }).then(function (result) {
+                expect(result).to.be.equal('left');
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+
+        it('should work with async functions', async function () {
+            var lock = new AsyncLock();
+            var token = await lock.acquire();
+            try {
+                expect(lock.isLocked()).to.be.true;
+            } finally {
+                token.leave();
+            }
+            expect(lock.isLocked()).to.be.false;
+        });
+    });
+
+    describe('Abort a pending enter', function () {
+        itWithSignal('should remove the token from the queue when the signal is aborted', function (done) {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                }, 20);
+            });
+            var token = lock.enter(function () {
+                done('Should not be here');
+            }, {signal: controller.signal});
+
+            expect(lock.queueSize()).to.be.equal(1);
+            controller.abort();
+            expect(lock.queueSize()).to.be.equal(0);
+            expect(token.isCanceled).to.be.true;
+        });
+
+        itWithSignal('should not queue the token if the signal is already aborted', function (done) {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            controller.abort();
+            var token = lock.enter(function () {
+                done('Should not be here');
+            }, {signal: controller.signal});
+
+            expect(token.isCanceled).to.be.true;
+            expect(lock.isLocked()).to.be.false;
+            setTimeout(done, 10);
+        });
+
+        itWithSignal('should do nothing if the lock was already acquired', function (done) {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            lock.enter(function (token) {
+                controller.abort();
+                expect(token.isCanceled).to.be.false;
+                expect(lock.isLocked()).to.be.true;
+                done();
+            }, {signal: controller.signal, timeout: 100});
+        });
+
+        it('should support a timeout in the options', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 50);
+            });
+            var token = lock.enter(function () {
+                done('Should not be here');
+            }, {timeout: 10});
+            setTimeout(function () {
+                expect(token.isCanceled).to.be.true;
+                done();
+            }, 100);
+        });
+
+        itWithSignal('should reject acquire with the reason of the signal', function () {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            var reason = new Error('Request closed');
+            lock.enter(function () {
+            });
+            var promise = lock.acquire({signal: controller.signal});
+            controller.abort(reason);
+            return promise.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal(reason);
+                expect(lock.queueSize()).to.be.equal(0);
+            });
+        });
+
+        itWithSignal('should reject acquire if the signal is already aborted', function () {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            controller.abort('gone');
+            return lock.acquire({signal: controller.signal}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal('gone');
+                expect(lock.isLocked()).to.be.false;
+            });
+        });
+    });
+
+    describe('Cancel a pending enter', function () {
+        it('should call onCancel with timeout when the timeout has expired', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 50);
+            });
+            var token = lock.enter(function () {
+                done('Should not be here');
+            }, {
+                timeout: 10,
+                onCancel: function (canceledToken, reason) {
+                    expect(canceledToken).to.be.equal(token);
+                    expect(reason).to.be.equal('timeout');
+                    expect(canceledToken.isCanceled).to.be.true;
+                    done();
+                }
+            });
+        });
+
+        it('should call onCancel with overflow when the token is removed from the queue', function (done) {
+            var lock = new AsyncLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            lock.enter(function () {
+            });
+            var token = lock.enter(function () {
+                done('Should not be here');
+            }, {
+                onCancel: function (canceledToken, reason) {
+                    expect(canceledToken).to.be.equal(token);
+                    expect(reason).to.be.equal('overflow');
+                    done();
+                }
+            });
+            lock.enter(function () {
+            });
+        });
+
+        itWithSignal('should call onCancel with aborted when the signal is aborted', function () {
+            var lock = new AsyncLock();
+            var controller = new AbortController();
+            var reasons = [];
+            lock.enter(function () {
+            });
+            lock.enter(function () {
+            }, {
+                signal: controller.signal,
+                onCancel: function (token, reason) {
+                    reasons.push(reason);
+                }
+            });
+            controller.abort();
+            expect(reasons).to.be.deep.equal(['aborted']);
+        });
+
+        it('should call onCancel with aborted when leave is called with abort pending', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                lock.enter(function () {
+                    done('Should not be here');
+                }, {
+                    onCancel: function (canceledToken, reason) {
+                        expect(reason).to.be.equal('aborted');
+                        done();
+                    }
+                });
+                lock.leave(token, true);
+            });
+        });
+
+        it('should not call onCancel once the lock is acquired', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                    done();
+                }, 20);
+            }, {
+                timeout: 10,
+                onCancel: function () {
+                    done('Should not be here');
+                }
+            });
+        });
+
+        it('should reject acquire with the reason of the cancellation', function () {
+            var lock = new AsyncLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            lock.enter(function () {
+            });
+            var promise = lock.acquire();
+            lock.enter(function () {
+            });
+            return promise.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('overflow');
+                expect(err.message).to.be.equal('The callback was removed from the queue because the queue exceeded its maximum size');
+            });
+        });
+    });
+
     describe('Check is locked', function () {
         it('should be unlocked if no one entered the lock', function () {
             var lock = new AsyncLock();
@@ -482,6 +1156,280 @@ describe('Async Lock', function () {
 
     });
 
+    describe('Lifecycle events', function () {
+        it('should emit enqueue, acquire and leave with the timings of the token', function (done) {
+            var lock = new AsyncLock();
+            var events = [];
+            ['enqueue', 'acquire', 'leave'].forEach(function (eventName) {
+                lock.on(eventName, function (event) {
+                    events.push(eventName + ' ' + event.token.id);
+                });
+            });
+            lock.on('leave', function (event) {
+                if (event.token.id === 1) {
+                    expect(event.waitTime).to.be.at.least(15);
+                    expect(event.holdTime).to.be.at.least(0);
+                    expect(lock.isLocked()).to.be.false;
+                    expect(events).to.be.deep.equal(['acquire 0', 'enqueue 1', 'leave 0', 'acquire 1', 'leave 1']);
+                    done();
+                }
+            });
+
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 20);
+            });
+            lock.enter(function (token) {
+                token.leave();
+            });
+        });
+
+        it('should emit timeout when a pending callback times out', function (done) {
+            var lock = new AsyncLock();
+            lock.on('timeout', function (event) {
+                expect(event.token.isCanceled).to.be.true;
+                expect(event.waitTime).to.be.at.least(5);
+                expect(event.holdTime).to.be.equal(0);
+                done();
+            });
+            lock.enter(function () {
+            });
+            lock.enter(function () {
+                done('Should not be here');
+            }, 10);
+        });
+
+        it('should emit overflow with the tokens removed from the queue', function (done) {
+            var lock = new AsyncLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            var first;
+            lock.on('overflow', function (event) {
+                expect(event.tokens).to.be.deep.equal([first]);
+                done();
+            });
+            lock.enter(function () {
+            });
+            first = lock.enter(function () {
+            });
+            lock.enter(function () {
+            });
+        });
+
+        itWithSignal('should emit abort when a pending callback is aborted', function () {
+            var lock = new AsyncLock();
+            var aborted = [];
+            var controller = new AbortController();
+            lock.on('abort', function (event) {
+                aborted.push(event.token);
+            });
+            var owner = lock.enter(function () {
+            });
+            var first = lock.enter(function () {
+            }, {signal: controller.signal});
+            var second = lock.enter(function () {
+            });
+            controller.abort();
+            lock.leave(owner, true);
+            expect(aborted).to.be.deep.equal([first, second]);
+        });
+
+        it('should emit leave when the max hold time expires', function (done) {
+            var lock = new AsyncLock({maxHoldTime: 10});
+            lock.on('leave', function (event) {
+                expect(event.token.isExpired).to.be.true;
+                done();
+            });
+            lock.enter(function () {
+            });
+        });
+    });
+
+    describe('Statistics', function () {
+        it('should count the acquisitions and record the wait and hold times', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 20);
+            });
+            lock.enter(function (token) {
+                token.leave();
+                var stats = lock.stats();
+                expect(stats.acquisitions).to.be.equal(2);
+                expect(stats.peakQueueLength).to.be.equal(1);
+                expect(stats.queueLength).to.be.equal(0);
+                expect(stats.waitTime.count).to.be.equal(2);
+                expect(stats.waitTime.max).to.be.at.least(15);
+                expect(stats.contention).to.be.equal(stats.waitTime.sum);
+                expect(stats.holdTime.count).to.be.equal(2);
+                expect(stats.holdTime.max).to.be.at.least(15);
+                done();
+            });
+        });
+
+        itWithSignal('should count the timeouts, the aborts and the overflows', function (done) {
+            var lock = new AsyncLock({maxQueueSize: 2});
+            var controller = new AbortController();
+            lock.enter(function () {
+            });
+            lock.enter(function () {
+            }, 5);
+            lock.enter(function () {
+            }, {signal: controller.signal});
+            lock.enter(function () {
+            });
+            controller.abort();
+
+            setTimeout(function () {
+                var stats = lock.stats();
+                expect(stats.acquisitions).to.be.equal(1);
+                expect(stats.timeouts).to.be.equal(1);
+                expect(stats.aborts).to.be.equal(1);
+                expect(stats.overflows).to.be.equal(1);
+                expect(stats.peakQueueLength).to.be.equal(2);
+                done();
+            }, 20);
+        });
+
+        it('should remove the metrics on reset', function () {
+            var lock = new AsyncLock();
+            lock.enter(function () {
+            });
+            lock.resetStats();
+            var stats = lock.stats();
+            expect(stats.acquisitions).to.be.equal(0);
+            expect(stats.waitTime.count).to.be.equal(0);
+        });
+    });
+
+    describe('Strict leave', function () {
+        var LockOwnershipError = require('./../index').LockOwnershipError;
+
+        function expectLeaveError(lock, token, reason) {
+            var error = null;
+            try {
+                lock.leave(token);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.instanceof(LockOwnershipError);
+            expect(error.reason).to.be.equal(reason);
+            expect(error.token).to.be.equal(token);
+        }
+
+        it('should allow any token to leave a lock which is not strict', function (done) {
+            var lock = new AsyncLock();
+            lock.enter(function (token) {
+                token.leave();
+                token.leave();
+                expect(lock.isLocked()).to.be.false;
+                done();
+            });
+        });
+
+        it('should throw when the same token leaves twice', function (done) {
+            var lock = new AsyncLock({strict: true});
+            lock.enter(function (token) {
+                token.leave();
+                lock.enter(function (secondToken) {
+                    expectLeaveError(lock, token, 'double-leave');
+                    expect(lock.isLocked()).to.be.true;
+                    secondToken.leave();
+                    done();
+                });
+            });
+        });
+
+        it('should throw when a token of another lock leaves', function (done) {
+            var lock = new AsyncLock({strict: true});
+            var otherLock = new AsyncLock();
+            otherLock.enter(function (otherToken) {
+                lock.enter(function (token) {
+                    expectLeaveError(lock, otherToken, 'not-owner');
+                    expect(function () {
+                        lock.leave(otherToken);
+                    }).to.throw(errors.NotOwnerError);
+                    token.leave();
+                    done();
+                });
+            });
+        });
+
+        it('should throw when the lock is not held', function () {
+            var lock = new AsyncLock({strict: true});
+            expect(function () {
+                lock.leave('');
+            }).to.throw('There is no pending token in the lock but received ""');
+        });
+
+        it('should throw when a token which is not the owner leaves', function (done) {
+            var lock = new AsyncLock({strict: true});
+            lock.enter(function (token) {
+                var waitingToken = lock.enter(function () {
+                });
+                expect(function () {
+                    lock.leave(waitingToken);
+                }).to.throw('Owner token mismatch. Expected ' + token.id + ' but received ' + waitingToken.id);
+                lock.leave(token, true);
+                done();
+            });
+        });
+
+        it('should throw when a token leaves after its timeout', function (done) {
+            var lock = new AsyncLock({strict: true});
+            lock.enter(function (token) {
+                lock.enter(function () {
+                }, {
+                    timeout: 5,
+                    onCancel: function (canceledToken) {
+                        expectLeaveError(lock, canceledToken, 'canceled');
+                        expect(lock.isLocked()).to.be.true;
+                        token.leave();
+                        done();
+                    }
+                });
+            });
+        });
+
+        it('should throw when a token leaves after its max hold time', function (done) {
+            var lock = new AsyncLock({strict: true, maxHoldTime: 5});
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    expectLeaveError(lock, token, 'expired');
+                    done();
+                }, 15);
+            });
+        });
+
+        it('should report the error to onLeaveError instead of throwing', function (done) {
+            var lock = new AsyncLock({
+                strict: true,
+                onLeaveError: function (error, token) {
+                    expect(error.reason).to.be.equal('double-leave');
+                    expect(error.token).to.be.equal(token);
+                    done();
+                }
+            });
+            lock.enter(function (token) {
+                token.leave();
+                token.leave();
+            });
+        });
+
+        it('should allow the nested holds of a reentrant lock to leave', function (done) {
+            var lock = new AsyncLock({strict: true, reentrant: true});
+            lock.enter(function (token) {
+                lock.enter(function (innerToken) {
+                    innerToken.leave();
+                    expectLeaveError(lock, innerToken, 'double-leave');
+                    token.leave();
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                });
+            });
+        });
+    });
+
     describe('Create with options', function () {
         it('should have options if they were specified', function () {
             var lock = new AsyncLock({
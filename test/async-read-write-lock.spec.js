@@ -0,0 +1,323 @@
+describe('Async Read Write Lock', function () {
+    var AsyncReadWriteLock = require('./../index').AsyncReadWriteLock;
+    var AsyncLock = require('./../index').AsyncLock;
+    var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+    });
+
+    describe('Helper functions', function () {
+        it('should create read and write tokens', function () {
+            var lock = new AsyncReadWriteLock();
+            var readToken = lock.createToken(function () {
+            }, false);
+            var writeToken = lock.createToken(function () {
+            }, true);
+            expect(readToken.isWrite).to.be.false;
+            expect(writeToken.isWrite).to.be.true;
+            expect(readToken.id).not.to.be.equal(writeToken.id);
+            expect(readToken.lock).to.be.equal(lock);
+            expect(readToken.isCanceled).to.be.false;
+        });
+    });
+
+    describe('Enter for reading', function () {
+        it('should return a token', function (done) {
+            var lock = new AsyncReadWriteLock();
+            var token = lock.enterRead(function (innerToken) {
+                expect(token.id).to.be.equal(innerToken.id);
+                done();
+            });
+        });
+
+        it('should allow several readers at the same time', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterRead(function () {
+                lock.enterRead(function () {
+                    expect(lock.readersCount()).to.be.equal(2);
+                    expect(lock.isReadLocked()).to.be.true;
+                    done();
+                });
+            });
+        });
+
+        it('should not allow entering with a non function', function () {
+            var lock = new AsyncReadWriteLock();
+            expect(function () {
+                lock.enterRead('hello world');
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should throw if createToken returns null', function () {
+            var lock = new AsyncReadWriteLock();
+            lock.createToken = function () {
+                return null;
+            };
+            expect(function () {
+                lock.enterRead(function () {
+                });
+            }).to.throw('Token cannot be null or undefined');
+        });
+    });
+
+    describe('Enter for writing', function () {
+        it('should allow only one writer within a lock', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterWrite(function () {
+                lock.enterWrite(function () {
+                    done('Should not be here');
+                });
+                expect(lock.isWriteLocked()).to.be.true;
+                done();
+            });
+        });
+
+        it('should not allow readers while a writer holds the lock', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterWrite(function () {
+                lock.enterRead(function () {
+                    done('Should not be here');
+                });
+                expect(lock.queueSize()).to.be.equal(1);
+                done();
+            });
+        });
+
+        it('should wait for all the readers to leave', function (done) {
+            var lock = new AsyncReadWriteLock();
+            var readers = 0;
+            lock.enterRead(function (token) {
+                readers++;
+                setTimeout(function () {
+                    readers--;
+                    token.leave();
+                }, 50);
+            });
+            lock.enterRead(function (token) {
+                readers++;
+                setTimeout(function () {
+                    readers--;
+                    token.leave();
+                }, 100);
+            });
+            lock.enterWrite(function () {
+                expect(readers).to.be.equal(0);
+                done();
+            });
+        });
+
+        it('should not call the callback if the timeout has expired and do call it if not expired', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterRead(function (token) {
+                setTimeout(function () {
+                    lock.leave(token);
+                }, 100);
+            });
+            lock.enterWrite(function () {
+                done('error');
+            }, 10);
+
+            lock.enterWrite(function () {
+                done();
+            }, 1000);
+        });
+    });
+
+    describe('Preference', function () {
+        it('should queue new readers behind a waiting writer by default', function (done) {
+            var lock = new AsyncReadWriteLock();
+            var order = [];
+            lock.enterRead(function (token) {
+                lock.enterWrite(function (writeToken) {
+                    order.push('write');
+                    writeToken.leave();
+                });
+                lock.enterRead(function (readToken) {
+                    order.push('read');
+                    expect(order).to.be.deep.equal(['write', 'read']);
+                    readToken.leave();
+                    done();
+                });
+                expect(lock.queueSize()).to.be.equal(2);
+                setTimeout(function () {
+                    token.leave();
+                }, 10);
+            });
+        });
+
+        it('should let new readers in while a writer is waiting when preference is read', function (done) {
+            var lock = new AsyncReadWriteLock({preference: 'read'});
+            var order = [];
+            lock.enterRead(function (token) {
+                lock.enterWrite(function (writeToken) {
+                    order.push('write');
+                    expect(order).to.be.deep.equal(['read', 'write']);
+                    writeToken.leave();
+                    done();
+                });
+                lock.enterRead(function (readToken) {
+                    order.push('read');
+                    readToken.leave();
+                    token.leave();
+                });
+                expect(lock.queueSize()).to.be.equal(1);
+            });
+        });
+
+        it('should release all the queued readers together after a writer leaves', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterWrite(function (token) {
+                lock.enterRead(function () {
+                });
+                lock.enterRead(function () {
+                    expect(lock.readersCount()).to.be.equal(2);
+                    done();
+                });
+                token.leave();
+            });
+        });
+    });
+
+    describe('Enter with queue options', function () {
+        it('should not allow queuing locks if overflowStrategy is this', function (done) {
+            var lock = new AsyncReadWriteLock({maxQueueSize: 1, overflowStrategy: 'this'});
+            lock.enterWrite(function (token) {
+                token.leave();
+            });
+            lock.enterRead(function () {
+                done();
+            });
+            var token = lock.enterRead(function () {
+                done('This should not be called');
+            });
+
+            expect(token.isCanceled).to.be.true;
+            expect(lock.queueSize()).to.be.equal(1);
+        });
+
+        it('should not allow queuing locks if overflowStrategy is first', function (done) {
+            var lock = new AsyncReadWriteLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            lock.enterWrite(function (token) {
+                token.leave();
+            });
+            lock.enterWrite(function () {
+                done('This should not be called');
+            });
+            lock.enterWrite(function () {
+                done();
+            });
+            expect(lock.queueSize()).to.be.equal(1);
+        });
+
+        it('should let the readers in when the overflow removes a waiting writer', function (done) {
+            var lock = new AsyncReadWriteLock({maxQueueSize: 1, overflowStrategy: 'first'});
+            lock.enterRead(function () {
+                var writer = lock.enterWrite(function () {
+                    done('This should not be called');
+                });
+                lock.enterRead(function () {
+                    expect(writer.isCanceled).to.be.true;
+                    expect(lock.queueSize()).to.be.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('Cancel a pending enter', function () {
+        it('should call onCancel with the reason of the cancellation', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterWrite(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 50);
+            });
+            lock.enterRead(function () {
+                done('Should not be here');
+            }, {
+                timeout: 10,
+                onCancel: function (token, reason) {
+                    expect(reason).to.be.equal('timeout');
+                    done();
+                }
+            });
+        });
+
+        it('should let the readers in when a waiting writer times out', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterRead(function (token) {
+                lock.enterWrite(function () {
+                    done('Should not be here');
+                }, 10);
+                lock.enterRead(function () {
+                    expect(lock.readersCount()).to.be.equal(2);
+                    token.leave();
+                    done();
+                });
+            });
+        });
+
+        itWithSignal('should let the readers in when a waiting writer is aborted', function (done) {
+            var lock = new AsyncReadWriteLock();
+            var controller = new AbortController();
+            lock.enterRead(function () {
+                lock.enterWrite(function () {
+                    done('Should not be here');
+                }, {signal: controller.signal});
+                lock.enterRead(function () {
+                    expect(lock.readersCount()).to.be.equal(2);
+                    done();
+                });
+                expect(lock.queueSize()).to.be.equal(2);
+                controller.abort();
+            });
+        });
+    });
+
+    describe('Leave a lock', function () {
+        it('should throw if token is null or undefined', function () {
+            var lock = new AsyncReadWriteLock();
+            expect(function () {
+                lock.leave(null);
+            }).to.throw('Token cannot be null or undefined');
+        });
+
+        it('should be unlocked if everyone left the lock', function (done) {
+            var lock = new AsyncReadWriteLock();
+            lock.enterRead(function (token) {
+                lock.leave(token);
+                expect(lock.isLocked()).to.be.false;
+                lock.enterWrite(function (writeToken) {
+                    writeToken.leave();
+                    expect(lock.isLocked()).to.be.false;
+                    done();
+                });
+            });
+        });
+
+        it('should not execute the next entrants when leave was called and abort pending is true', function (done) {
+            var lock = new AsyncReadWriteLock();
+            var tempToken;
+            lock.enterWrite(function (token) {
+                tempToken = lock.enterRead(function () {
+                    done('Should not be here');
+                });
+                lock.leave(token, true);
+                expect(lock.queueSize()).to.be.equal(0);
+                expect(tempToken.isCanceled).to.be.true;
+                setTimeout(done, 50);
+            });
+        });
+    });
+
+    describe('Create with options', function () {
+        it('should have default options if they were not specified', function () {
+            var lock = new AsyncReadWriteLock();
+            expect(lock.options.maxQueueSize).to.be.equal(Infinity);
+            expect(lock.options.overflowStrategy).to.be.equal('this');
+            expect(lock.options.preference).to.be.equal('write');
+        });
+    });
+});
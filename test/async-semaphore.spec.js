@@ -0,0 +1,279 @@
+describe('Async Semaphore', function () {
+    var AsyncSemaphore = require('./../index').AsyncSemaphore;
+    var AsyncLock = require('./../index').AsyncLock;
+    var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+    });
+
+    describe('Create', function () {
+        it('should have one permit by default', function () {
+            var semaphore = new AsyncSemaphore();
+            expect(semaphore.availablePermits()).to.be.equal(1);
+            expect(semaphore.options.maxQueueSize).to.be.equal(Infinity);
+        });
+
+        it('should not allow a non positive integer number of permits', function () {
+            expect(function () {
+                new AsyncSemaphore(0);
+            }).to.throw('Permits must be a positive integer');
+
+            expect(function () {
+                new AsyncSemaphore(1.5);
+            }).to.throw('Permits must be a positive integer');
+        });
+    });
+
+    describe('Enter a semaphore', function () {
+        it('should return a token with the acquired permits', function (done) {
+            var semaphore = new AsyncSemaphore(3);
+            var token = semaphore.enter(function (innerToken) {
+                expect(token.id).to.be.equal(innerToken.id);
+                expect(innerToken.permits).to.be.equal(2);
+                expect(semaphore.availablePermits()).to.be.equal(1);
+                done();
+            }, 0, 2);
+        });
+
+        it('should allow up to the number of permits at the same time', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            var count = 0;
+            semaphore.enter(function () {
+                count++;
+            });
+            semaphore.enter(function () {
+                count++;
+                expect(count).to.be.equal(2);
+                expect(semaphore.isLocked()).to.be.true;
+                setTimeout(done, 20);
+            });
+            semaphore.enter(function () {
+                done('Should not be here');
+            });
+            expect(semaphore.queueSize()).to.be.equal(1);
+        });
+
+        it('should serve the waiting callbacks in order', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            var order = [];
+            semaphore.enter(function (token) {
+                semaphore.enter(function (innerToken) {
+                    order.push('two');
+                    innerToken.leave();
+                }, 0, 2);
+                semaphore.enter(function (innerToken) {
+                    order.push('one');
+                    expect(order).to.be.deep.equal(['two', 'one']);
+                    innerToken.leave();
+                    done();
+                });
+                expect(semaphore.queueSize()).to.be.equal(2);
+                token.leave();
+            });
+        });
+
+        it('should not allow entering with a non function', function () {
+            var semaphore = new AsyncSemaphore();
+            expect(function () {
+                semaphore.enter('hello world');
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should not allow acquiring more permits than the semaphore has', function () {
+            var semaphore = new AsyncSemaphore(2);
+            expect(function () {
+                semaphore.enter(function () {
+                }, 0, 3);
+            }).to.throw('Cannot acquire 3 permits from a semaphore with 2 permits');
+
+            expect(function () {
+                semaphore.enter(function () {
+                }, 0, -1);
+            }).to.throw('Permits must be a positive integer');
+        });
+
+        it('should not call the callback if the timeout has expired and do call it if not expired', function (done) {
+            var semaphore = new AsyncSemaphore();
+            semaphore.enter(function (token) {
+                setTimeout(function () {
+                    semaphore.leave(token);
+                }, 100);
+            });
+            semaphore.enter(function () {
+                done('error');
+            }, 10);
+
+            semaphore.enter(function () {
+                done();
+            }, 1000);
+        });
+
+        it('should resume smaller requests when a blocking request times out', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            semaphore.enter(function () {
+                semaphore.enter(function () {
+                    done('Should not be here');
+                }, 10, 2);
+                semaphore.enter(function () {
+                    done();
+                });
+            });
+        });
+
+        it('should resume smaller requests when the overflow removes a blocking request', function (done) {
+            var semaphore = new AsyncSemaphore(3, {maxQueueSize: 1, overflowStrategy: 'first'});
+            semaphore.enter(function () {
+                var blocking = semaphore.enter(function () {
+                    done('Should not be here');
+                }, null, 2);
+                semaphore.enter(function () {
+                    expect(blocking.isCanceled).to.be.true;
+                    expect(semaphore.queueSize()).to.be.equal(0);
+                    done();
+                });
+            }, null, 2);
+        });
+
+        it('should not allow queuing if overflowStrategy is this', function (done) {
+            var semaphore = new AsyncSemaphore(1, {maxQueueSize: 1, overflowStrategy: 'this'});
+            semaphore.enter(function (token) {
+                token.leave();
+            });
+            semaphore.enter(function () {
+                done();
+            });
+            var token = semaphore.enter(function () {
+                done('This should not be called');
+            });
+            expect(token.isCanceled).to.be.true;
+            expect(semaphore.queueSize()).to.be.equal(1);
+        });
+    });
+
+    describe('Cancel a pending enter', function () {
+        it('should call onCancel with the reason of the cancellation', function (done) {
+            var semaphore = new AsyncSemaphore(1);
+            semaphore.enter(function () {
+            });
+            semaphore.enter(function () {
+                done('Should not be here');
+            }, {
+                timeout: 10,
+                onCancel: function (token, reason) {
+                    expect(reason).to.be.equal('timeout');
+                    done();
+                }
+            });
+        });
+
+        itWithSignal('should let smaller requests in when a blocking request is aborted', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            var controller = new AbortController();
+            semaphore.enter(function () {
+            });
+            semaphore.enter(function () {
+                done('Should not be here');
+            }, {signal: controller.signal}, 2);
+            semaphore.enter(function () {
+                expect(semaphore.availablePermits()).to.be.equal(0);
+                done();
+            });
+            expect(semaphore.queueSize()).to.be.equal(2);
+            controller.abort();
+        });
+    });
+
+    describe('Leave a semaphore', function () {
+        it('should throw if token is null or undefined', function () {
+            var semaphore = new AsyncSemaphore();
+            expect(function () {
+                semaphore.leave(null);
+            }).to.throw('Token cannot be null or undefined');
+        });
+
+        it('should release the permits only once', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            semaphore.enter(function (token) {
+                token.leave();
+                token.leave();
+                expect(semaphore.availablePermits()).to.be.equal(2);
+                done();
+            });
+        });
+
+        it('should not execute the next entrants when leave was called and abort pending is true', function (done) {
+            var semaphore = new AsyncSemaphore();
+            semaphore.enter(function (token) {
+                var pending = semaphore.enter(function () {
+                    done('Should not be here');
+                });
+                semaphore.leave(token, true);
+                expect(semaphore.queueSize()).to.be.equal(0);
+                expect(pending.isCanceled).to.be.true;
+                setTimeout(done, 20);
+            });
+        });
+    });
+
+    describe('Resize a semaphore', function () {
+        it('should resume the waiting callbacks when permits are added', function (done) {
+            var semaphore = new AsyncSemaphore(1);
+            semaphore.enter(function () {
+                semaphore.enter(function () {
+                    expect(semaphore.availablePermits()).to.be.equal(0);
+                    done();
+                });
+                semaphore.setPermits(2);
+            });
+        });
+
+        it('should not resume the waiting callbacks until enough permits are released after shrinking', function (done) {
+            var semaphore = new AsyncSemaphore(2);
+            var first;
+            semaphore.enter(function (token) {
+                first = token;
+            });
+            semaphore.enter(function (token) {
+                semaphore.setPermits(1);
+                expect(semaphore.availablePermits()).to.be.equal(0);
+                semaphore.enter(function () {
+                    done();
+                });
+                token.leave();
+                expect(semaphore.queueSize()).to.be.equal(1);
+                first.leave();
+            });
+        });
+
+        it('should cancel the waiting callbacks which ask for more permits than the semaphore has after shrinking', function (done) {
+            var semaphore = new AsyncSemaphore(5);
+            var canceled = null;
+            semaphore.enter(function (token) {
+                semaphore.enter(function () {
+                    done('should not get here');
+                }, {
+                    onCancel: function (pending, reason) {
+                        canceled = reason;
+                    }
+                }, 4);
+                semaphore.enter(function (smaller) {
+                    expect(semaphore.queueSize()).to.be.equal(0);
+                    smaller.leave();
+                    done();
+                }, 1);
+                semaphore.setPermits(2);
+                expect(canceled).to.be.equal('resized');
+                token.leave();
+            }, null, 2);
+        });
+
+        it('should not allow a non positive integer number of permits', function () {
+            var semaphore = new AsyncSemaphore();
+            expect(function () {
+                semaphore.setPermits(0);
+            }).to.throw('Permits must be a positive integer');
+        });
+    });
+});
@@ -2,6 +2,7 @@ describe('Async Wrapper', function () {
 
     var asyncWrapper = require('./../index');
     var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
 
     beforeEach(function () {
         asyncWrapper.__reset();
@@ -230,6 +231,40 @@ describe('Async Wrapper', function () {
 
 
         });
+        itWithSignal('should remove the callback from the queue when the signal is aborted', function (done) {
+            var controller = new AbortController();
+            asyncWrapper.lock('A', function (leave) {
+                setTimeout(function () {
+                    leave();
+                    expect(asyncWrapper.isLocked('A')).to.be.false;
+                    done();
+                }, 20);
+            });
+
+            asyncWrapper.lock('A', function () {
+                done('Should not be here');
+            }, {signal: controller.signal});
+
+            expect(asyncWrapper.queueSize('A')).to.be.equal(1);
+            controller.abort();
+            expect(asyncWrapper.queueSize('A')).to.be.equal(0);
+        });
+
+        it('should call onCancel when the callback is canceled', function (done) {
+            asyncWrapper.lock('A', function (leave) {
+                setTimeout(leave, 50);
+            });
+
+            asyncWrapper.lock('A', function () {
+                done('Should not be here');
+            }, {
+                timeout: 10,
+                onCancel: function (token, reason) {
+                    expect(reason).to.be.equal('timeout');
+                    done();
+                }
+            });
+        });
     });
 
     describe('Lock Promise', function () {
@@ -317,20 +352,26 @@ describe('Async Wrapper', function () {
             asyncWrapper.lockPromise({}, foo).then(function () {
                 done('should not be here');
             }, function (err) {
-                expect(err).to.be.equal('The name must be a non empty string');
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The name must be a non empty string');
             });
 
 
             asyncWrapper.lockPromise('', foo).then(function () {
                 done('should not be here');
             }, function (err) {
-                expect(err).to.be.equal('The name must be a non empty string');
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The name must be a non empty string');
             });
 
             asyncWrapper.lockPromise(null, foo).then(function () {
                 done('should not be here');
             }, function (err) {
-                expect(err).to.be.equal('The name must be a non empty string');
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The name must be a non empty string');
             });
         });
 
@@ -338,7 +379,9 @@ describe('Async Wrapper', function () {
             asyncWrapper.lockPromise('moo').then(function () {
                 done('should not be here');
             }, function (err) {
-                expect(err).to.be.equal('Callback must be a function');
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('Callback must be a function');
             });
         });
 
@@ -362,6 +405,187 @@ describe('Async Wrapper', function () {
 
         });
 
+        it('should accept options before the callback', function (done) {
+            asyncWrapper.lockPromise('A', {timeout: 100}, function (a, b) {
+                expect(a).to.be.equal(1);
+                expect(b).to.be.equal('a');
+                done();
+                return asyncWrapper.Promise.resolve();
+            }, 1, 'a');
+        });
+
+        itWithSignal('should reject with the reason of the signal when aborted while waiting', function () {
+            var controller = new AbortController();
+            var first = asyncWrapper.lockPromise('A', function () {
+                return new asyncWrapper.Promise(function (resolve) {
+                    setTimeout(resolve, 20);
+                });
+            });
+            var second = asyncWrapper.lockPromise('A', {signal: controller.signal}, function () {
+                throw new Error('Should not be here');
+            });
+            expect(asyncWrapper.queueSize('A')).to.be.equal(1);
+            controller.abort('gone');
+            expect(asyncWrapper.queueSize('A')).to.be.equal(0);
+            return second.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal('gone');
+                return first;
+            });
+        });
+
+        itWithSignal('should not be affected by the signal once the lock is acquired', function () {
+            var controller = new AbortController();
+            return asyncWrapper.lockPromise('A', {signal: controller.signal}, function () {
+                controller.abort();
+                return asyncWrapper.Promise.resolve('ok');
+            }).then(function (result) {
+                expect(result).to.be.equal('ok');
+            });
+        });
+
+        itWithSignal('should reject if the signal is already aborted', function () {
+            var controller = new AbortController();
+            controller.abort('gone');
+            return asyncWrapper.lockPromise('A', {signal: controller.signal}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal('gone');
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should reject with reason timeout when the timeout has expired', function () {
+            var first = asyncWrapper.lockPromise('A', function () {
+                return sleep(50);
+            });
+            return asyncWrapper.lockPromise('A', {timeout: 10}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(err.message).to.be.equal('The timeout has expired before the callback was called');
+                return first;
+            });
+        });
+
+        it('should reject with reason overflow when removed from the queue', function () {
+            asyncWrapper.setOptions('A', {maxQueueSize: 1, overflowStrategy: 'this'});
+            var first = asyncWrapper.lockPromise('A', function () {
+                return sleep(20);
+            });
+            var second = asyncWrapper.lockPromise('A', resolvedFunc);
+            return asyncWrapper.lockPromise('A', resolvedFunc).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('overflow');
+                return asyncWrapper.Promise.all([first, second]);
+            });
+        });
+
+        it('should call onCancel of the options before rejecting', function () {
+            var reasons = [];
+            var first = asyncWrapper.lockPromise('A', function () {
+                return sleep(50);
+            });
+            return asyncWrapper.lockPromise('A', {
+                timeout: 10,
+                onCancel: function (token, reason) {
+                    reasons.push(reason);
+                }
+            }, resolvedFunc).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(reasons).to.be.deep.equal(['timeout']);
+                expect(err.reason).to.be.equal('timeout');
+                return first;
+            });
+        });
+
+        it('should call the callbacks with a higher priority first', function () {
+            var order = [];
+
+            function task(name) {
+                order.push(name);
+                return asyncWrapper.Promise.resolve();
+            }
+
+            var first = asyncWrapper.lockPromise('A', function () {
+                return sleep(10);
+            });
+            return asyncWrapper.Promise.all([
+                first,
+                asyncWrapper.lockPromise('A', task, 'background'),
+                asyncWrapper.lockPromise('A', {priority: 1}, task, 'interactive')
+            ]).then(function () {
+                expect(order).to.be.deep.equal(['interactive', 'background']);
+            });
+        });
+
+        it('should not deadlock when a reentrant lock is entered again by the owner', function () {
+            asyncWrapper.setOptions('A', {reentrant: true});
+
+            function helper() {
+                return asyncWrapper.lockPromise('A', function () {
+                    return asyncWrapper.Promise.resolve('helper');
+                });
+            }
+
+            return asyncWrapper.lockPromise('A', function () {
+                return sleep(10).then(helper);
+            }).then(function (result) {
+                expect(result).to.be.equal('helper');
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should reject with reason expired if the callback holds the lock longer than maxHoldTime', function () {
+            asyncWrapper.setOptions('A', {maxHoldTime: 10});
+            var stuck = asyncWrapper.lockPromise('A', function () {
+                return new asyncWrapper.Promise(function () {
+                });
+            });
+            var next = asyncWrapper.lockPromise('A', resolvedFunc);
+            return stuck.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.LockTimeoutError);
+                expect(err.code).to.be.equal('ERR_LOCK_TIMEOUT');
+                expect(err.reason).to.be.equal('expired');
+                return next;
+            }).then(function (result) {
+                expect(result).to.be.equal('ok');
+            });
+        });
+
+        it('should not leave an expired token of a strict lock when the callback settles', function () {
+            var unhandled = null;
+            var onUnhandled = function (reason) {
+                unhandled = reason;
+            };
+            process.on('unhandledRejection', onUnhandled);
+            asyncWrapper.setOptions('A', {strict: true, maxHoldTime: 10});
+            return asyncWrapper.lockPromise('A', function () {
+                return sleep(30);
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('expired');
+                return sleep(40);
+            }).then(function () {
+                process.removeListener('unhandledRejection', onUnhandled);
+                expect(unhandled).to.be.null;
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            }, function (err) {
+                process.removeListener('unhandledRejection', onUnhandled);
+                throw err;
+            });
+        });
+
         it('releaseQueue should work find', async function () {
             const promises = []
             
@@ -376,6 +600,1071 @@ describe('Async Wrapper', function () {
             await Promise.all(promises)
         });
     });
+
+    describe('Semaphore', function () {
+        it('should allow up to the given number of permits at the same time', function (done) {
+            var count = 0;
+            asyncWrapper.semaphore('A', 2, function () {
+                count++;
+            });
+            asyncWrapper.semaphore('A', 2, function () {
+                count++;
+                expect(count).to.be.equal(2);
+                setTimeout(done, 20);
+            });
+            asyncWrapper.semaphore('A', 2, function () {
+                done('Should not be here');
+            });
+        });
+
+        it('should release the permit when leave is called', function (done) {
+            asyncWrapper.semaphore('A', 1, function (leave) {
+                leave();
+            });
+            asyncWrapper.semaphore('A', 1, function () {
+                done();
+            });
+        });
+
+        it('should not allow non string semaphore name', function () {
+            expect(function () {
+                asyncWrapper.semaphore('', 1, function () {
+                });
+            }).to.throw('The name must be a non empty string');
+        });
+
+        it('should not allow entering with a non function', function () {
+            expect(function () {
+                asyncWrapper.semaphore('moo', 1);
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should release the permit when the promise is settled', function () {
+            var running = 0;
+            var maxRunning = 0;
+
+            function task(value) {
+                running++;
+                maxRunning = Math.max(running, maxRunning);
+                return new asyncWrapper.Promise(function (resolve) {
+                    setTimeout(function () {
+                        running--;
+                        resolve(value);
+                    }, 10);
+                });
+            }
+
+            return asyncWrapper.Promise.all([1, 2, 3, 4, 5].map(function (value) {
+                return asyncWrapper.semaphorePromise('A', 2, task, value);
+            })).then(function (results) {
+                expect(results).to.be.deep.equal([1, 2, 3, 4, 5]);
+                expect(maxRunning).to.be.equal(2);
+            });
+        });
+
+        it('should reject when the timeout has expired', function () {
+            asyncWrapper.semaphore('A', 1, function () {
+            });
+            return asyncWrapper.semaphorePromise('A', 1, {timeout: 10}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+            });
+        });
+
+        it('should reject invalid number of permits', function () {
+            return asyncWrapper.semaphorePromise('A', -1, function () {
+            }).then(function () {
+                throw new Error('should not be here');
+            }, function (err) {
+                expect(err.message).to.be.equal('Permits must be a positive integer');
+            });
+        });
+    });
+
+    describe('Read Write Lock', function () {
+        it('should allow several readers at the same time', function (done) {
+            asyncWrapper.readLock('A', function () {
+                asyncWrapper.readLock('A', function (leave) {
+                    leave();
+                    done();
+                });
+            });
+        });
+
+        it('should not allow a writer while a reader holds the lock', function (done) {
+            asyncWrapper.readLock('A', function (leave) {
+                asyncWrapper.writeLock('A', function () {
+                    done();
+                });
+                setTimeout(leave, 10);
+            });
+        });
+
+        it('should not share the name space with regular locks', function (done) {
+            asyncWrapper.writeLock('A', function () {
+                asyncWrapper.lock('A', function () {
+                    expect(asyncWrapper.lockExists('A')).to.be.true;
+                    done();
+                });
+            });
+        });
+
+        it('should not allow non string lock name', function () {
+            var foo = function () {
+            };
+            expect(function () {
+                asyncWrapper.readLock({}, foo);
+            }).to.throw('The name must be a non empty string');
+
+            expect(function () {
+                asyncWrapper.writeLock('', foo);
+            }).to.throw('The name must be a non empty string');
+        });
+
+        it('should not allow entering with a non function', function () {
+            expect(function () {
+                asyncWrapper.writeLock('moo');
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should leave the lock when the promise is settled', function (done) {
+            var count = 0;
+            asyncWrapper.writeLockPromise('A', function () {
+                asyncWrapper.readLockPromise('A', function (value) {
+                    expect(count).to.be.equal(1);
+                    expect(value).to.be.equal('a');
+                    return asyncWrapper.Promise.resolve('read');
+                }, 'a').then(function (result) {
+                    expect(result).to.be.equal('read');
+                    done();
+                });
+                return asyncWrapper.Promise.reject('error');
+            }).then(null, function (err) {
+                expect(err).to.be.equal('error');
+                count++;
+            });
+        });
+
+        itWithSignal('should reject when the signal is aborted', function () {
+            var controller = new AbortController();
+            asyncWrapper.writeLock('A', function () {
+            });
+            var promise = asyncWrapper.readLockPromise('A', {signal: controller.signal}, function () {
+                throw new Error('Should not be here');
+            });
+            controller.abort('gone');
+            return promise.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal('gone');
+            });
+        });
+
+        it('should reject non string lock name', function () {
+            return asyncWrapper.readLockPromise('', function () {
+            }).then(function () {
+                throw new Error('should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The name must be a non empty string');
+            });
+        });
+    });
+
+    describe('Deadlock detection', function () {
+        function lockInOrder(first, second, label, delay) {
+            return asyncWrapper.lockPromise(first, {label: label}, function () {
+                return sleep(delay).then(function () {
+                    return asyncWrapper.lockPromise(second, function () {
+                        return asyncWrapper.Promise.resolve(label);
+                    });
+                });
+            });
+        }
+
+        it('should reject the waiter which closed the cycle with a DeadlockError', function () {
+            var deadlocks = [];
+            asyncWrapper.enableDeadlockDetection({
+                rejectWaiter: true,
+                onDeadlock: function (error) {
+                    deadlocks.push(error);
+                }
+            });
+
+            var first = lockInOrder('a', 'b', 'first', 5);
+            var second = lockInOrder('b', 'a', 'second', 10);
+
+            return second.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.DeadlockError);
+                expect(err.reason).to.be.equal('deadlock');
+                expect(err.cycle.map(function (edge) {
+                    return edge.name;
+                })).to.be.deep.equal(['a', 'b']);
+                expect(deadlocks).to.be.deep.equal([err]);
+                return first;
+            }).then(function (result) {
+                expect(result).to.be.equal('first');
+                expect(asyncWrapper.isLocked('a')).to.be.false;
+                expect(asyncWrapper.isLocked('b')).to.be.false;
+            });
+        });
+
+        it('should emit the deadlock on the wrapper', function () {
+            var deadlocks = [];
+            asyncWrapper.enableDeadlockDetection({rejectWaiter: true});
+            asyncWrapper.on('deadlock', function (error) {
+                deadlocks.push(error);
+            });
+
+            var first = lockInOrder('a', 'b', 'first', 5);
+            var second = lockInOrder('b', 'a', 'second', 10);
+
+            return second.then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(deadlocks).to.be.deep.equal([err]);
+                return first;
+            });
+        });
+
+        it('should call onCancel of the waiter which closed the cycle', function (done) {
+            asyncWrapper.enableDeadlockDetection({
+                rejectWaiter: true,
+                onDeadlock: function () {
+                }
+            });
+
+            asyncWrapper.lock('a', function (leave) {
+                setTimeout(function () {
+                    asyncWrapper.lock('b', function (leaveB) {
+                        leaveB();
+                        leave();
+                    });
+                }, 5);
+            });
+            asyncWrapper.lock('b', function (leave) {
+                setTimeout(function () {
+                    asyncWrapper.lock('a', function () {
+                        done('Should not be here');
+                    }, {
+                        onCancel: function (token, reason) {
+                            expect(reason).to.be.equal('deadlock');
+                            leave();
+                            done();
+                        }
+                    });
+                }, 10);
+            });
+        });
+
+        it('should not track locks once deadlock detection is disabled', function () {
+            var deadlocks = [];
+            asyncWrapper.enableDeadlockDetection({
+                onDeadlock: function (error) {
+                    deadlocks.push(error);
+                }
+            });
+            asyncWrapper.disableDeadlockDetection();
+
+            function lockWithTimeout(first, second, delay) {
+                return asyncWrapper.lockPromise(first, function () {
+                    return sleep(delay).then(function () {
+                        return asyncWrapper.lockPromise(second, {timeout: 20}, function () {
+                            return asyncWrapper.Promise.resolve();
+                        });
+                    });
+                }).then(null, function (err) {
+                    return err.reason;
+                });
+            }
+
+            return asyncWrapper.Promise.all([
+                lockWithTimeout('a', 'b', 5),
+                lockWithTimeout('b', 'a', 10)
+            ]).then(function (results) {
+                expect(results).to.be.deep.equal(['timeout', undefined]);
+                expect(deadlocks.length).to.be.equal(0);
+            });
+        });
+    });
+
+    describe('Lock many', function () {
+        it('should enter all the locks before calling the callback', function (done) {
+            asyncWrapper.lockMany(['B', 'A'], function (leave) {
+                expect(asyncWrapper.isLocked('A')).to.be.true;
+                expect(asyncWrapper.isLocked('B')).to.be.true;
+                leave();
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+                expect(asyncWrapper.isLocked('B')).to.be.false;
+                done();
+            });
+        });
+
+        it('should enter a duplicate name once', function (done) {
+            asyncWrapper.lockMany(['A', 'A'], function (leave) {
+                expect(asyncWrapper.isLocked('A')).to.be.true;
+                leave();
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+                done();
+            });
+        });
+
+        it('should not deadlock when the names are given in different orders', function () {
+            var steps = [];
+            function transfer(names, label) {
+                return asyncWrapper.lockManyPromise(names, function () {
+                    steps.push(label);
+                    return sleep(5);
+                });
+            }
+
+            return asyncWrapper.Promise.all([
+                transfer(['A', 'B'], 'first'),
+                transfer(['B', 'A'], 'second')
+            ]).then(function () {
+                expect(steps).to.be.deep.equal(['first', 'second']);
+            });
+        });
+
+        it('should not hold any lock when the timeout expires', function () {
+            asyncWrapper.lock('B', function (leave) {
+                setTimeout(leave, 30);
+            });
+
+            return asyncWrapper.lockManyPromise(['A', 'B'], {timeout: 10}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+                expect(asyncWrapper.isLocked('B')).to.be.true;
+            });
+        });
+
+        it('should apply the timeout to entering all the locks', function () {
+            asyncWrapper.lock('A', function (leave) {
+                setTimeout(leave, 10);
+            });
+            asyncWrapper.lock('B', function (leave) {
+                setTimeout(leave, 40);
+            });
+
+            return asyncWrapper.lockManyPromise(['A', 'B'], {timeout: 25}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        itWithSignal('should not hold any lock when the call is aborted', function () {
+            var controller = new AbortController();
+            asyncWrapper.lock('B', function (leave) {
+                setTimeout(leave, 30);
+            });
+            setTimeout(function () {
+                controller.abort();
+            }, 10);
+
+            return asyncWrapper.lockManyPromise(['A', 'B'], {signal: controller.signal}, function () {
+                throw new Error('Should not be here');
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function () {
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should leave all the locks when the promise is settled', function () {
+            return asyncWrapper.lockManyPromise(['A', 'B'], function (value) {
+                return asyncWrapper.Promise.reject(value);
+            }, 'failed').then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.equal('failed');
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+                expect(asyncWrapper.isLocked('B')).to.be.false;
+            });
+        });
+
+        it('should throw if the names are invalid', function () {
+            expect(function () {
+                asyncWrapper.lockMany([], function () {
+                });
+            }).to.throw('The names must be a non empty array of non empty strings');
+            expect(function () {
+                asyncWrapper.lockMany(['A', ''], function () {
+                });
+            }).to.throw('The names must be a non empty array of non empty strings');
+        });
+
+        it('should reject if the names are invalid', function () {
+            return asyncWrapper.lockManyPromise('A', function () {
+                return asyncWrapper.Promise.resolve();
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The names must be a non empty array of non empty strings');
+            });
+        });
+    });
+
+    describe('Lock path', function () {
+        it('should make a parent path wait for a child path', function () {
+            var steps = [];
+            return asyncWrapper.Promise.all([
+                asyncWrapper.lockPathPromise('tenant/42/project/7', function () {
+                    return sleep(10).then(function () {
+                        steps.push('child');
+                    });
+                }),
+                asyncWrapper.lockPathPromise(['tenant', '42'], function () {
+                    steps.push('parent');
+                    return asyncWrapper.Promise.resolve();
+                })
+            ]).then(function () {
+                expect(steps).to.be.deep.equal(['child', 'parent']);
+            });
+        });
+
+        it('should let sibling paths run in parallel', function (done) {
+            asyncWrapper.lockPath('tenant/42/project/7', function (leave) {
+                asyncWrapper.lockPath('tenant/42/project/8', function (innerLeave) {
+                    expect(asyncWrapper.isPathLocked('tenant/42/project/7')).to.be.true;
+                    innerLeave();
+                    leave();
+                    expect(asyncWrapper.isPathLocked('tenant/42/project/7')).to.be.false;
+                    done();
+                });
+            });
+        });
+
+        it('should not share the paths with the named locks', function (done) {
+            asyncWrapper.lockPath('tenant', function (leave) {
+                expect(asyncWrapper.lockExists('tenant')).to.be.false;
+                leave();
+                done();
+            });
+        });
+
+        it('should throw if the path is invalid', function () {
+            expect(function () {
+                asyncWrapper.lockPath('', function () {
+                });
+            }).to.throw('The path must be a non empty string or array');
+        });
+
+        it('should reject if the path is invalid', function () {
+            return asyncWrapper.lockPathPromise([], function () {
+                return asyncWrapper.Promise.resolve();
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+                expect(err.code).to.be.equal('ERR_LOCK_INVALID_ARGUMENT');
+                expect(err.message).to.be.equal('The path must be a non empty string or array');
+            });
+        });
+    });
+
+    describe('Backend', function () {
+        var fs = require('fs');
+        var os = require('os');
+        var path = require('path');
+        var directory;
+
+        beforeEach(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-async-locks-'));
+        });
+
+        afterEach(function () {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        it('should use the in-memory backend by default', function (done) {
+            var backend = asyncWrapper.getBackend();
+            asyncWrapper.lock('A', function (leave) {
+                expect(backend.inspect('A')).to.be.deep.equal({isLocked: true, queueSize: 0});
+                leave();
+                done();
+            });
+        });
+
+        it('should enter the named locks through the given backend', function () {
+            var backend = new asyncWrapper.FileBackend({directory: directory, retryInterval: 5});
+            asyncWrapper.setBackend(backend);
+            var steps = [];
+
+            return asyncWrapper.Promise.all([
+                asyncWrapper.lockPromise('A', function () {
+                    expect(asyncWrapper.isLocked('A')).to.be.true;
+                    expect(fs.existsSync(backend.getFile('A'))).to.be.true;
+                    return sleep(10).then(function () {
+                        steps.push('first');
+                    });
+                }),
+                asyncWrapper.lockManyPromise(['B', 'A'], function () {
+                    steps.push('second');
+                    return asyncWrapper.Promise.resolve();
+                })
+            ]).then(function () {
+                expect(steps).to.be.deep.equal(['first', 'second']);
+                return sleep(5);
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+                expect(fs.readdirSync(directory)).to.be.empty;
+            });
+        });
+
+        it('should keep the options of the in-memory locks while a lock is held through another backend', function (done) {
+            asyncWrapper.setBackend(new asyncWrapper.FileBackend({directory: directory, retryInterval: 5}));
+            asyncWrapper.lock('A', function (leave) {
+                expect(asyncWrapper.lockExists('A')).to.be.true;
+                expect(asyncWrapper.getOptions('A')).to.be.null;
+                asyncWrapper.setOptions('A', {maxQueueSize: 3});
+                expect(asyncWrapper.getOptions('A').maxQueueSize).to.be.equal(3);
+                leave();
+                done();
+            });
+        });
+
+        it('should restore the in-memory backend', function (done) {
+            asyncWrapper.setBackend(new asyncWrapper.FileBackend({directory: directory}));
+            asyncWrapper.setBackend(null);
+            asyncWrapper.lock('A', function (leave) {
+                expect(fs.readdirSync(directory)).to.be.empty;
+                leave();
+                done();
+            });
+        });
+
+        it('should throw if the backend does not implement the interface', function () {
+            expect(function () {
+                asyncWrapper.setBackend({acquire: function () {
+                }});
+            }).to.throw('The backend must implement acquire, release, renew and inspect');
+        });
+    });
+
+    describe('Cluster mode', function () {
+        var cluster = require('cluster');
+        var fs = require('fs');
+        var os = require('os');
+        var path = require('path');
+        var directory;
+
+        function fork(count, env) {
+            var workers = [];
+            for (var i = 0; i < count; i++) {
+                workers.push(cluster.fork(env));
+            }
+            return workers;
+        }
+
+        function waitForExit(workers) {
+            return Promise.all(workers.map(function (worker) {
+                return new Promise(function (resolve) {
+                    worker.on('exit', resolve);
+                });
+            }));
+        }
+
+        beforeEach(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-async-locks-'));
+            var script = [
+                'var asyncWrapper = require(' + JSON.stringify(path.resolve(__dirname, '..')) + ');',
+                'asyncWrapper.enableClusterMode();',
+                'asyncWrapper.lockPromise("job", function () {',
+                '    process.send({event: "start"});',
+                '    if (process.env.EXIT_WHILE_LOCKED) { process.exit(0); }',
+                '    return new Promise(function (resolve) { setTimeout(resolve, 20); }).then(function () {',
+                '        process.send({event: "end"});',
+                '    });',
+                '}).then(function () {',
+                '    process.disconnect();',
+                '});'
+            ].join('\n');
+            fs.writeFileSync(path.join(directory, 'worker.js'), script);
+            // setupPrimary was named setupMaster before Node 16
+            (cluster.setupPrimary || cluster.setupMaster).call(cluster, {exec: path.join(directory, 'worker.js')});
+            asyncWrapper.enableClusterMode();
+        });
+
+        afterEach(function () {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        it('should run the callbacks of the workers one at a time', function () {
+            this.timeout(10000);
+            var running = 0;
+            var maxRunning = 0;
+            var runs = 0;
+            var workers = fork(3);
+
+            workers.forEach(function (worker) {
+                worker.on('message', function (message) {
+                    if (message.event === 'start') {
+                        running++;
+                        runs++;
+                        maxRunning = Math.max(maxRunning, running);
+                    } else if (message.event === 'end') {
+                        running--;
+                    }
+                });
+            });
+
+            return waitForExit(workers).then(function () {
+                expect(runs).to.be.equal(3);
+                expect(maxRunning).to.be.equal(1);
+            });
+        });
+
+        it('should release the locks of a worker which exits', function () {
+            this.timeout(10000);
+            var workers = fork(1, {EXIT_WHILE_LOCKED: '1'});
+            var wasLocked = false;
+
+            workers[0].on('message', function (message) {
+                if (message.event === 'start') {
+                    wasLocked = asyncWrapper.isLocked('job');
+                }
+            });
+
+            return waitForExit(workers).then(function () {
+                expect(wasLocked).to.be.true;
+                expect(asyncWrapper.isLocked('job')).to.be.false;
+            });
+        });
+
+        it('should stop serving the workers when cluster mode is disabled', function () {
+            asyncWrapper.disableClusterMode();
+            expect(cluster.listenerCount('message')).to.be.equal(0);
+        });
+    });
+
+    describe('Lifecycle events', function () {
+        it('should re-emit the events of the named locks with the name of the lock', function (done) {
+            var events = [];
+            asyncWrapper.on('acquire', function (event) {
+                events.push('acquire ' + event.name);
+            });
+            asyncWrapper.on('leave', function (event) {
+                events.push('leave ' + event.name);
+                expect(event.holdTime).to.be.at.least(0);
+                if (event.name === 'B') {
+                    expect(events).to.be.deep.equal(['acquire A', 'leave A', 'acquire B', 'leave B']);
+                    done();
+                }
+            });
+
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                asyncWrapper.lock('B', function (leave) {
+                    leave();
+                });
+            });
+        });
+
+        it('should re-emit the events of a lock created by setOptions', function (done) {
+            asyncWrapper.setOptions('A', {maxQueueSize: 0});
+            asyncWrapper.on('overflow', function (event) {
+                expect(event.name).to.be.equal('A');
+                expect(event.tokens).to.have.length(1);
+                done();
+            });
+            asyncWrapper.lock('A', function () {
+            });
+            asyncWrapper.lock('A', function () {
+            });
+        });
+
+        it('should remove the listeners on reset', function () {
+            asyncWrapper.on('acquire', function () {
+            });
+            asyncWrapper.__reset();
+            expect(asyncWrapper.listenerCount('acquire')).to.be.equal(0);
+        });
+    });
+
+    describe('Statistics', function () {
+        it('should return the metrics of all the named locks sorted by contention', function () {
+            return Promise.all([
+                asyncWrapper.lockPromise('A', function () {
+                    return Promise.resolve();
+                }),
+                asyncWrapper.lockPromise('B', function () {
+                    return sleep(20);
+                }),
+                asyncWrapper.lockPromise('B', function () {
+                    return Promise.resolve();
+                })
+            ]).then(function () {
+                var stats = asyncWrapper.stats();
+                expect(stats.map(function (lockStats) {
+                    return lockStats.name;
+                })).to.be.deep.equal(['B', 'A']);
+                expect(stats[0].acquisitions).to.be.equal(2);
+                expect(stats[0].contention).to.be.at.least(15);
+            });
+        });
+
+        it('should sort by the given metric', function () {
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+            });
+            asyncWrapper.lock('B', function () {
+            });
+            asyncWrapper.lock('B', function () {
+            });
+            expect(asyncWrapper.stats({sortBy: 'queueLength'})[0].name).to.be.equal('B');
+            expect(function () {
+                asyncWrapper.stats({sortBy: 'name'});
+            }).to.throw('The stats can be sorted by acquisitions, timeouts, aborts, overflows, queueLength, peakQueueLength, contention');
+        });
+
+        it('should reset the metrics of one lock or of all the locks', function () {
+            asyncWrapper.lock('A', function () {
+            });
+            asyncWrapper.lock('B', function () {
+            });
+            asyncWrapper.resetStats('A');
+            expect(asyncWrapper.stats({sortBy: 'acquisitions'}).map(function (lockStats) {
+                return lockStats.name + ' ' + lockStats.acquisitions;
+            })).to.be.deep.equal(['B 1', 'A 0']);
+            asyncWrapper.resetStats();
+            expect(asyncWrapper.stats()[0].acquisitions + asyncWrapper.stats()[1].acquisitions).to.be.equal(0);
+        });
+
+        it('should keep the metrics of an evicted lock until they are reset', function () {
+            asyncWrapper.setIdleTimeout(0);
+            var lockA = function () {
+                return asyncWrapper.lockPromise('A', function () {
+                    return Promise.resolve();
+                });
+            };
+            return lockA().then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+                return lockA();
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+                var stats = asyncWrapper.stats();
+                expect(stats).to.have.length(1);
+                expect(stats[0].name).to.be.equal('A');
+                expect(stats[0].acquisitions).to.be.equal(2);
+                expect(stats[0].queueLength).to.be.equal(0);
+                asyncWrapper.resetStats('A');
+                expect(asyncWrapper.stats()).to.be.empty;
+            });
+        });
+    });
+
+    describe('Idle eviction', function () {
+        it('should keep idle locks by default', function (done) {
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                expect(asyncWrapper.lockExists('A')).to.be.true;
+                expect(asyncWrapper.size()).to.be.equal(1);
+                expect(asyncWrapper.names()).to.be.deep.equal(['A']);
+                done();
+            });
+        });
+
+        it('should evict an idle lock right away when the idle timeout is 0', function (done) {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.lock('A', function (leave) {
+                asyncWrapper.lock('B', function (leaveB) {
+                    leaveB();
+                    expect(asyncWrapper.names()).to.be.deep.equal(['A']);
+                    leave();
+                    expect(asyncWrapper.lockExists('A')).to.be.false;
+                    expect(asyncWrapper.size()).to.be.equal(0);
+                    done();
+                });
+            });
+        });
+
+        it('should not evict a lock with pending callbacks', function (done) {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                expect(asyncWrapper.lockExists('A')).to.be.true;
+            });
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+                done();
+            });
+        });
+
+        it('should evict an idle lock after the idle timeout', function () {
+            asyncWrapper.setIdleTimeout(10);
+            return asyncWrapper.lockPromise('A', function () {
+                return asyncWrapper.Promise.resolve();
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.true;
+                return sleep(20);
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+            });
+        });
+
+        it('should not evict a lock which was used again within the idle timeout', function () {
+            asyncWrapper.setIdleTimeout(20);
+            return asyncWrapper.lockPromise('A', function () {
+                return asyncWrapper.Promise.resolve();
+            }).then(function () {
+                return sleep(10);
+            }).then(function () {
+                return asyncWrapper.lockPromise('A', function () {
+                    return sleep(20);
+                });
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.true;
+                return sleep(30);
+            }).then(function () {
+                expect(asyncWrapper.lockExists('A')).to.be.false;
+            });
+        });
+
+        it('should evict a lock whose hold has expired', function (done) {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.lock('A', function () {
+                setTimeout(function () {
+                    expect(asyncWrapper.lockExists('A')).to.be.false;
+                    done();
+                }, 20);
+            }, {maxHoldTime: 5});
+        });
+
+        itWithSignal('should evict a lock whose call was aborted before it was queued', function () {
+            asyncWrapper.setIdleTimeout(0);
+            return asyncWrapper.lockPromise('A', {signal: AbortSignal.abort()}, function () {
+                return asyncWrapper.Promise.resolve();
+            }).then(function () {
+                throw new Error('Should not be here');
+            }, function () {
+                expect(asyncWrapper.names()).to.be.deep.equal([]);
+            });
+        });
+
+        it('should evict a lock whose enter has thrown', function () {
+            asyncWrapper.setIdleTimeout(0);
+            expect(function () {
+                asyncWrapper.lock('A', function () {
+                }, {priority: 'high'});
+            }).to.throw('Priority must be a number');
+            expect(asyncWrapper.names()).to.be.deep.equal([]);
+        });
+
+        it('should keep the options of an evicted lock', function (done) {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.setOptions('A', {maxQueueSize: 1});
+            expect(asyncWrapper.lockExists('A')).to.be.false;
+            expect(asyncWrapper.getOptions('A').maxQueueSize).to.be.equal(1);
+
+            asyncWrapper.lock('A', function (leave) {
+                expect(asyncWrapper.getOptions('A').maxQueueSize).to.be.equal(1);
+                leave();
+                done();
+            });
+        });
+
+        it('should evict the idle locks when the idle timeout is set', function (done) {
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                asyncWrapper.setIdleTimeout(0);
+                expect(asyncWrapper.size()).to.be.equal(0);
+                done();
+            });
+        });
+
+        it('should throw if the idle timeout is invalid', function () {
+            expect(function () {
+                asyncWrapper.setIdleTimeout(-1);
+            }).to.throw('The idle timeout must be a non negative number or null');
+            expect(function () {
+                asyncWrapper.setIdleTimeout('10');
+            }).to.throw('The idle timeout must be a non negative number or null');
+        });
+    });
+
+    describe('Named events', function () {
+        it('should throw if the name is invalid', function () {
+            expect(function () {
+                asyncWrapper.wait('', function () {
+                });
+            }).to.throw('The name must be a non empty string');
+            expect(function () {
+                asyncWrapper.set(null);
+            }).to.throw(asyncWrapper.InvalidArgumentError);
+            expect(function () {
+                asyncWrapper.isSignaled(5);
+            }).to.throw('The name must be a non empty string');
+        });
+
+        it('should throw if callback is not a function', function () {
+            expect(function () {
+                asyncWrapper.wait('ready');
+            }).to.throw('Callback must be a function');
+        });
+
+        it('should release the waiting callbacks with the value once the event is set', function () {
+            var values = [];
+            asyncWrapper.wait('ready', function (token) {
+                values.push(token.value);
+            });
+            asyncWrapper.wait('ready', function (token) {
+                values.push(token.value);
+            });
+            expect(asyncWrapper.isSignaled('ready')).to.be.false;
+            asyncWrapper.set('ready', 'config');
+            expect(values).to.be.deep.equal(['config', 'config']);
+            expect(asyncWrapper.isSignaled('ready')).to.be.true;
+        });
+
+        it('should pass through a signaled event until it is reset', function () {
+            var released = 0;
+            asyncWrapper.set('ready');
+            asyncWrapper.wait('ready', function () {
+                released++;
+            });
+            asyncWrapper.reset('ready');
+            asyncWrapper.wait('ready', function () {
+                released++;
+            });
+            expect(released).to.be.equal(1);
+            expect(asyncWrapper.isSignaled('ready')).to.be.false;
+        });
+
+        it('should use the same event for the same name only', function () {
+            asyncWrapper.set('A');
+            expect(asyncWrapper.isSignaled('A')).to.be.true;
+            expect(asyncWrapper.isSignaled('B')).to.be.null;
+        });
+
+        it('should not share the names with the locks', function (done) {
+            asyncWrapper.set('A');
+            expect(asyncWrapper.lockExists('A')).to.be.false;
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                expect(asyncWrapper.isSignaled('A')).to.be.true;
+                done();
+            });
+        });
+
+        it('should throw if the event is set twice or reset while not signaled', function () {
+            asyncWrapper.set('ready');
+            expect(function () {
+                asyncWrapper.set('ready');
+            }).to.throw(asyncWrapper.ResetEventStateError);
+            asyncWrapper.reset('ready');
+            expect(function () {
+                asyncWrapper.reset('ready');
+            }).to.throw(asyncWrapper.ResetEventStateError);
+        });
+
+        it('should resolve waitPromise with the value', function () {
+            var promise = asyncWrapper.waitPromise('db-ready');
+            asyncWrapper.set('db-ready', 42);
+            return promise.then(function (value) {
+                expect(value).to.be.equal(42);
+            });
+        });
+
+        it('should reject waitPromise if the name is invalid', function () {
+            return asyncWrapper.waitPromise('').then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err).to.be.instanceof(asyncWrapper.InvalidArgumentError);
+            });
+        });
+
+        it('should reject waitPromise when the timeout expires', function () {
+            return asyncWrapper.waitPromise('db-ready', {timeout: 10}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(err).to.be.instanceof(asyncWrapper.LockTimeoutError);
+            });
+        });
+
+        it('should apply the event options', function () {
+            var released = 0;
+            asyncWrapper.setEventOptions('ready', {autoResetCount: 1});
+            expect(asyncWrapper.isSignaled('ready')).to.be.false;
+            asyncWrapper.set('ready');
+            asyncWrapper.wait('ready', function () {
+                released++;
+            });
+            asyncWrapper.wait('ready', function () {
+                released++;
+            });
+            expect(released).to.be.equal(1);
+            expect(asyncWrapper.isSignaled('ready')).to.be.false;
+        });
+
+        it('should limit the queue size of an event', function () {
+            asyncWrapper.setEventOptions('ready', {maxQueueSize: 1});
+            asyncWrapper.waitPromise('ready');
+            return asyncWrapper.waitPromise('ready').then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('overflow');
+            });
+        });
+
+        it('should evict a non signaled event without waiting callbacks and keep its options', function () {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.setEventOptions('ready', {autoResetCount: 1});
+            expect(asyncWrapper.isSignaled('ready')).to.be.null;
+
+            asyncWrapper.set('ready');
+            expect(asyncWrapper.isSignaled('ready')).to.be.true;
+            asyncWrapper.wait('ready', function () {
+            });
+            // The only callback allowed by autoResetCount was released so the event is not signaled anymore
+            expect(asyncWrapper.isSignaled('ready')).to.be.null;
+
+            var promise = asyncWrapper.waitPromise('ready');
+            expect(asyncWrapper.isSignaled('ready')).to.be.false;
+            asyncWrapper.set('ready', 'again');
+            return promise.then(function (value) {
+                expect(value).to.be.equal('again');
+                expect(asyncWrapper.isSignaled('ready')).to.be.null;
+            });
+        });
+
+        it('should evict an event whose waiting callbacks timed out', function () {
+            asyncWrapper.setIdleTimeout(0);
+            return asyncWrapper.waitPromise('ready', {timeout: 10}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(asyncWrapper.isSignaled('ready')).to.be.null;
+            });
+        });
+
+        it('should never evict a signaled event', function () {
+            asyncWrapper.setIdleTimeout(0);
+            asyncWrapper.set('ready');
+            return sleep(10).then(function () {
+                expect(asyncWrapper.isSignaled('ready')).to.be.true;
+                asyncWrapper.reset('ready');
+                expect(asyncWrapper.isSignaled('ready')).to.be.null;
+            });
+        });
+    });
 });
 
 function sleep (time) {
@@ -0,0 +1,284 @@
+describe('Cluster Backend', function () {
+    var asyncWrapper = require('./../index');
+    var ClusterBackend = asyncWrapper.ClusterBackend;
+    var ClusterLockServer = asyncWrapper.ClusterLockServer;
+    var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
+    var EventEmitter = require('events').EventEmitter;
+
+    var cluster, server;
+
+    function sleep(ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    // The messages are copied and delivered asynchronously like over a real IPC channel
+    function deliver(emitter, args) {
+        args = JSON.parse(JSON.stringify(args));
+        setImmediate(function () {
+            emitter.emit.apply(emitter, ['message'].concat(args));
+        });
+    }
+
+    function createWorker(id) {
+        var channel = new EventEmitter();
+        var worker = {
+            id: id,
+            connected: true,
+            isConnected: function () {
+                return worker.connected;
+            },
+            send: function (message) {
+                deliver(channel, [message]);
+            }
+        };
+        channel.send = function (message) {
+            cluster.emit('message', worker, JSON.parse(JSON.stringify(message)));
+        };
+        cluster.workers[id] = worker;
+        worker.backend = new ClusterBackend(channel);
+        return worker;
+    }
+
+    function exit(worker) {
+        worker.connected = false;
+        delete cluster.workers[worker.id];
+        cluster.emit('exit', worker);
+    }
+
+    beforeEach(function () {
+        asyncWrapper.__reset();
+        cluster = new EventEmitter();
+        cluster.workers = {};
+        server = new ClusterLockServer(cluster, asyncWrapper.getBackend());
+    });
+
+    afterEach(function () {
+        server.close();
+    });
+
+    describe('Create', function () {
+        it('should throw without an IPC channel', function () {
+            expect(function () {
+                new ClusterBackend({});
+            }).to.throw(asyncWrapper.UnsupportedError, 'Cluster mode requires an IPC channel to the primary process');
+        });
+    });
+
+    describe('Acquire', function () {
+        it('should serialize the callbacks of different workers', function (done) {
+            var first = createWorker(1);
+            var second = createWorker(2);
+            var steps = [];
+
+            first.backend.acquire('A', function (handle) {
+                steps.push('first');
+                setTimeout(function () {
+                    steps.push('first done');
+                    first.backend.release('A', handle);
+                }, 10);
+            });
+            second.backend.acquire('A', function (handle) {
+                expect(steps).to.be.deep.equal(['first', 'first done']);
+                second.backend.release('A', handle);
+                done();
+            });
+        });
+
+        it('should push the state of the lock to the workers', function () {
+            var first = createWorker(1);
+            var second = createWorker(2);
+            var handle;
+
+            expect(second.backend.inspect('A')).to.be.null;
+            first.backend.acquire('A', function (acquired) {
+                handle = acquired;
+            });
+            second.backend.acquire('A', function () {
+            });
+
+            return sleep(10).then(function () {
+                expect(first.backend.inspect('A')).to.be.deep.equal({isLocked: true, queueSize: 1});
+                expect(second.backend.inspect('A')).to.be.deep.equal({isLocked: true, queueSize: 1});
+                first.backend.release('A', handle);
+                return sleep(10);
+            }).then(function () {
+                expect(first.backend.inspect('A')).to.be.deep.equal({isLocked: true, queueSize: 0});
+            });
+        });
+
+        it('should cancel a waiter when the timeout expires in the worker', function (done) {
+            var first = createWorker(1);
+            var second = createWorker(2);
+
+            first.backend.acquire('A', function () {
+                second.backend.acquire('A', function () {
+                    done('Should not be here');
+                }, {
+                    timeout: 10,
+                    onCancel: function (handle, reason) {
+                        expect(reason).to.be.equal('timeout');
+                        sleep(10).then(function () {
+                            expect(asyncWrapper.queueSize('A')).to.be.equal(0);
+                            done();
+                        });
+                    }
+                });
+            });
+        });
+
+        itWithSignal('should cancel a waiter when its signal is aborted', function (done) {
+            var worker = createWorker(1);
+            var controller = new AbortController();
+
+            worker.backend.acquire('A', function () {
+                worker.backend.acquire('A', function () {
+                    done('Should not be here');
+                }, {
+                    signal: controller.signal,
+                    onCancel: function (handle, reason) {
+                        expect(reason).to.be.equal('aborted');
+                        done();
+                    }
+                });
+                controller.abort();
+            });
+        });
+
+        it('should pass the cancellations of the primary to the worker', function (done) {
+            var worker = createWorker(1);
+            asyncWrapper.setOptions('A', {maxQueueSize: 0});
+
+            worker.backend.acquire('A', function () {
+                worker.backend.acquire('A', function () {
+                    done('Should not be here');
+                }, {
+                    onCancel: function (handle, reason) {
+                        expect(reason).to.be.equal('overflow');
+                        done();
+                    }
+                });
+            });
+        });
+
+        itWithSignal('should release a lock which was granted after the worker canceled the call', function () {
+            var worker = createWorker(1);
+            var controller = new AbortController();
+
+            worker.backend.acquire('A', function () {
+                throw new Error('Should not be here');
+            }, {signal: controller.signal});
+            controller.abort();
+
+            return sleep(10).then(function () {
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should notify the worker when the primary expires the lock', function (done) {
+            var worker = createWorker(1);
+
+            worker.backend.acquire('A', function () {
+            }, {
+                maxHoldTime: 10,
+                onExpire: function (handle) {
+                    expect(handle.isExpired).to.be.true;
+                    done();
+                }
+            });
+        });
+    });
+
+    describe('Worker exit', function () {
+        it('should release the locks of a worker which exits', function (done) {
+            var first = createWorker(1);
+            var second = createWorker(2);
+
+            first.backend.acquire('A', function () {
+                second.backend.acquire('A', function (handle) {
+                    second.backend.release('A', handle);
+                    done();
+                });
+                setTimeout(function () {
+                    exit(first);
+                }, 10);
+            });
+        });
+
+        it('should release a lock which was granted to a worker which exits before the grant is delivered', function () {
+            var first = createWorker(1);
+            var second = createWorker(2);
+            var handle;
+
+            first.backend.acquire('A', function (acquired) {
+                handle = acquired;
+            });
+            second.backend.acquire('A', function () {
+                throw new Error('Should not be here');
+            });
+
+            return sleep(10).then(function () {
+                first.backend.release('A', handle);
+                exit(second);
+                return sleep(10);
+            }).then(function () {
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should cancel a pending call when AbortController is not available', function () {
+            var first = createWorker(1);
+            var second = createWorker(2);
+            var savedAbortController = global.AbortController;
+            var handle;
+
+            first.backend.acquire('A', function (acquired) {
+                handle = acquired;
+            });
+            delete global.AbortController;
+            try {
+                second.backend.acquire('A', function () {
+                    throw new Error('Should not be here');
+                });
+            } finally {
+                if (savedAbortController) {
+                    global.AbortController = savedAbortController;
+                }
+            }
+
+            return sleep(10).then(function () {
+                exit(second);
+                expect(asyncWrapper.queueSize('A')).to.be.equal(0);
+                first.backend.release('A', handle);
+                return sleep(10);
+            }).then(function () {
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+
+        it('should cancel the pending calls of a worker which exits', function () {
+            var first = createWorker(1);
+            var second = createWorker(2);
+            var handle;
+
+            first.backend.acquire('A', function (acquired) {
+                handle = acquired;
+            });
+            second.backend.acquire('A', function () {
+                throw new Error('Should not be here');
+            });
+
+            return sleep(10).then(function () {
+                expect(asyncWrapper.queueSize('A')).to.be.equal(1);
+                exit(second);
+                expect(asyncWrapper.queueSize('A')).to.be.equal(0);
+                first.backend.release('A', handle);
+                return sleep(10);
+            }).then(function () {
+                expect(asyncWrapper.isLocked('A')).to.be.false;
+            });
+        });
+    });
+});
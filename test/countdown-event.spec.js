@@ -0,0 +1,194 @@
+describe('Countdown Event', function () {
+    var CountdownEvent = require('./../index').CountdownEvent;
+    var ResetEvent = require('./../index').ResetEvent;
+    var CountdownEventStateError = require('./../index').CountdownEventStateError;
+    var expect = require('chai').expect;
+
+    describe('Create', function () {
+        it('should start signaled with a zero count', function () {
+            var countdown = new CountdownEvent();
+            expect(countdown.count).to.be.equal(0);
+            expect(countdown.isSignaled).to.be.true;
+            expect(countdown).to.be.instanceof(ResetEvent);
+        });
+
+        it('should start non signaled with a positive count', function () {
+            var countdown = new CountdownEvent(2);
+            expect(countdown.count).to.be.equal(2);
+            expect(countdown.isSignaled).to.be.false;
+        });
+
+        it('should throw if the count is invalid', function () {
+            expect(function () {
+                new CountdownEvent(-1);
+            }).to.throw('The count must be a non negative integer');
+
+            expect(function () {
+                new CountdownEvent(1.5);
+            }).to.throw('The count must be a non negative integer');
+        });
+
+        it('should not allow to change the autoResetCount', function () {
+            var countdown = new CountdownEvent(1, {autoResetCount: 1, maxQueueSize: 5});
+            expect(countdown.options.autoResetCount).to.be.equal(Infinity);
+            expect(countdown.options.maxQueueSize).to.be.equal(5);
+        });
+    });
+
+    describe('Add', function () {
+        it('should increment the count by one by default', function () {
+            var countdown = new CountdownEvent();
+            expect(countdown.add()).to.be.equal(1);
+            expect(countdown.add(2)).to.be.equal(3);
+            expect(countdown.isSignaled).to.be.false;
+        });
+
+        it('should release the waiting callbacks when a negative delta reaches zero', function () {
+            var countdown = new CountdownEvent(3);
+            var released = 0;
+            countdown.wait(function () {
+                released++;
+            });
+            countdown.add(-3);
+            expect(released).to.be.equal(1);
+            expect(countdown.isSignaled).to.be.true;
+        });
+
+        it('should throw if the delta is not an integer', function () {
+            var countdown = new CountdownEvent();
+            expect(function () {
+                countdown.add('1');
+            }).to.throw('The delta must be an integer');
+        });
+
+        it('should throw and keep the count if the count would become negative', function () {
+            var countdown = new CountdownEvent(1);
+            var error = null;
+            try {
+                countdown.add(-2);
+            } catch (err) {
+                error = err;
+            }
+            expect(error).to.be.instanceof(CountdownEventStateError);
+            expect(error.code).to.be.equal('ERR_COUNTDOWN_EVENT_STATE');
+            expect(error.count).to.be.equal(1);
+            expect(countdown.count).to.be.equal(1);
+        });
+    });
+
+    describe('Signal', function () {
+        it('should release the waiting callbacks when the count reaches zero', function () {
+            var countdown = new CountdownEvent(2);
+            var released = 0;
+            countdown.wait(function () {
+                released++;
+            });
+            countdown.wait(function () {
+                released++;
+            });
+            countdown.signal();
+            expect(released).to.be.equal(0);
+            countdown.signal();
+            expect(released).to.be.equal(2);
+        });
+
+        it('should decrement the count by the given count', function () {
+            var countdown = new CountdownEvent(5);
+            expect(countdown.signal(3)).to.be.equal(2);
+        });
+
+        it('should be the same as done', function () {
+            var countdown = new CountdownEvent(1);
+            expect(countdown.done()).to.be.equal(0);
+            expect(countdown.isSignaled).to.be.true;
+        });
+
+        it('should throw if the count is not a positive integer', function () {
+            var countdown = new CountdownEvent(1);
+            expect(function () {
+                countdown.signal(0);
+            }).to.throw('The count must be a positive integer');
+        });
+
+        it('should throw if the count goes negative', function () {
+            var countdown = new CountdownEvent();
+            expect(function () {
+                countdown.signal();
+            }).to.throw(CountdownEventStateError, 'The count cannot be negative, the count is 0 and the delta is -1');
+        });
+    });
+
+    describe('Wait', function () {
+        it('should execute immediately if the count is zero', function () {
+            var countdown = new CountdownEvent();
+            var released = false;
+            countdown.wait(function () {
+                released = true;
+            });
+            expect(released).to.be.true;
+        });
+
+        it('should wait again after the count is incremented from zero', function () {
+            var countdown = new CountdownEvent();
+            var released = false;
+            countdown.add();
+            countdown.wait(function () {
+                released = true;
+            });
+            expect(released).to.be.false;
+            expect(countdown.queueSize()).to.be.equal(1);
+            countdown.done();
+            expect(released).to.be.true;
+        });
+
+        it('should resolve waitAsync when the count reaches zero', function () {
+            var countdown = new CountdownEvent(2);
+            var isDone = false;
+            var promise = countdown.waitAsync().then(function () {
+                expect(isDone).to.be.true;
+            });
+            countdown.done();
+            isDone = true;
+            countdown.done();
+            return promise;
+        });
+
+        it('should reject waitAsync when the timeout expires', function () {
+            var countdown = new CountdownEvent(1);
+            return countdown.waitAsync({timeout: 10}).then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('timeout');
+                expect(err.code).to.be.equal('ERR_LOCK_TIMEOUT');
+            });
+        });
+
+        it('should limit the queue size', function () {
+            var countdown = new CountdownEvent(1, {maxQueueSize: 1});
+            countdown.waitAsync();
+            return countdown.waitAsync().then(function () {
+                throw new Error('Should not be here');
+            }, function (err) {
+                expect(err.reason).to.be.equal('overflow');
+            });
+        });
+    });
+
+    describe('Lifecycle events', function () {
+        it('should emit reset when the count leaves zero and set when it reaches zero', function () {
+            var countdown = new CountdownEvent();
+            var events = [];
+            CountdownEvent.events.forEach(function (eventName) {
+                countdown.on(eventName, function () {
+                    events.push(eventName);
+                });
+            });
+            countdown.add(2);
+            countdown.wait(function () {
+            });
+            countdown.signal();
+            countdown.signal();
+            expect(events).to.be.deep.equal(['reset', 'enqueue', 'acquire', 'set']);
+        });
+    });
+});
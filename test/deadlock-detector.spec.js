@@ -0,0 +1,147 @@
+describe('Deadlock Detector', function () {
+    var DeadlockDetector = require('./../index').DeadlockDetector;
+    var DeadlockError = require('./../index').DeadlockError;
+    var AsyncLock = require('./../index').AsyncLock;
+    var expect = require('chai').expect;
+
+    var lockA, lockB, deadlocks;
+
+    function createDetector(options) {
+        deadlocks = [];
+        return new DeadlockDetector(Object.assign({
+            onDeadlock: function (error) {
+                deadlocks.push(error);
+            }
+        }, options));
+    }
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+        lockA = new AsyncLock();
+        lockB = new AsyncLock();
+    });
+
+    describe('Create', function () {
+        it('should have default options if they were not specified', function () {
+            var detector = new DeadlockDetector();
+            expect(detector.options.rejectWaiter).to.be.false;
+            expect(detector.options.onDeadlock).to.be.a('function');
+        });
+    });
+
+    describe('Enter', function () {
+        it('should call the callback with the token once the lock is acquired', function (done) {
+            var detector = createDetector();
+            var token = detector.enter('a', lockA, function (innerToken) {
+                expect(innerToken).to.be.equal(token);
+                done();
+            });
+        });
+
+        it('should record the holder and the waiter of a lock', function (done) {
+            var detector = createDetector();
+            var a = detector.track('a', lockA);
+            a.enter(function (token) {
+                a.enter(function (innerToken) {
+                    a.leave(innerToken);
+                    expect(detector.holders).to.be.empty;
+                    done();
+                });
+                expect(detector.holders.a.count).to.be.equal(1);
+                expect(detector.waits.length).to.be.equal(1);
+                a.leave(token);
+            });
+        });
+
+        it('should keep the flow across asynchronous code within the callback', function (done) {
+            var detector = createDetector();
+            detector.enter('a', lockA, function () {
+                var flow = detector.storage.getStore();
+                setTimeout(function () {
+                    expect(detector.storage.getStore()).to.be.equal(flow);
+                    expect(detector.currentFlow()).to.be.equal(flow);
+                    done();
+                }, 5);
+            }, {label: 'first'});
+        });
+
+        it('should remove a canceled waiter from the graph', function (done) {
+            var detector = createDetector();
+            detector.enter('a', lockA, function () {
+            });
+            detector.enter('a', lockA, function () {
+                done('Should not be here');
+            }, 10);
+            expect(detector.waits.length).to.be.equal(1);
+            setTimeout(function () {
+                expect(detector.waits.length).to.be.equal(0);
+                done();
+            }, 30);
+        });
+    });
+
+    describe('Detect', function () {
+        function lockInOrder(detector, first, second, label, delay, onCancel) {
+            detector.enter(first.name, first.lock, function () {
+                setTimeout(function () {
+                    detector.enter(second.name, second.lock, function () {
+                    }, {onCancel: onCancel});
+                }, delay);
+            }, {label: label});
+        }
+
+        it('should report a cycle between two flows', function (done) {
+            var detector = createDetector();
+            var a = {name: 'a', lock: lockA};
+            var b = {name: 'b', lock: lockB};
+            lockInOrder(detector, a, b, 'first', 5);
+            lockInOrder(detector, b, a, 'second', 10);
+
+            setTimeout(function () {
+                expect(deadlocks.length).to.be.equal(1);
+                var error = deadlocks[0];
+                expect(error).to.be.instanceof(DeadlockError);
+                expect(error).to.be.instanceof(Error);
+                expect(error.cycle.length).to.be.equal(2);
+                expect(error.cycle[0].name).to.be.equal('a');
+                expect(error.cycle[0].waiter).to.be.equal('second');
+                expect(error.cycle[0].owner).to.be.equal('first');
+                expect(error.cycle[0].stack).to.be.a('string');
+                expect(error.cycle[1].name).to.be.equal('b');
+                expect(error.cycle[1].waiter).to.be.equal('first');
+                expect(error.cycle[1].owner).to.be.equal('second');
+                expect(error.message).to.be.equal('Deadlock detected: second waits for \'a\' held by first, first waits for \'b\' held by second');
+                done();
+            }, 30);
+        });
+
+        it('should not report locks which are acquired in the same order', function (done) {
+            var detector = createDetector();
+            var a = {name: 'a', lock: lockA};
+            var b = {name: 'b', lock: lockB};
+            lockInOrder(detector, a, b, 'first', 5);
+            lockInOrder(detector, a, b, 'second', 10);
+
+            setTimeout(function () {
+                expect(deadlocks.length).to.be.equal(0);
+                done();
+            }, 30);
+        });
+
+        it('should cancel the waiter which closed the cycle when rejectWaiter is true', function (done) {
+            var detector = createDetector({rejectWaiter: true});
+            var a = {name: 'a', lock: lockA};
+            var b = {name: 'b', lock: lockB};
+            lockInOrder(detector, a, b, 'first', 5, function () {
+                done('Should not be here');
+            });
+            lockInOrder(detector, b, a, 'second', 10, function (token, reason) {
+                expect(reason).to.be.equal('deadlock');
+                expect(token.cancelError).to.be.equal(deadlocks[0]);
+                expect(lockA.queueSize()).to.be.equal(0);
+                expect(detector.waits.length).to.be.equal(1);
+                done();
+            });
+        });
+    });
+});
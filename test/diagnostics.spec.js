@@ -0,0 +1,179 @@
+describe('Diagnostics', function () {
+    var asyncWrapper = require('./../index');
+    var AsyncLock = asyncWrapper.AsyncLock;
+    var ResetEvent = asyncWrapper.ResetEvent;
+    var expect = require('chai').expect;
+    var diagnosticsChannel = null;
+    try {
+        diagnosticsChannel = require('diagnostics_channel');
+    } catch (err) {
+        // diagnostics_channel is not available in this version of Node.js
+    }
+    // The top level subscribe and the tracing channels were added to diagnostics_channel after the module itself
+    var describeEvents = diagnosticsChannel && typeof diagnosticsChannel.subscribe === 'function' ? describe : describe.skip;
+    var describeTracing = diagnosticsChannel && typeof diagnosticsChannel.tracingChannel === 'function' ? describe : describe.skip;
+
+    var subscriptions;
+
+    function subscribe(name, handlers) {
+        var tracingChannel = diagnosticsChannel.tracingChannel(name);
+        tracingChannel.subscribe(handlers);
+        subscriptions.push(function () {
+            tracingChannel.unsubscribe(handlers);
+        });
+    }
+
+    // Records the events of a tracing channel as strings of the form 'event lockName'
+    function record(name, events) {
+        var handlers = {};
+        ['start', 'end', 'asyncStart', 'asyncEnd', 'error'].forEach(function (eventName) {
+            handlers[eventName] = function (context) {
+                events.push(eventName + ' ' + context.name);
+            };
+        });
+        subscribe(name, handlers);
+    }
+
+    beforeEach(function () {
+        asyncWrapper.__reset();
+        subscriptions = [];
+    });
+
+    afterEach(function () {
+        subscriptions.forEach(function (unsubscribe) {
+            unsubscribe();
+        });
+    });
+
+    describeEvents('Events channel', function () {
+        it('should publish the lifecycle events of the locks', function (done) {
+            var messages = [];
+            var onMessage = function (message) {
+                messages.push(message.type + ' ' + message.name);
+            };
+            diagnosticsChannel.subscribe('node-async-locks', onMessage);
+            subscriptions.push(function () {
+                diagnosticsChannel.unsubscribe('node-async-locks', onMessage);
+            });
+
+            asyncWrapper.lock('A', function (leave) {
+                leave();
+                expect(messages).to.be.deep.equal(['acquire A', 'leave A']);
+                done();
+            });
+        });
+    });
+
+    describeTracing('Tracing channels', function () {
+        it('should trace the wait and the hold of a lock', function (done) {
+            var lock = new AsyncLock();
+            var waits = [];
+            var holds = [];
+            lock.name = 'A';
+            record('node-async-locks:wait', waits);
+            record('node-async-locks:hold', holds);
+
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 10);
+            });
+            lock.enter(function (token) {
+                expect(waits).to.be.deep.equal(['start A', 'end A', 'asyncStart A', 'asyncEnd A']);
+                token.leave();
+                expect(holds).to.be.deep.equal([
+                    'start A', 'end A', 'asyncStart A', 'asyncEnd A',
+                    'start A', 'end A', 'asyncStart A', 'asyncEnd A'
+                ]);
+                done();
+            });
+        });
+
+        it('should publish the wait time and the hold time in the context', function (done) {
+            var lock = new AsyncLock();
+            var contexts = [];
+            subscribe('node-async-locks:wait', {
+                asyncStart: function (context) {
+                    contexts.push(context);
+                }
+            });
+            subscribe('node-async-locks:hold', {
+                asyncStart: function (context) {
+                    contexts.push(context);
+                }
+            });
+
+            lock.enter(function (token) {
+                setTimeout(function () {
+                    token.leave();
+                }, 20);
+            });
+            lock.enter(function (token) {
+                token.leave();
+                expect(contexts[0].holdTime).to.be.at.least(15);
+                expect(contexts[1].waitTime).to.be.at.least(15);
+                expect(contexts[1].target).to.be.equal(lock);
+                expect(contexts[1].token).to.be.equal(token);
+                done();
+            });
+        });
+
+        it('should publish an error when a wait is canceled', function (done) {
+            var lock = new AsyncLock();
+            subscribe('node-async-locks:wait', {
+                error: function (context) {
+                    expect(context.error.reason).to.be.equal('timeout');
+                    done();
+                }
+            });
+
+            lock.enter(function () {
+            });
+            lock.enter(function () {
+                done('Should not be here');
+            }, 5);
+        });
+
+        it('should trace the wait of a reset event without a hold', function () {
+            var resetEvent = new ResetEvent(false);
+            var waits = [];
+            var holds = [];
+            record('node-async-locks:wait', waits);
+            record('node-async-locks:hold', holds);
+
+            resetEvent.wait(function () {
+            });
+            resetEvent.set();
+            expect(waits).to.have.length(4);
+            expect(holds).to.be.empty;
+        });
+
+        it('should trace the calls of lockPromise', function () {
+            var events = [];
+            record('node-async-locks:lockPromise', events);
+
+            return asyncWrapper.lockPromise('A', function () {
+                expect(events).to.be.deep.equal(['start A', 'end A']);
+                return Promise.resolve(1);
+            }).then(function (result) {
+                expect(result).to.be.equal(1);
+                expect(events).to.be.deep.equal(['start A', 'end A', 'asyncStart A', 'asyncEnd A']);
+            });
+        });
+
+        it('should publish the rejection of a lockPromise call', function () {
+            var errors = [];
+            subscribe('node-async-locks:lockPromise', {
+                error: function (context) {
+                    errors.push(context.error);
+                }
+            });
+
+            return asyncWrapper.lockPromise('A', function () {
+                return Promise.reject(new Error('failed'));
+            }).catch(function (err) {
+                expect(errors).to.be.deep.equal([err]);
+            });
+        });
+    });
+});
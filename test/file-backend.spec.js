@@ -0,0 +1,275 @@
+describe('File Backend', function () {
+    var FileBackend = require('./../index').FileBackend;
+    var InvalidArgumentError = require('./../index').InvalidArgumentError;
+    var LockOwnershipError = require('./../index').LockOwnershipError;
+    var expect = require('chai').expect;
+    var childProcess = require('child_process');
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+
+    var directory;
+
+    function createBackend(options) {
+        return new FileBackend(Object.assign({directory: directory, retryInterval: 5}, options));
+    }
+
+    function writeLockFile(backend, name, content) {
+        fs.writeFileSync(backend.getFile(name), JSON.stringify(Object.assign({
+            id: 'other',
+            hostname: os.hostname()
+        }, content)));
+    }
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-async-locks-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    describe('Create', function () {
+        it('should have default options if they were not specified', function () {
+            expect(FileBackend.defaultOptions.staleTimeout).to.be.equal(10000);
+            expect(FileBackend.defaultOptions.renewInterval).to.be.equal(2000);
+            var backend = createBackend();
+            expect(backend.options.directory).to.be.equal(directory);
+            expect(backend.options.retryInterval).to.be.equal(5);
+        });
+
+        it('should not allow a renew interval which is not smaller than the stale timeout', function () {
+            expect(function () {
+                createBackend({staleTimeout: 100, renewInterval: 100});
+            }).to.throw(InvalidArgumentError, 'The renew interval must be smaller than the stale timeout');
+        });
+    });
+
+    describe('Acquire', function () {
+        it('should create a lock file while the lock is held', function (done) {
+            var backend = createBackend();
+            backend.acquire('a/b', function (handle) {
+                var content = JSON.parse(fs.readFileSync(backend.getFile('a/b'), 'utf8'));
+                expect(content.pid).to.be.equal(process.pid);
+                expect(content.id).to.be.equal(handle.ownerId);
+                expect(backend.inspect('a/b')).to.be.deep.equal({isLocked: true, queueSize: 0});
+                backend.release('a/b', handle, function () {
+                    expect(fs.existsSync(backend.getFile('a/b'))).to.be.false;
+                    expect(backend.inspect('a/b')).to.be.null;
+                    done();
+                });
+            });
+        });
+
+        it('should wait until the lock is released', function (done) {
+            var backend = createBackend();
+            var steps = [];
+            backend.acquire('a', function (handle) {
+                backend.acquire('a', function (innerHandle) {
+                    expect(steps).to.be.deep.equal(['released']);
+                    backend.release('a', innerHandle, done);
+                });
+                expect(backend.inspect('a').queueSize).to.be.equal(1);
+                setTimeout(function () {
+                    steps.push('released');
+                    backend.release('a', handle);
+                }, 20);
+            });
+        });
+
+        it('should cancel a waiter when the timeout expires', function (done) {
+            var backend = createBackend();
+            backend.acquire('a', function (handle) {
+                backend.acquire('a', function () {
+                    done('Should not be here');
+                }, {
+                    timeout: 20,
+                    onCancel: function (canceledHandle, reason) {
+                        expect(reason).to.be.equal('timeout');
+                        expect(backend.inspect('a').queueSize).to.be.equal(0);
+                        backend.release('a', handle, done);
+                    }
+                });
+            });
+        });
+
+        it('should take over a lock file of a process which is no longer running', function (done) {
+            var backend = createBackend();
+            var deadProcess = childProcess.spawnSync(process.execPath, ['-e', '']);
+            writeLockFile(backend, 'a', {pid: deadProcess.pid});
+            expect(backend.inspect('a').isLocked).to.be.false;
+
+            backend.acquire('a', function (handle) {
+                backend.release('a', handle, done);
+            }, 1000);
+        });
+
+        it('should take over a lock file whose lease was not renewed', function (done) {
+            var backend = createBackend({staleTimeout: 100, renewInterval: 50});
+            var past = new Date(Date.now() - 1000);
+            writeLockFile(backend, 'a', {pid: process.pid});
+            fs.utimesSync(backend.getFile('a'), past, past);
+
+            backend.acquire('a', function (handle) {
+                backend.release('a', handle, done);
+            }, 1000);
+        });
+
+        it('should let one holder at a time in when several backends take over the same stale lock file', function () {
+            this.timeout(5000);
+            var backends = [];
+            var active = 0;
+            var maxActive = 0;
+            var past = new Date(Date.now() - 1000);
+            var readFile = fs.readFile;
+            var reads = 0;
+            // Slow reads let a backend act on a lock file it read before another backend took it over
+            fs.readFile = function () {
+                var args = Array.prototype.slice.call(arguments);
+                var callback = args.pop();
+                readFile.apply(fs, args.concat(function (err, data) {
+                    setTimeout(callback, reads++ % 5, err, data);
+                }));
+            };
+            for (var i = 0; i < 8; i++) {
+                backends.push(createBackend({staleTimeout: 100, renewInterval: 50, retryInterval: 1}));
+            }
+            writeLockFile(backends[0], 'a', {id: 'stale', pid: process.pid});
+            fs.utimesSync(backends[0].getFile('a'), past, past);
+
+            return Promise.all(backends.map(function (backend) {
+                return new Promise(function (resolve, reject) {
+                    backend.acquire('a', function (handle) {
+                        active++;
+                        maxActive = Math.max(maxActive, active);
+                        setTimeout(function () {
+                            active--;
+                            backend.release('a', handle, resolve);
+                        }, 5);
+                    }, {
+                        timeout: 4000,
+                        onCancel: function (handle, reason) {
+                            reject(new Error('The waiter was canceled: ' + reason));
+                        }
+                    });
+                });
+            })).then(function () {
+                fs.readFile = readFile;
+                expect(maxActive).to.be.equal(1);
+                expect(fs.readdirSync(directory)).to.be.empty;
+            }, function (err) {
+                fs.readFile = readFile;
+                throw err;
+            });
+        });
+
+        it('should remove a takeover file left by a process which exited while taking over', function (done) {
+            var backend = createBackend({staleTimeout: 100, renewInterval: 50});
+            var past = new Date(Date.now() - 1000);
+            writeLockFile(backend, 'a', {pid: process.pid});
+            fs.utimesSync(backend.getFile('a'), past, past);
+            fs.writeFileSync(backend.getFile('a') + '.takeover', '');
+            fs.utimesSync(backend.getFile('a') + '.takeover', past, past);
+
+            backend.acquire('a', function (handle) {
+                backend.release('a', handle, function () {
+                    expect(fs.readdirSync(directory)).to.be.empty;
+                    done();
+                });
+            }, 1000);
+        });
+
+        it('should wait for a lock file of a live process', function (done) {
+            var backend = createBackend();
+            writeLockFile(backend, 'a', {pid: process.pid});
+            expect(backend.inspect('a').isLocked).to.be.true;
+
+            backend.acquire('a', function () {
+                done('Should not be here');
+            }, {
+                timeout: 30,
+                onCancel: function (handle, reason) {
+                    expect(reason).to.be.equal('timeout');
+                    expect(fs.existsSync(backend.getFile('a'))).to.be.true;
+                    done();
+                }
+            });
+        });
+
+        it('should coordinate with another process', function (done) {
+            this.timeout(5000);
+            var backend = createBackend();
+            var script = [
+                'var FileBackend = require(' + JSON.stringify(path.resolve(__dirname, '../lib/file-backend')) + ');',
+                'var backend = new FileBackend({directory: ' + JSON.stringify(directory) + '});',
+                'backend.acquire("shared", function (handle) {',
+                '    console.log("acquired");',
+                '    setTimeout(function () { backend.release("shared", handle); }, 100);',
+                '});'
+            ].join('\n');
+            var child = childProcess.spawn(process.execPath, ['-e', script]);
+            var exited = new Promise(function (resolve) {
+                child.on('exit', resolve);
+            });
+
+            child.stdout.once('data', function () {
+                var start = Date.now();
+                expect(backend.inspect('shared').isLocked).to.be.true;
+                backend.acquire('shared', function (handle) {
+                    expect(Date.now() - start).to.be.at.least(50);
+                    backend.release('shared', handle, function () {
+                        exited.then(function () {
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('Renew', function () {
+        it('should update the modification time of the lock file', function (done) {
+            var backend = createBackend();
+            var past = new Date(Date.now() - 5000);
+            backend.acquire('a', function (handle) {
+                fs.utimesSync(backend.getFile('a'), past, past);
+                backend.renew('a', handle, function (err) {
+                    expect(err).to.not.be.ok;
+                    expect(fs.statSync(backend.getFile('a')).mtime.getTime()).to.be.above(past.getTime());
+                    backend.release('a', handle, done);
+                });
+            });
+        });
+
+        it('should expire the handle if another holder has taken over the lock file', function (done) {
+            var backend = createBackend();
+            var expired = [];
+            backend.acquire('a', function (handle) {
+                writeLockFile(backend, 'a', {pid: process.pid});
+                backend.renew('a', handle, function (err) {
+                    expect(err).to.be.ok;
+                    expect(expired).to.be.deep.equal([handle]);
+                    expect(handle.isExpired).to.be.true;
+                    backend.release('a', handle, function () {
+                        expect(fs.existsSync(backend.getFile('a'))).to.be.true;
+                        done();
+                    });
+                });
+            }, {
+                onExpire: function (handle) {
+                    expired.push(handle);
+                }
+            });
+        });
+
+        it('should fail for a handle which is not held', function (done) {
+            var backend = createBackend();
+            backend.renew('a', {}, function (err) {
+                expect(err).to.be.instanceof(LockOwnershipError);
+                expect(err.code).to.be.equal('ERR_LOCK_OWNERSHIP');
+                expect(err.message).to.be.equal('The lock is not held');
+                done();
+            });
+        });
+    });
+});
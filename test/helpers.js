@@ -0,0 +1,13 @@
+// AbortController and AbortSignal.abort are missing on older Node versions (e.g. 14.15 of the CI)
+var hasAbortSignal = typeof AbortSignal === 'function' && typeof AbortSignal.abort === 'function';
+
+/**
+ * Same as it for a test which needs AbortController and AbortSignal.abort, the test is skipped on Node versions without them
+ */
+function itWithSignal() {
+    return (hasAbortSignal ? it : it.skip).apply(this, arguments);
+}
+
+module.exports = {
+    itWithSignal: itWithSignal
+};
@@ -0,0 +1,167 @@
+describe('Hierarchical Lock', function () {
+    var HierarchicalLock = require('./../index').HierarchicalLock;
+    var AsyncLock = require('./../index').AsyncLock;
+    var expect = require('chai').expect;
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+    });
+
+    describe('Create', function () {
+        it('should have default options if they were not specified', function () {
+            var lock = new HierarchicalLock();
+            expect(lock.options.separator).to.be.equal('/');
+            expect(lock.options.maxQueueSize).to.be.equal(Infinity);
+            expect(lock.isLocked()).to.be.false;
+        });
+    });
+
+    describe('Parse path', function () {
+        it('should split a string path by the separator', function () {
+            var lock = new HierarchicalLock({separator: ':'});
+            expect(lock.parsePath('tenant:42::project')).to.be.deep.equal(['tenant', '42', 'project']);
+        });
+
+        it('should accept an array of segments', function () {
+            var lock = new HierarchicalLock();
+            expect(lock.parsePath(['tenant', 42])).to.be.deep.equal(['tenant', '42']);
+        });
+
+        it('should throw if the path is empty', function () {
+            var lock = new HierarchicalLock();
+            expect(function () {
+                lock.parsePath('/');
+            }).to.throw('The path must be a non empty string or array');
+            expect(function () {
+                lock.parsePath({});
+            }).to.throw('The path must be a non empty string or array');
+        });
+    });
+
+    describe('Enter', function () {
+        it('should return a token with the path', function (done) {
+            var lock = new HierarchicalLock();
+            var token = lock.enter('tenant/42', function (innerToken) {
+                expect(innerToken).to.be.equal(token);
+                expect(innerToken.path).to.be.deep.equal(['tenant', '42']);
+                expect(lock.isLocked('tenant/42')).to.be.true;
+                expect(lock.isLocked('tenant/42/project/7')).to.be.true;
+                expect(lock.isLocked('tenant')).to.be.false;
+                done();
+            });
+        });
+
+        it('should make a parent wait for a child', function (done) {
+            var lock = new HierarchicalLock();
+            var steps = [];
+            lock.enter('tenant/42/project/7', function (token) {
+                setTimeout(function () {
+                    steps.push('child');
+                    token.leave();
+                }, 10);
+            });
+            lock.enter('tenant/42', function (token) {
+                expect(steps).to.be.deep.equal(['child']);
+                token.leave();
+                done();
+            });
+            expect(lock.queueSize()).to.be.equal(1);
+        });
+
+        it('should make a child wait for a parent', function (done) {
+            var lock = new HierarchicalLock();
+            var steps = [];
+            lock.enter('tenant/42', function (token) {
+                setTimeout(function () {
+                    steps.push('parent');
+                    token.leave();
+                }, 10);
+            });
+            lock.enter('tenant/42/project/7', function (token) {
+                expect(steps).to.be.deep.equal(['parent']);
+                token.leave();
+                done();
+            });
+            expect(lock.queueSize()).to.be.equal(1);
+        });
+
+        it('should let siblings hold the lock at the same time', function (done) {
+            var lock = new HierarchicalLock();
+            lock.enter('tenant/42/project/7', function (token) {
+                lock.enter('tenant/42/project/8', function (innerToken) {
+                    expect(lock.isLocked('tenant/42/project/7')).to.be.true;
+                    innerToken.leave();
+                    token.leave();
+                    expect(lock.isLocked()).to.be.false;
+                    expect(lock.nodes).to.be.empty;
+                    done();
+                });
+            });
+        });
+
+        it('should not let a child overtake a waiting parent', function (done) {
+            var lock = new HierarchicalLock();
+            var steps = [];
+            lock.enter('tenant/42/project/7', function (token) {
+                lock.enter('tenant/42', function (innerToken) {
+                    steps.push('parent');
+                    innerToken.leave();
+                });
+                lock.enter('tenant/42/project/8', function (innerToken) {
+                    expect(steps).to.be.deep.equal(['parent']);
+                    innerToken.leave();
+                    done();
+                });
+                lock.enter('tenant/43', function (innerToken) {
+                    expect(steps).to.be.empty;
+                    innerToken.leave();
+                });
+                expect(lock.queueSize()).to.be.equal(2);
+                setTimeout(function () {
+                    token.leave();
+                }, 10);
+            });
+        });
+
+        it('should resume the waiting children when a waiting parent times out', function (done) {
+            var lock = new HierarchicalLock();
+            lock.enter('tenant/42/project/7', function () {
+                lock.enter('tenant/42', function () {
+                    done('Should not be here');
+                }, {
+                    timeout: 10,
+                    onCancel: function (token, reason) {
+                        expect(reason).to.be.equal('timeout');
+                    }
+                });
+                lock.enter('tenant/42/project/8', function (innerToken) {
+                    innerToken.leave();
+                    done();
+                });
+            });
+        });
+
+        it('should cancel all the pending callbacks when leaving with abortPending', function (done) {
+            var lock = new HierarchicalLock();
+            lock.enter('tenant', function (token) {
+                lock.enter('tenant/42', function () {
+                    done('Should not be here');
+                }, {
+                    onCancel: function (canceledToken, reason) {
+                        expect(reason).to.be.equal('aborted');
+                        expect(lock.queueSize()).to.be.equal(0);
+                        done();
+                    }
+                });
+                lock.leave(token, true);
+            });
+        });
+
+        it('should not allow entering with a non function', function () {
+            var lock = new HierarchicalLock();
+            expect(function () {
+                lock.enter('tenant', 'hello world');
+            }).to.throw('Callback must be a function');
+        });
+    });
+});
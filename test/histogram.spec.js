@@ -0,0 +1,85 @@
+describe('Histogram', function () {
+    var Histogram = require('./../index').Histogram;
+    var InvalidArgumentError = require('./../index').InvalidArgumentError;
+    var expect = require('chai').expect;
+
+    describe('Create', function () {
+        it('should use the default buckets', function () {
+            var histogram = new Histogram();
+            expect(histogram.bounds).to.be.deep.equal(Histogram.defaultBuckets);
+            expect(histogram.count).to.be.equal(0);
+        });
+
+        it('should sort the given buckets', function () {
+            var histogram = new Histogram([10, 1, 5]);
+            expect(histogram.bounds).to.be.deep.equal([1, 5, 10]);
+        });
+
+        it('should throw if the buckets are invalid', function () {
+            expect(function () {
+                new Histogram([1, -1]);
+            }).to.throw(InvalidArgumentError, 'The buckets must be an array of positive numbers');
+        });
+    });
+
+    describe('Record', function () {
+        it('should track the count, the sum, the minimum and the maximum', function () {
+            var histogram = new Histogram([10]);
+            histogram.record(4);
+            histogram.record(20);
+            histogram.record(6);
+            var snapshot = histogram.toJSON();
+            expect(snapshot.count).to.be.equal(3);
+            expect(snapshot.sum).to.be.equal(30);
+            expect(snapshot.min).to.be.equal(4);
+            expect(snapshot.max).to.be.equal(20);
+            expect(snapshot.mean).to.be.equal(10);
+        });
+
+        it('should count the values in cumulative buckets', function () {
+            var histogram = new Histogram([1, 10]);
+            histogram.record(1);
+            histogram.record(5);
+            histogram.record(50);
+            expect(histogram.toJSON().buckets).to.be.deep.equal([
+                {le: 1, count: 1},
+                {le: 10, count: 2},
+                {le: Infinity, count: 3}
+            ]);
+        });
+
+        it('should remove all the values on reset', function () {
+            var histogram = new Histogram();
+            histogram.record(5);
+            histogram.reset();
+            var snapshot = histogram.toJSON();
+            expect(snapshot.count).to.be.equal(0);
+            expect(snapshot.min).to.be.null;
+            expect(snapshot.mean).to.be.null;
+            expect(snapshot.p50).to.be.null;
+        });
+    });
+
+    describe('Percentile', function () {
+        it('should interpolate within the bucket of the percentile', function () {
+            var histogram = new Histogram([10, 20]);
+            var i;
+            for (i = 0; i < 10; i++) {
+                histogram.record(15);
+            }
+            expect(histogram.percentile(50)).to.be.equal(15);
+            histogram.record(12);
+            histogram.record(19);
+            expect(histogram.percentile(100)).to.be.equal(19);
+            expect(histogram.percentile(50)).to.be.within(10, 20);
+        });
+
+        it('should use the maximum as the bound of the last bucket', function () {
+            var histogram = new Histogram([10]);
+            histogram.record(5);
+            histogram.record(100);
+            expect(histogram.percentile(99)).to.be.equal(100);
+            expect(histogram.percentile(50)).to.be.within(5, 10);
+        });
+    });
+});
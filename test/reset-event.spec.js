@@ -1,7 +1,9 @@
 describe('Reset Event', function () {
 
     var ResetEvent = require('./../lib/reset-event');
+    var ResetEventStateError = require('./../lib/errors').ResetEventStateError;
     var expect = require('chai').expect;
+    var itWithSignal = require('./helpers').itWithSignal;
 
     describe('Helper functions', function () {
         it('should create tokens with different ids', function () {
@@ -116,7 +118,7 @@ describe('Reset Event', function () {
             var resetEvent = new ResetEvent(false);
             expect(function () {
                 resetEvent.reset();
-            }).to.throw('The reset event is already in a non signaled state');
+            }).to.throw(ResetEventStateError, 'The reset event is already in a non signaled state');
         });
 
         it('should make the reset event non signaled', function () {
@@ -131,7 +133,7 @@ describe('Reset Event', function () {
             var resetEvent = new ResetEvent(true);
             expect(function () {
                 resetEvent.set();
-            }).to.throw('The reset event is already in a signaled state');
+            }).to.throw(ResetEventStateError, 'The reset event is already in a signaled state');
         });
 
         it('should make the reset event signaled', function () {
@@ -240,6 +242,203 @@ describe('Reset Event', function () {
             done();
         });
 
+        describe('Wait async', function () {
+            it('should resolve when the reset event is set', function () {
+                var resetEvent = new ResetEvent(false);
+                var isSet = false;
+                var promise = resetEvent.waitAsync().then(function () {
+                    expect(isSet).to.be.true;
+                });
+                isSet = true;
+                resetEvent.set();
+                return promise;
+            });
+
+            it('should resolve immediately if the reset event is signaled', function () {
+                var resetEvent = new ResetEvent(true);
+                return resetEvent.waitAsync();
+            });
+
+            it('should reject when the timeout expires', function () {
+                var resetEvent = new ResetEvent(false);
+                return resetEvent.waitAsync({timeout: 10}).then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err.reason).to.be.equal('timeout');
+                    expect(resetEvent.queueSize()).to.be.equal(1);
+                });
+            });
+
+            it('should reject when removed from the queue by the overflow strategy', function () {
+                var resetEvent = new ResetEvent(false, {maxQueueSize: 1, overflowStrategy: 'this'});
+                resetEvent.waitAsync();
+                return resetEvent.waitAsync().then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err.reason).to.be.equal('overflow');
+                });
+            });
+        });
+
+        describe('Set with a value', function () {
+            it('should deliver the value to the released callbacks on their tokens', function () {
+                var resetEvent = new ResetEvent(false);
+                var values = [];
+                resetEvent.wait(function (token) {
+                    values.push(token.value);
+                });
+                resetEvent.wait(function (token) {
+                    values.push(token.value);
+                });
+                resetEvent.set('payload');
+                expect(values).to.be.deep.equal(['payload', 'payload']);
+            });
+
+            it('should resolve waitAsync with the value', function () {
+                var resetEvent = new ResetEvent(false);
+                var promise = resetEvent.waitAsync();
+                resetEvent.set({id: 42});
+                return promise.then(function (value) {
+                    expect(value).to.be.deep.equal({id: 42});
+                });
+            });
+
+            it('should deliver the last value while the reset event stays signaled', function () {
+                var resetEvent = new ResetEvent(false);
+                resetEvent.set('first');
+                resetEvent.reset();
+                resetEvent.set('second');
+                return resetEvent.waitAsync().then(function (value) {
+                    expect(value).to.be.equal('second');
+                });
+            });
+
+            it('should clear the value when the reset event is reset', function () {
+                var resetEvent = new ResetEvent(false);
+                var values = [];
+                resetEvent.set('first');
+                resetEvent.reset();
+                resetEvent.wait(function (token) {
+                    values.push(token.value);
+                });
+                expect(resetEvent.value).to.be.undefined;
+                resetEvent.set();
+                expect(values).to.be.deep.equal([undefined]);
+            });
+
+            it('should deliver the value passed to the set function of a token', function () {
+                var resetEvent = new ResetEvent(false);
+                var token = resetEvent.createToken();
+                var promise = resetEvent.waitAsync();
+                token.set('from token');
+                return promise.then(function (value) {
+                    expect(value).to.be.equal('from token');
+                });
+            });
+
+            it('should include the value in the set event', function () {
+                var resetEvent = new ResetEvent(false);
+                var setEvent = null;
+                resetEvent.on('set', function (event) {
+                    setEvent = event;
+                });
+                resetEvent.set(7);
+                expect(setEvent.value).to.be.equal(7);
+            });
+        });
+
+        describe('Abort a pending wait', function () {
+            itWithSignal('should remove the token from the queue when the signal is aborted', function () {
+                var resetEvent = new ResetEvent(false);
+                var controller = new AbortController();
+                var token = resetEvent.wait(function () {
+                    throw new Error('Should not be here');
+                }, {signal: controller.signal});
+
+                expect(resetEvent.queueSize()).to.be.equal(1);
+                controller.abort();
+                expect(resetEvent.queueSize()).to.be.equal(0);
+                expect(token.isCanceled).to.be.true;
+                resetEvent.set();
+            });
+
+            itWithSignal('should not queue the token if the signal is already aborted', function () {
+                var resetEvent = new ResetEvent(false);
+                var controller = new AbortController();
+                controller.abort();
+                var token = resetEvent.wait(function () {
+                    throw new Error('Should not be here');
+                }, {signal: controller.signal});
+
+                expect(token.isCanceled).to.be.true;
+                expect(resetEvent.queueSize()).to.be.equal(0);
+            });
+
+            itWithSignal('should do nothing if the callback was already called', function () {
+                var resetEvent = new ResetEvent(false);
+                var controller = new AbortController();
+                var called = false;
+                var token = resetEvent.wait(function () {
+                    called = true;
+                }, {signal: controller.signal});
+                resetEvent.set();
+                controller.abort();
+                expect(called).to.be.true;
+                expect(token.isCanceled).to.be.false;
+            });
+
+            itWithSignal('should reject waitAsync with the reason of the signal', function () {
+                var resetEvent = new ResetEvent(false);
+                var controller = new AbortController();
+                var promise = resetEvent.waitAsync({signal: controller.signal});
+                controller.abort('gone');
+                return promise.then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err).to.be.equal('gone');
+                });
+            });
+        });
+
+        describe('Cancel a pending wait', function () {
+            it('should call onCancel with timeout when the timeout has expired', function (done) {
+                var resetEvent = new ResetEvent(false);
+                var token = resetEvent.wait(function () {
+                    done('Should not be here');
+                }, {
+                    timeout: 10,
+                    onCancel: function (canceledToken, reason) {
+                        expect(canceledToken).to.be.equal(token);
+                        expect(reason).to.be.equal('timeout');
+                        done();
+                    }
+                });
+            });
+
+            it('should call onCancel with overflow when the token is removed from the queue', function () {
+                var resetEvent = new ResetEvent(false, {maxQueueSize: 1, overflowStrategy: 'this'});
+                var reasons = [];
+                resetEvent.wait(function () {
+                });
+                resetEvent.wait(function () {
+                }, {
+                    onCancel: function (token, reason) {
+                        reasons.push(reason);
+                    }
+                });
+                expect(reasons).to.be.deep.equal(['overflow']);
+            });
+
+            it('should reject waitAsync with the reason of the cancellation', function () {
+                var resetEvent = new ResetEvent(false);
+                return resetEvent.waitAsync({timeout: 10}).then(function () {
+                    throw new Error('Should not be here');
+                }, function (err) {
+                    expect(err.reason).to.be.equal('timeout');
+                });
+            });
+        });
+
         describe('Wait with queue options', function () {
             it('should not allow queuing if overflowStrategy is this', function (done) {
                 var resetEvent = new ResetEvent(false, { maxQueueSize: 1, overflowStrategy: 'this' });
@@ -319,6 +518,71 @@ describe('Reset Event', function () {
         });
     });
 
+    describe('Lifecycle events', function () {
+        beforeEach(function () {
+            ResetEvent.__reset();
+        });
+
+        it('should emit enqueue, acquire and set for the released callbacks', function () {
+            var resetEvent = new ResetEvent(false);
+            var events = [];
+            ['enqueue', 'acquire'].forEach(function (eventName) {
+                resetEvent.on(eventName, function (event) {
+                    events.push(eventName + ' ' + event.token.id);
+                });
+            });
+            resetEvent.on('set', function (event) {
+                events.push('set ' + event.tokens.length);
+            });
+
+            resetEvent.wait(function () {
+            });
+            resetEvent.wait(function () {
+            });
+            resetEvent.set();
+            resetEvent.wait(function () {
+            });
+
+            expect(events).to.be.deep.equal(['enqueue 0', 'enqueue 1', 'acquire 0', 'acquire 1', 'set 2', 'acquire 2']);
+        });
+
+        it('should emit reset', function (done) {
+            var resetEvent = new ResetEvent(true);
+            resetEvent.on('reset', function () {
+                expect(resetEvent.isSignaled).to.be.false;
+                done();
+            });
+            resetEvent.reset();
+        });
+
+        itWithSignal('should emit timeout, abort and overflow for the canceled callbacks', function (done) {
+            var resetEvent = new ResetEvent(false, {maxQueueSize: 1});
+            var controller = new AbortController();
+            var events = [];
+            ['timeout', 'abort'].forEach(function (eventName) {
+                resetEvent.on(eventName, function (event) {
+                    events.push(eventName + ' ' + event.token.id);
+                });
+            });
+            resetEvent.on('overflow', function (event) {
+                events.push('overflow ' + event.tokens[0].id);
+            });
+
+            resetEvent.wait(function () {
+            }, {signal: controller.signal});
+            controller.abort();
+            resetEvent.wait(function () {
+            }, 5);
+            resetEvent.wait(function () {
+            });
+
+            setTimeout(function () {
+                expect(events).to.be.deep.equal(['abort 0', 'overflow 2', 'timeout 1']);
+                done();
+            }, 20);
+        });
+    });
+
     describe('Auto reset', function () {
         it('Should auto reset after the specified number of calls', function (done) {
             var resetEvent = new ResetEvent(false, { autoResetCount: 1 });
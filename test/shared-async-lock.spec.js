@@ -0,0 +1,104 @@
+describe('Shared Async Lock', function () {
+    var SharedAsyncLock = require('./../index').SharedAsyncLock;
+    var AsyncLock = require('./../index').AsyncLock;
+    var expect = require('chai').expect;
+    var Worker = require('worker_threads').Worker;
+    var path = require('path');
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+    });
+
+    describe('Create', function () {
+        it('should have default options if they were not specified', function () {
+            var lock = new SharedAsyncLock();
+            expect(lock.options.maxQueueSize).to.be.equal(Infinity);
+            expect(lock.options.pollInterval).to.be.equal(10);
+            expect(lock.isLocked()).to.be.false;
+        });
+
+        it('should use the default options of SharedAsyncLock', function () {
+            var original = SharedAsyncLock.defaultOptions.pollInterval;
+            SharedAsyncLock.defaultOptions.pollInterval = 5;
+            var lock = new SharedAsyncLock();
+            SharedAsyncLock.defaultOptions.pollInterval = original;
+            expect(lock.options.pollInterval).to.be.equal(5);
+        });
+    });
+
+    describe('Enter', function () {
+        it('should execute the callbacks one at a time', function (done) {
+            var lock = new SharedAsyncLock();
+            var steps = [];
+            lock.enter(function (token) {
+                expect(lock.isLocked()).to.be.true;
+                setTimeout(function () {
+                    steps.push('first');
+                    token.leave();
+                }, 10);
+            });
+            lock.enter(function (token) {
+                expect(steps).to.be.deep.equal(['first']);
+                token.leave();
+                expect(lock.isLocked()).to.be.false;
+                done();
+            });
+        });
+
+        it('should cancel all the pending callbacks when leaving with abortPending', function (done) {
+            var lock = new SharedAsyncLock();
+            lock.enter(function (token) {
+                lock.enter(function () {
+                    done('Should not be here');
+                }, {
+                    onCancel: function (canceledToken, reason) {
+                        expect(reason).to.be.equal('aborted');
+                        expect(lock.isLocked()).to.be.false;
+                        done();
+                    }
+                });
+                lock.leave(token, true);
+            });
+        });
+
+        it('should serialize access to shared memory across worker threads', function (done) {
+            this.timeout(10000);
+            var lock = new SharedAsyncLock();
+            var data = new Int32Array(new SharedArrayBuffer(4));
+            var script = [
+                'var workerData = require("worker_threads").workerData;',
+                'var SharedAsyncLock = require(' + JSON.stringify(path.resolve(__dirname, '../lib/shared-async-lock')) + ');',
+                'var lock = new SharedAsyncLock(workerData.buffer);',
+                'var data = new Int32Array(workerData.data);',
+                'var count = 0;',
+                'function increment() {',
+                '    lock.enter(function (token) {',
+                '        var value = data[0];',
+                '        setTimeout(function () {',
+                '            data[0] = value + 1;',
+                '            token.leave();',
+                '            count++;',
+                '            if (count < 5) { increment(); }',
+                '        }, 1);',
+                '    });',
+                '}',
+                'increment();'
+            ].join('\n');
+            var remaining = 3;
+            var onExit = function () {
+                remaining--;
+                if (remaining === 0) {
+                    expect(data[0]).to.be.equal(15);
+                    done();
+                }
+            };
+
+            for (var i = 0; i < 3; i++) {
+                new Worker(script, {
+                    eval: true,
+                    workerData: {buffer: lock.buffer, data: data.buffer}
+                }).on('exit', onExit);
+            }
+        });
+    });
+});
@@ -0,0 +1,156 @@
+describe('Shared Async Semaphore', function () {
+    var SharedAsyncSemaphore = require('./../index').SharedAsyncSemaphore;
+    var AsyncLock = require('./../index').AsyncLock;
+    var InvalidArgumentError = require('./../index').InvalidArgumentError;
+    var expect = require('chai').expect;
+    var Worker = require('worker_threads').Worker;
+    var path = require('path');
+
+    beforeEach(function () {
+        AsyncLock.__reset();
+    });
+
+    describe('Create', function () {
+        it('should have one permit by default', function () {
+            var semaphore = new SharedAsyncSemaphore();
+            expect(semaphore.permits()).to.be.equal(1);
+            expect(semaphore.availablePermits()).to.be.equal(1);
+            expect(semaphore.buffer).to.be.instanceof(SharedArrayBuffer);
+            expect(semaphore.options.maxQueueSize).to.be.equal(Infinity);
+        });
+
+        it('should share the state of a semaphore created from the same buffer', function (done) {
+            var semaphore = new SharedAsyncSemaphore(3);
+            var other = new SharedAsyncSemaphore(semaphore.buffer);
+            expect(other.permits()).to.be.equal(3);
+            semaphore.enter(function (token) {
+                expect(other.availablePermits()).to.be.equal(1);
+                token.leave();
+                expect(other.availablePermits()).to.be.equal(3);
+                done();
+            }, 0, 2);
+        });
+
+        it('should not allow a non positive integer number of permits', function () {
+            expect(function () {
+                new SharedAsyncSemaphore(0);
+            }).to.throw('Permits must be a positive integer');
+        });
+
+        it('should not allow a buffer which is too small', function () {
+            expect(function () {
+                new SharedAsyncSemaphore(new SharedArrayBuffer(4));
+            }).to.throw(InvalidArgumentError, 'The buffer is not the buffer of a shared lock');
+        });
+    });
+
+    describe('Enter', function () {
+        it('should allow up to the number of permits at the same time', function (done) {
+            var semaphore = new SharedAsyncSemaphore(2);
+            var count = 0;
+            semaphore.enter(function () {
+                count++;
+            });
+            semaphore.enter(function (token) {
+                count++;
+                expect(count).to.be.equal(2);
+                expect(semaphore.isLocked()).to.be.true;
+                setTimeout(function () {
+                    semaphore.leave(token, true);
+                    done();
+                }, 20);
+            });
+            semaphore.enter(function () {
+                done('Should not be here');
+            });
+            expect(semaphore.queueSize()).to.be.equal(1);
+        });
+
+        it('should resume a waiter when permits are released through another instance', function (done) {
+            var semaphore = new SharedAsyncSemaphore(1);
+            var other = new SharedAsyncSemaphore(semaphore.buffer);
+            var steps = [];
+            other.enter(function (token) {
+                semaphore.enter(function (innerToken) {
+                    expect(steps).to.be.deep.equal(['released']);
+                    innerToken.leave();
+                    done();
+                });
+                setTimeout(function () {
+                    steps.push('released');
+                    token.leave();
+                }, 10);
+            });
+        });
+
+        it('should resume a waiter by polling', function (done) {
+            var semaphore = new SharedAsyncSemaphore(1, {poll: true, pollInterval: 5});
+            var other = new SharedAsyncSemaphore(semaphore.buffer);
+            other.enter(function (token) {
+                semaphore.enter(function (innerToken) {
+                    innerToken.leave();
+                    done();
+                });
+                setTimeout(function () {
+                    token.leave();
+                }, 10);
+            });
+        });
+
+        it('should cancel a waiter when the timeout expires', function (done) {
+            var semaphore = new SharedAsyncSemaphore(1);
+            semaphore.enter(function () {
+                semaphore.enter(function () {
+                    done('Should not be here');
+                }, {
+                    timeout: 10,
+                    onCancel: function (token, reason) {
+                        expect(reason).to.be.equal('timeout');
+                        done();
+                    }
+                });
+            });
+        });
+
+        it('should not allow acquiring more permits than the semaphore has', function () {
+            var semaphore = new SharedAsyncSemaphore(2);
+            expect(function () {
+                semaphore.enter(function () {
+                }, 0, 3);
+            }).to.throw('Cannot acquire 3 permits from a semaphore with 2 permits');
+        });
+
+        it('should cap the number of concurrent holders across worker threads', function (done) {
+            this.timeout(10000);
+            var semaphore = new SharedAsyncSemaphore(2);
+            var counters = new Int32Array(new SharedArrayBuffer(8));
+            var script = [
+                'var workerData = require("worker_threads").workerData;',
+                'var SharedAsyncSemaphore = require(' + JSON.stringify(path.resolve(__dirname, '../lib/shared-async-semaphore')) + ');',
+                'var semaphore = new SharedAsyncSemaphore(workerData.buffer);',
+                'var counters = new Int32Array(workerData.counters);',
+                'semaphore.enter(function (token) {',
+                '    var current = Atomics.add(counters, 0, 1) + 1;',
+                '    if (current > Atomics.load(counters, 1)) { Atomics.store(counters, 1, current); }',
+                '    setTimeout(function () { Atomics.sub(counters, 0, 1); token.leave(); }, 20);',
+                '});'
+            ].join('\n');
+            var remaining = 4;
+            var onExit = function () {
+                remaining--;
+                if (remaining === 0) {
+                    expect(Atomics.load(counters, 1)).to.be.equal(2);
+                    expect(semaphore.availablePermits()).to.be.equal(2);
+                    done();
+                }
+            };
+
+            for (var i = 0; i < 4; i++) {
+                new Worker(script, {
+                    eval: true,
+                    workerData: {buffer: semaphore.buffer, counters: counters.buffer}
+                }).on('exit', onExit);
+            }
+        });
+    });
+});